@@ -1,15 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title CashRebateTracker
  * @dev Smart contract for tracking cash rebate records with authority-controlled access
- * @notice This contract implements the rebate tracking specification for transparent rebate management
+ * @notice This contract implements the rebate tracking specification for transparent rebate management.
+ * Ownership transfers take two steps: the new owner must call acceptOwnership().
+ * Rebates above the approval threshold need two authorities: a maker signs an
+ * EIP-712 RebateRequest and a different authority (the checker) co-signs it.
+ * Calls can come through a trusted ERC-2771 forwarder, so a relayer pays gas
+ * while the signing authority is still the sender (and recordedBy).
  */
-contract CashRebateTracker is Ownable, ReentrancyGuard {
+contract CashRebateTracker is Ownable2Step, ReentrancyGuard, EIP712, ERC2771Context {
     
     /// @dev Structure to store individual rebate records
     struct RebateRecord {
@@ -22,6 +30,21 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         bool isActive;           // Status flag for record validity
     }
     
+    /// @dev Rebate request signed by its maker and co-signed by a checker (EIP-712)
+    struct RebateRequest {
+        address maker;             // Authority that prepared and signed the request
+        string clientId;
+        string productId;
+        uint256 amount;
+        string transactionHash;
+        uint256 nonce;             // Any unused value; each maker's nonces work once
+        uint256 deadline;          // Timestamp after which the request can't be recorded
+    }
+    
+    bytes32 public constant REBATE_REQUEST_TYPEHASH = keccak256(
+        "RebateRequest(address maker,string clientId,string productId,uint256 amount,string transactionHash,uint256 nonce,uint256 deadline)"
+    );
+    
     /// @dev Counter for generating unique record IDs
     uint256 private _recordCounter;
     
@@ -40,6 +63,12 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
     /// @dev Mapping to track total rebate amounts per client
     mapping(string => uint256) private _clientTotals;
     
+    /// @dev Rebates above this amount need maker-checker approval (0: none do)
+    uint256 private _approvalThreshold;
+    
+    /// @dev Maker => request nonce => used (recorded or cancelled)
+    mapping(address => mapping(uint256 => bool)) private _usedRequestNonces;
+    
     // Events
     event RebateRecorded(
         uint256 indexed recordId,
@@ -53,10 +82,15 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
     event AuthorityAdded(address indexed authority, address indexed addedBy);
     event AuthorityRemoved(address indexed authority, address indexed removedBy);
     event RebateStatusUpdated(uint256 indexed recordId, bool status, address updatedBy);
+    event OwnershipTransferCancelled(address indexed owner, address indexed cancelledPendingOwner);
+    event ApprovalThresholdUpdated(uint256 threshold, address indexed updatedBy);
+    event RebateApproved(uint256 indexed recordId, address indexed maker, address indexed checker, uint256 nonce);
+    event RebateRequestCancelled(address indexed maker, uint256 nonce);
     
     // Modifiers
     modifier onlyAuthorized() {
-        require(_authorities[msg.sender] || msg.sender == owner(), "Not authorized to record rebates");
+        address sender = _msgSender();
+        require(_authorities[sender] || sender == owner(), "Not authorized to record rebates");
         _;
     }
     
@@ -83,8 +117,13 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
     /**
      * @dev Constructor - sets the deployer as the initial owner
      * @param initialAuthorities Array of addresses to set as initial authorities
+     * @param trustedForwarder ERC-2771 forwarder relaying signed calls (zero address: none)
      */
-    constructor(address[] memory initialAuthorities) Ownable(msg.sender) {
+    constructor(address[] memory initialAuthorities, address trustedForwarder)
+        Ownable(msg.sender)
+        EIP712("CashRebateTracker", "1")
+        ERC2771Context(trustedForwarder)
+    {
         _recordCounter = 0;
         
         // Add initial authorities
@@ -107,7 +146,7 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         require(!_authorities[authority], "Address is already an authority");
         
         _authorities[authority] = true;
-        emit AuthorityAdded(authority, msg.sender);
+        emit AuthorityAdded(authority, _msgSender());
     }
     
     /**
@@ -118,7 +157,19 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         require(_authorities[authority], "Address is not an authority");
         
         _authorities[authority] = false;
-        emit AuthorityRemoved(authority, msg.sender);
+        emit AuthorityRemoved(authority, _msgSender());
+    }
+    
+    /**
+     * @dev Withdraw a pending ownership transfer before it is accepted (owner only)
+     */
+    function cancelOwnershipTransfer() external onlyOwner {
+        address cancelledPendingOwner = pendingOwner();
+        require(cancelledPendingOwner != address(0), "No pending ownership transfer");
+        
+        // Ownable2Step clears the pending owner when it is set to zero
+        transferOwnership(address(0));
+        emit OwnershipTransferCancelled(_msgSender(), cancelledPendingOwner);
     }
     
     /**
@@ -126,10 +177,104 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
      * @param addr Address to check
      * @return bool True if address is authorized
      */
-    function isAuthorized(address addr) external view returns (bool) {
+    function isAuthorized(address addr) public view returns (bool) {
         return _authorities[addr] || addr == owner();
     }
     
+    // Maker-Checker Approval Functions
+    
+    /**
+     * @dev Set the amount above which rebates need maker-checker approval (owner only)
+     * @param threshold Amount in wei; 0 lets authorities record any amount alone
+     */
+    function setApprovalThreshold(uint256 threshold) external onlyOwner {
+        _approvalThreshold = threshold;
+        emit ApprovalThresholdUpdated(threshold, _msgSender());
+    }
+    
+    /**
+     * @dev Get the amount above which rebates need maker-checker approval
+     * @return uint256 Threshold in wei (0: no approval needed)
+     */
+    function approvalThreshold() external view returns (uint256) {
+        return _approvalThreshold;
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest that the maker and checker sign for a request
+     * @param request The rebate request
+     * @return bytes32 Typed data hash
+     */
+    function hashRebateRequest(RebateRequest calldata request) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            REBATE_REQUEST_TYPEHASH,
+            request.maker,
+            keccak256(bytes(request.clientId)),
+            keccak256(bytes(request.productId)),
+            request.amount,
+            keccak256(bytes(request.transactionHash)),
+            request.nonce,
+            request.deadline
+        )));
+    }
+    
+    /**
+     * @dev Check whether a maker's request nonce was recorded or cancelled
+     * @param maker Maker of the request
+     * @param nonce Request nonce
+     * @return bool True if the nonce can't be used again
+     */
+    function isRequestNonceUsed(address maker, uint256 nonce) external view returns (bool) {
+        return _usedRequestNonces[maker][nonce];
+    }
+    
+    /**
+     * @dev Record a rebate signed by its maker and co-signed by a different
+     * authority (authorities only). The record is credited to the maker.
+     * @param request The signed rebate request
+     * @param makerSignature Maker's EIP-712 signature of the request
+     * @param checkerSignature Checker's EIP-712 signature of the same request
+     * @return recordId The ID of the newly created record
+     */
+    function recordApprovedRebate(
+        RebateRequest calldata request,
+        bytes calldata makerSignature,
+        bytes calldata checkerSignature
+    )
+        external
+        onlyAuthorized
+        nonReentrant
+        returns (uint256 recordId)
+    {
+        require(block.timestamp <= request.deadline, "Rebate request expired");
+        require(!_usedRequestNonces[request.maker][request.nonce], "Rebate request already used");
+        
+        bytes32 digest = hashRebateRequest(request);
+        address checker = ECDSA.recover(digest, checkerSignature);
+        require(ECDSA.recover(digest, makerSignature) == request.maker, "Invalid maker signature");
+        require(isAuthorized(request.maker), "Maker is not an authority");
+        require(isAuthorized(checker), "Checker is not an authority");
+        require(checker != request.maker, "Maker cannot approve own request");
+        
+        _usedRequestNonces[request.maker][request.nonce] = true;
+        recordId = _recordRebate(request.clientId, request.productId, request.amount, request.transactionHash, request.maker);
+        emit RebateApproved(recordId, request.maker, checker, request.nonce);
+        
+        return recordId;
+    }
+    
+    /**
+     * @dev Withdraw a signed request before it is recorded (its maker only)
+     * @param nonce Nonce of the request
+     */
+    function cancelRebateRequest(uint256 nonce) external {
+        address maker = _msgSender();
+        require(!_usedRequestNonces[maker][nonce], "Rebate request already used");
+        
+        _usedRequestNonces[maker][nonce] = true;
+        emit RebateRequestCancelled(maker, nonce);
+    }
+    
     // Rebate Recording Functions
     
     /**
@@ -148,37 +293,11 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
     ) 
         external 
         onlyAuthorized 
-        validClientId(clientId) 
-        validProductId(productId) 
-        validAmount(amount)
         nonReentrant
         returns (uint256 recordId) 
     {
-        recordId = _recordCounter;
-        
-        // Create the rebate record
-        _rebateRecords[recordId] = RebateRecord({
-            clientId: clientId,
-            productId: productId,
-            amount: amount,
-            timestamp: block.timestamp,
-            recordedBy: msg.sender,
-            transactionHash: txHash,
-            isActive: true
-        });
-        
-        // Update mappings
-        _clientRecords[clientId].push(recordId);
-        _productRecords[productId].push(recordId);
-        _clientTotals[clientId] += amount;
-        
-        // Increment counter
-        _recordCounter++;
-        
-        // Emit event
-        emit RebateRecorded(recordId, clientId, productId, amount, msg.sender, txHash);
-        
-        return recordId;
+        _requireBelowApprovalThreshold(amount);
+        return _recordRebate(clientId, productId, amount, txHash, _msgSender());
     }
     
     /**
@@ -207,12 +326,65 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         recordIds = new uint256[](clientIds.length);
         
         for (uint256 i = 0; i < clientIds.length; i++) {
-            recordIds[i] = this.recordRebate(clientIds[i], productIds[i], amounts[i], txHashes[i]);
+            _requireBelowApprovalThreshold(amounts[i]);
+            recordIds[i] = _recordRebate(clientIds[i], productIds[i], amounts[i], txHashes[i], _msgSender());
         }
         
         return recordIds;
     }
     
+    /**
+     * @dev Rebates above the threshold have to go through recordApprovedRebate
+     */
+    function _requireBelowApprovalThreshold(uint256 amount) private view {
+        require(_approvalThreshold == 0 || amount <= _approvalThreshold, "Rebate needs maker-checker approval");
+    }
+    
+    /**
+     * @dev Validate and store a rebate record, crediting it to recordedBy.
+     * Shared by single, batch and approved recording so a batch runs in one call
+     * frame (an external self-call would record the contract itself as the sender).
+     */
+    function _recordRebate(
+        string memory clientId,
+        string memory productId,
+        uint256 amount,
+        string memory txHash,
+        address recordedBy
+    )
+        private
+        validClientId(clientId)
+        validProductId(productId)
+        validAmount(amount)
+        returns (uint256 recordId)
+    {
+        recordId = _recordCounter;
+        
+        // Create the rebate record
+        _rebateRecords[recordId] = RebateRecord({
+            clientId: clientId,
+            productId: productId,
+            amount: amount,
+            timestamp: block.timestamp,
+            recordedBy: recordedBy,
+            transactionHash: txHash,
+            isActive: true
+        });
+        
+        // Update mappings
+        _clientRecords[clientId].push(recordId);
+        _productRecords[productId].push(recordId);
+        _clientTotals[clientId] += amount;
+        
+        // Increment counter
+        _recordCounter++;
+        
+        // Emit event
+        emit RebateRecorded(recordId, clientId, productId, amount, recordedBy, txHash);
+        
+        return recordId;
+    }
+    
     /**
      * @dev Update the status of a rebate record (authorities only)
      * @param recordId ID of the record to update
@@ -234,7 +406,7 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         }
         
         record.isActive = status;
-        emit RebateStatusUpdated(recordId, status, msg.sender);
+        emit RebateStatusUpdated(recordId, status, _msgSender());
     }
     
     // Query Functions (Public)
@@ -369,4 +541,19 @@ contract CashRebateTracker is Ownable, ReentrancyGuard {
         
         return (totalRecords, totalActiveRecords, totalRebateAmount);
     }
+    
+    // Meta-transaction Support
+    
+    /// @dev The sender appended by the trusted forwarder, or msg.sender for direct calls
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title RebateForwarder
+ * @dev Trusted forwarder for CashRebateTracker meta-transactions.
+ * @notice Authorities sign an EIP-712 ForwardRequest for their call and a relayer
+ * submits it with execute(), paying the gas. The tracker then sees the signing
+ * authority as the sender. Each signer's requests use sequential nonces.
+ */
+contract RebateForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("RebateForwarder") {}
+}
@@ -0,0 +1,45 @@
+// ABI Check
+// Compares the function selectors in the loaded ABI with the deployed contract's
+// bytecode, so a stale deployment is reported at startup instead of failing on
+// the first call to a function it doesn't have.
+
+/**
+ * Whether runtime bytecode pushes a function selector. Solidity's dispatcher
+ * compares calldata against each selector with a PUSH instruction; selectors
+ * with leading zero bytes may be pushed with a shorter PUSH.
+ * @param {string} code - Runtime bytecode as a 0x-prefixed hex string
+ * @param {string} selector - 4-byte selector as a 0x-prefixed hex string
+ */
+function bytecodeHasSelector(code, selector) {
+    const bytes = selector.slice(2).replace(/^(00)+/, '');
+    const length = Math.max(bytes.length / 2, 1);
+    const push = (0x5f + length).toString(16);
+    const needle = push + (bytes || '00');
+
+    // Only matches on byte boundaries count; skip past misaligned hits
+    let index = code.indexOf(needle, 2);
+    while (index !== -1) {
+        if (index % 2 === 0) return true;
+        index = code.indexOf(needle, index + 1);
+    }
+    return false;
+}
+
+/**
+ * List the ABI functions the deployed contract doesn't implement
+ * @param {ethers.providers.Provider} provider
+ * @param {string} address - Deployed contract address
+ * @param {Array} abi - Contract ABI
+ * @returns {Promise<string[]>} Signatures of the missing functions, e.g. "recordRebate(string,string,uint256)"
+ */
+async function findMissingFunctions(provider, address, abi) {
+    const code = (await provider.getCode(address)).toLowerCase();
+    if (code === '0x') {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    const iface = new ethers.utils.Interface(abi);
+    return Object.values(iface.functions)
+        .filter(fragment => !bytecodeHasSelector(code, iface.getSighash(fragment)))
+        .map(fragment => fragment.format());
+}
@@ -1,4 +1,39 @@
 // Cash Rebate Admin Interface
+
+// What each role can do on this page. Roles come from the contract: its owner,
+// authorities (isAuthorized) and everyone else, who can still look records up.
+const ROLE_CAPABILITIES = {
+    viewer: [],
+    authority: ['record', 'approve', 'manageRecords'],
+    owner: ['record', 'approve', 'manageRecords', 'manageAuthorities']
+};
+
+const ROLE_DESCRIPTIONS = {
+    viewer: '👁️ Viewer: look up records and rebate history',
+    authority: '🛡️ Authority: record and approve rebates and change record status',
+    owner: '👑 Owner: record and approve rebates, change record status and manage authorities'
+};
+
+// Readable explanations for the contract's revert reasons
+const CONTRACT_REVERT_MESSAGES = {
+    'Status is already set to this value': 'The record already has that status, so nothing was changed. Another authority may have updated it in the meantime.',
+    'Invalid record ID': 'That record does not exist',
+    'Not authorized to record rebates': 'Your wallet is not authorized to record rebates',
+    'Batch size too large': 'Batches are limited to 100 rebates',
+    'Address is already an authority': 'Address is already an authority',
+    'Cannot add zero address as authority': 'Cannot add zero address as authority',
+    'Address is not an authority': 'Address is not an authority',
+    'OwnableUnauthorizedAccount': 'Only the contract owner (or, to accept a transfer, the pending owner) can do this',
+    'No pending ownership transfer': 'There is no pending ownership transfer to cancel',
+    'Rebate needs maker-checker approval': 'Rebates above the approval threshold need a second authority\'s approval',
+    'Rebate request expired': 'The rebate request has expired; the maker has to sign a new one',
+    'Rebate request already used': 'The rebate request was already recorded or withdrawn',
+    'Invalid maker signature': 'The maker\'s signature doesn\'t match the request',
+    'Maker is not an authority': 'The request\'s maker is no longer an authority',
+    'Checker is not an authority': 'Your wallet is not an authority',
+    'Maker cannot approve own request': 'A different authority has to approve this request'
+};
+
 class RebateAdmin {
     constructor() {
         this.provider = null;
@@ -6,6 +41,36 @@ class RebateAdmin {
         this.contract = null;
         this.isConnected = false;
         this.currentFormData = null;
+        // Fee estimate shown in the confirmation modal, for currentFormData
+        this.currentEstimate = null;
+        this.bulkImport = null;
+        this.managedRecord = null;
+        this.pendingStatusChange = null;
+        this.account = null;
+        this.isOwner = false;
+        // 'viewer', 'authority' or 'owner', see ROLE_CAPABILITIES
+        this.role = 'viewer';
+        this.pendingOwner = null;
+        this.isPendingOwner = false;
+        this.indexer = null;
+        this.duplicateChecker = null;
+        this.txQueue = null;
+        // Rebates above this amount (wei) need maker-checker approval; null when none do
+        this.approvalThreshold = null;
+        this.approvalInbox = null;
+        // Relayer for gasless recording, when the deployment has one (see relayer.js)
+        this.relayer = null;
+        this.rebatePrograms = new RebatePrograms();
+        // Client whose rebates count towards program caps in the form
+        this.capUsage = { clientId: null, usage: new Map() };
+        this.pendingAuthorityRemoval = null;
+        // ABI functions the deployed bytecode doesn't implement
+        this.missingFunctions = [];
+        // Wallets found by discoverWallets, and the one connected (null: read-only)
+        this.wallets = [];
+        this.wallet = null;
+        this.walletListeners = null;
+        this.reconnecting = Promise.resolve();
         this.init();
     }
 
@@ -14,46 +79,204 @@ class RebateAdmin {
         
         // Update loading status
         const loadingScripts = document.getElementById('loading-scripts');
-        const connecting = document.getElementById('connecting');
         if (loadingScripts) loadingScripts.style.display = 'none';
-        if (connecting) connecting.style.display = 'inline';
         
         // Always setup event listeners first
         this.setupEventListeners();
         
-        // Add quick network check first
-        await this.checkNetworkStatus();
+        // Reconnect the wallet used last, or the only one installed
+        this.wallets = await discoverWallets();
+        console.log(`🔌 Found ${this.wallets.length} wallet(s):`, this.wallets.map(wallet => wallet.name));
+        const rememberedId = getRememberedWalletId();
+        this.wallet = this.wallets.find(wallet => wallet.id === rememberedId) ||
+            (this.wallets.length === 1 && !isLocalKeySignerAvailable() ? this.wallets[0] : null);
+        this.watchWallet(this.wallet);
+        
+        await this.connect();
+        
+        if (!this.wallet && (this.wallets.length > 0 || isLocalKeySignerAvailable())) {
+            this.showWalletPicker();
+        }
+    }
+
+    /**
+     * Connect with the selected wallet, or read-only without one, and load the page
+     */
+    async connect() {
+        const connecting = document.getElementById('connecting');
+        if (connecting) connecting.style.display = 'inline';
         
         try {
-            await this.initializeWeb3();
+            // Add quick network check first
+            await this.checkNetworkStatus();
+            
+            if (!await this.initializeWeb3()) {
+                return; // Switching network; chainChanged reconnects
+            }
+            this.startTransactionQueue();
             await this.loadRecentRecords();
+            await this.loadOwnershipStatus();
+            await this.loadApprovals();
+            await this.loadRelayer();
+            if (this.isOwner) {
+                await this.loadAuthorityConsole();
+            }
             console.log('✅ Rebate Admin initialized successfully');
-            
-            // Hide loading indicator
-            if (connecting) connecting.style.display = 'none';
         } catch (error) {
             console.error('❌ Failed to initialize admin interface:', error);
-            
+            this.showDetailedError(error);
+        } finally {
             // Hide loading indicator
             if (connecting) connecting.style.display = 'none';
+        }
+    }
+
+    /**
+     * Drop the current connection and connect again, e.g. after the wallet
+     * switched account or network. Calls run one after another.
+     */
+    reinitialize(reason) {
+        console.log(`🔄 Re-initializing: ${reason}`);
+        
+        this.reconnecting = this.reconnecting.then(async () => {
+            if (this.txQueue) this.txQueue.stop();
+            this.hideConfirmationModal();
             
-            this.showDetailedError(error);
+            this.provider = null;
+            this.signer = null;
+            this.contract = null;
+            this.txQueue = null;
+            this.approvalThreshold = null;
+            this.approvalInbox = null;
+            this.relayer = null;
+            this.indexer = null;
+            this.duplicateChecker = null;
+            this.isConnected = false;
+            this.account = null;
+            this.isOwner = false;
+            this.role = 'viewer';
+            this.pendingOwner = null;
+            this.isPendingOwner = false;
+            this.capUsage = { clientId: null, usage: new Map() };
+            this.missingFunctions = [];
+            
+            // Shown again if the new account or network calls for them
+            document.getElementById('authority-console').style.display = 'none';
+            document.getElementById('ownership-banner').style.display = 'none';
+            document.getElementById('network-warning').style.display = 'none';
+            
+            await this.connect();
+        });
+        return this.reconnecting;
+    }
+
+    // Wallet Methods
+    /**
+     * Re-initialize when the wallet's account or network changes, instead of
+     * reloading the page
+     */
+    watchWallet(wallet) {
+        this.unwatchWallet();
+        if (!wallet || !wallet.provider || typeof wallet.provider.on !== 'function') return;
+        
+        const onAccountsChanged = accounts => {
+            const account = accounts[0] || null;
+            // Wallets also announce the account when they first connect
+            if (account && this.account && account.toLowerCase() === this.account.toLowerCase()) return;
+            this.reinitialize(account ? `account changed to ${account}` : 'wallet disconnected');
+        };
+        const onChainChanged = chainId => this.reinitialize(`network changed to chain ${parseInt(chainId, 16)}`);
+        
+        wallet.provider.on('accountsChanged', onAccountsChanged);
+        wallet.provider.on('chainChanged', onChainChanged);
+        this.walletListeners = { provider: wallet.provider, onAccountsChanged, onChainChanged };
+    }
+
+    unwatchWallet() {
+        if (!this.walletListeners) return;
+        
+        const { provider, onAccountsChanged, onChainChanged } = this.walletListeners;
+        provider.removeListener('accountsChanged', onAccountsChanged);
+        provider.removeListener('chainChanged', onChainChanged);
+        this.walletListeners = null;
+    }
+
+    /**
+     * Connect another wallet, or none to view read-only
+     */
+    async selectWallet(wallet) {
+        this.hideWalletPicker();
+        this.wallet = wallet;
+        // Private keys are only kept in memory
+        rememberWalletId(wallet && wallet.id !== LOCAL_KEY_WALLET_ID ? wallet.id : null);
+        this.watchWallet(wallet);
+        await this.reinitialize(wallet ? `connecting ${wallet.name}` : 'switching to read-only');
+    }
+
+    showWalletPicker() {
+        const list = document.getElementById('wallet-list');
+        
+        if (this.wallets.length === 0) {
+            list.innerHTML = `
+                <p>No browser wallets found. Install one such as
+                <a href="https://metamask.io/download/" target="_blank">MetaMask</a> and reload the page.</p>
+            `;
+        } else {
+            list.innerHTML = this.wallets.map((wallet, index) => {
+                // EIP-6963 icons are data URIs supplied by the wallet
+                const icon = /^data:image\/[^"]+$/.test(wallet.icon || '')
+                    ? `<img src="${wallet.icon}" alt="" class="wallet-icon">`
+                    : '<span class="wallet-icon">👛</span>';
+                const current = this.wallet && this.wallet.id === wallet.id ? ' (connected)' : '';
+                return `
+                    <button type="button" class="wallet-option" data-wallet-index="${index}">
+                        ${icon}<span>${this.escapeHtml(wallet.name)}${current}</span>
+                    </button>
+                `;
+            }).join('');
+        }
+        
+        document.getElementById('local-key-option').style.display = isLocalKeySignerAvailable() ? 'block' : 'none';
+        this.validateField('local-key', null);
+        document.getElementById('wallet-modal').style.display = 'flex';
+    }
+
+    hideWalletPicker() {
+        document.getElementById('wallet-modal').style.display = 'none';
+        document.getElementById('local-key').value = '';
+    }
+
+    /**
+     * Sign with a private key typed in, on the Hardhat network only
+     */
+    connectLocalKey() {
+        let signer;
+        try {
+            signer = createLocalKeySigner(document.getElementById('local-key').value.trim());
+        } catch (error) {
+            const message = isLocalKeySignerAvailable() ? 'Enter a valid private key (0x followed by 64 hex characters)' : error.message;
+            this.validateField('local-key', message);
+            return;
         }
+        
+        this.selectWallet({ id: LOCAL_KEY_WALLET_ID, name: 'Local private key', icon: '', provider: null, signer });
     }
 
     async checkNetworkStatus() {
-        if (typeof window.ethereum !== 'undefined') {
+        const walletProvider = this.wallet && this.wallet.provider;
+        if (walletProvider) {
             try {
-                const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+                const chainId = await walletProvider.request({ method: 'eth_chainId' });
                 const chainIdDecimal = parseInt(chainId, 16);
                 
                 if (chainIdDecimal !== CONFIG.network.chainId) {
                     const networkNames = {
                         1: 'Ethereum Mainnet',
-                        137: 'Polygon Mainnet', 
-                        80002: 'Polygon Amoy Testnet',
                         11155111: 'Sepolia Testnet'
                     };
+                    Object.values(CONFIG.deployments).forEach(deployment => {
+                        networkNames[deployment.network.chainId] = deployment.network.name;
+                    });
                     
                     const currentNetworkName = networkNames[chainIdDecimal] || `Chain ID ${chainIdDecimal}`;
                     
@@ -66,7 +289,7 @@ class RebateAdmin {
                         networkNameSpan.textContent = currentNetworkName;
                         warningBanner.style.display = 'block';
                         
-                        switchBtn.onclick = () => this.switchToAmoyNetwork();
+                        switchBtn.onclick = () => this.switchToConfiguredNetwork();
                     }
                 }
             } catch (error) {
@@ -78,28 +301,16 @@ class RebateAdmin {
     showDetailedError(error) {
         let errorHtml = `<strong>Connection Error:</strong><br>`;
         
-        if (error.message.includes('not authorized')) {
-            errorHtml += `
-                🔐 <strong>Authorization Issue:</strong><br>
-                ${error.message}<br><br>
-                <strong>Solutions:</strong><br>
-                • Make sure you're using the wallet that deployed the contract<br>
-                • Check if your address is added as an authorized user<br>
-                • Verify you're on the correct network (Polygon Amoy)<br>
-                <button onclick="window.rebateAdmin.runDiagnostics()" class="btn btn-secondary" style="margin-top: 10px;">
-                    🔍 Run Diagnostics
-                </button>
-            `;
-        } else if (error.message.includes('Wrong network') || error.message.includes('switch to')) {
+        if (error.message.includes('Wrong network') || error.message.includes('switch to')) {
             errorHtml += `
                 🌐 <strong>Network Issue:</strong><br>
                 ${error.message}<br><br>
                 <strong>Auto-Fix Available:</strong><br>
-                <button onclick="window.rebateAdmin.switchToAmoyNetwork()" class="btn btn-primary" style="margin-top: 10px;">
-                    🔄 Auto-Switch to Polygon Amoy
+                <button onclick="window.rebateAdmin.switchToConfiguredNetwork()" class="btn btn-primary" style="margin-top: 10px;">
+                    🔄 Auto-Switch to ${CONFIG.network.name}
                 </button>
-                <button onclick="window.rebateAdmin.addAmoyNetwork()" class="btn btn-secondary" style="margin-top: 10px;">
-                    ➕ Add Amoy Network
+                <button onclick="window.rebateAdmin.addConfiguredNetwork()" class="btn btn-secondary" style="margin-top: 10px;">
+                    ➕ Add ${CONFIG.network.name}
                 </button>
             `;
         } else if (error.message.includes('Contract connection failed')) {
@@ -107,24 +318,23 @@ class RebateAdmin {
                 📡 <strong>Contract Issue:</strong><br>
                 ${error.message}<br><br>
                 <strong>Solutions:</strong><br>
-                • Make sure you're on Polygon Amoy network<br>
+                • Make sure you're on the ${CONFIG.network.name} network<br>
                 • Contract might be temporarily unavailable<br>
                 • Try the wallet test page to diagnose further<br>
                 <button onclick="window.location.href='wallet-test.html'" class="btn btn-secondary" style="margin-top: 10px;">
                     🧪 Run Wallet Test
                 </button>
             `;
-        } else if (error.message.includes('MetaMask')) {
+        } else if (error.message.includes('Wallet')) {
             errorHtml += `
-                🦊 <strong>MetaMask Issue:</strong><br>
+                🦊 <strong>Wallet Issue:</strong><br>
                 ${error.message}<br><br>
                 <strong>Solutions:</strong><br>
-                • Install MetaMask browser extension<br>
-                • Reload the page after installing<br>
-                • Make sure MetaMask is unlocked<br>
-                <a href="https://metamask.io/download/" target="_blank" class="btn btn-primary" style="margin-top: 10px;">
-                    📥 Download MetaMask
-                </a>
+                • Make sure your wallet is unlocked and approve the connection<br>
+                • Choose another wallet, or install one such as MetaMask and reload the page<br>
+                <button onclick="window.rebateAdmin.showWalletPicker()" class="btn btn-primary" style="margin-top: 10px;">
+                    🔌 Choose Wallet
+                </button>
             `;
         } else {
             errorHtml += `
@@ -142,43 +352,49 @@ class RebateAdmin {
         this.showStatus('error', errorHtml);
     }
 
-    async addAmoyNetwork() {
+    /**
+     * Add the selected deployment's network to the wallet
+     */
+    async addConfiguredNetwork() {
         try {
-            await window.ethereum.request({
+            await this.wallet.provider.request({
                 method: 'wallet_addEthereumChain',
                 params: [{
                     chainId: CONFIG.network.chainIdHex,
                     chainName: CONFIG.network.name,
                     nativeCurrency: CONFIG.network.nativeCurrency,
                     rpcUrls: CONFIG.network.rpcUrls,
-                    blockExplorerUrls: [CONFIG.network.explorerUrl]
+                    blockExplorerUrls: CONFIG.network.explorerUrl ? [CONFIG.network.explorerUrl] : undefined
                 }]
             });
             
-            this.showStatus('success', 'Amoy network added! Please try connecting again.');
-            setTimeout(() => location.reload(), 2000);
+            // Wallets switch to a network they add; chainChanged then reconnects
+            this.showStatus('success', `${CONFIG.network.name} added to your wallet.`);
         } catch (error) {
             this.showStatus('error', `Failed to add network: ${error.message}`);
         }
     }
 
-    async switchToAmoyNetwork() {
+    /**
+     * Switch the wallet to the selected deployment's network, adding it if needed
+     */
+    async switchToConfiguredNetwork() {
         try {
             // First try to switch to existing network
-            await window.ethereum.request({
+            await this.wallet.provider.request({
                 method: 'wallet_switchEthereumChain',
                 params: [{ chainId: CONFIG.network.chainIdHex }],
             });
             
-            this.showStatus('success', 'Switched to Polygon Amoy! Refreshing...');
-            setTimeout(() => location.reload(), 1500);
+            // chainChanged reconnects on the new network
+            this.showStatus('success', `Switched to ${CONFIG.network.name}! Reconnecting...`);
             
         } catch (switchError) {
             console.log('Switch failed, trying to add network:', switchError);
             
             // If network doesn't exist, add it
             if (switchError.code === 4902 || switchError.code === -32603) {
-                await this.addAmoyNetwork();
+                await this.addConfiguredNetwork();
             } else {
                 throw switchError;
             }
@@ -190,27 +406,31 @@ class RebateAdmin {
         
         let diagnosticHtml = '<h4>🔍 Diagnostic Results:</h4><br>';
         
-        // Check 1: MetaMask availability
-        if (typeof window.ethereum !== 'undefined') {
-            diagnosticHtml += '✅ MetaMask detected<br>';
+        // Check 1: Wallet selected
+        const walletProvider = this.wallet && this.wallet.provider;
+        if (this.wallet && this.wallet.id === LOCAL_KEY_WALLET_ID) {
+            diagnosticHtml += `✅ Signing with a local private key for ${this.wallet.signer.address}<br>`;
+            diagnosticHtml += `🌐 RPC: ${CONFIG.network.rpcUrls[0]}<br>`;
+        } else if (walletProvider) {
+            diagnosticHtml += `✅ ${this.escapeHtml(this.wallet.name)} selected<br>`;
             
             try {
                 // Check 2: Account access
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+                const accounts = await walletProvider.request({ method: 'eth_accounts' });
                 if (accounts.length > 0) {
                     diagnosticHtml += `✅ Wallet connected: ${accounts[0].slice(0,6)}...${accounts[0].slice(-4)}<br>`;
                     
                     // Check 3: Network
-                    const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+                    const chainId = await walletProvider.request({ method: 'eth_chainId' });
                     const chainIdDecimal = parseInt(chainId, 16);
                     diagnosticHtml += `🌐 Current network: Chain ID ${chainIdDecimal}<br>`;
                     
                     if (chainIdDecimal === CONFIG.network.chainId) {
-                        diagnosticHtml += '✅ Correct network (Polygon Amoy)<br>';
+                        diagnosticHtml += `✅ Correct network (${CONFIG.network.name})<br>`;
                         
                         // Check 4: Contract accessibility
                         try {
-                            const provider = new ethers.providers.Web3Provider(window.ethereum);
+                            const provider = new ethers.providers.Web3Provider(walletProvider);
                             const contract = new ethers.Contract(CONFIG.contractAddress, CONFIG.contractABI, provider);
                             
                             const owner = await contract.owner();
@@ -222,29 +442,31 @@ class RebateAdmin {
                             const isOwner = accounts[0].toLowerCase() === owner.toLowerCase();
                             
                             if (isAuthorized || isOwner) {
-                                diagnosticHtml += '✅ Wallet is authorized<br>';
+                                diagnosticHtml += `✅ Wallet is ${isOwner ? 'the owner' : 'an authority'}<br>`;
                                 diagnosticHtml += '<strong>✅ All checks passed! Try refreshing the page.</strong>';
                             } else {
-                                diagnosticHtml += '❌ Wallet is NOT authorized<br>';
-                                diagnosticHtml += `<strong>Solution:</strong> Use the owner wallet (${owner.slice(0,6)}...${owner.slice(-4)}) or add your wallet as an authority.`;
+                                diagnosticHtml += 'ℹ️ Wallet is not an authority, so it can only view records<br>';
+                                diagnosticHtml += `<strong>To record rebates:</strong> use the owner wallet (${owner.slice(0,6)}...${owner.slice(-4)}) or ask the owner to add your wallet as an authority.`;
                             }
                         } catch (contractError) {
                             diagnosticHtml += `❌ Contract error: ${contractError.message}<br>`;
                         }
                     } else {
                         diagnosticHtml += `❌ Wrong network! Expected: ${CONFIG.network.chainId}<br>`;
-                        diagnosticHtml += `<button onclick="window.rebateAdmin.addAmoyNetwork()" class="btn btn-primary">Add Amoy Network</button>`;
+                        diagnosticHtml += `<button onclick="window.rebateAdmin.addConfiguredNetwork()" class="btn btn-primary">Add ${CONFIG.network.name}</button>`;
                     }
                 } else {
                     diagnosticHtml += '❌ No wallet connected<br>';
-                    diagnosticHtml += 'Please connect your MetaMask wallet and try again.';
+                    diagnosticHtml += `Please unlock ${this.escapeHtml(this.wallet.name)} and try again.`;
                 }
             } catch (error) {
                 diagnosticHtml += `❌ Wallet error: ${error.message}<br>`;
             }
         } else {
-            diagnosticHtml += '❌ MetaMask not detected<br>';
-            diagnosticHtml += '<a href="https://metamask.io/download/" target="_blank">Download MetaMask</a>';
+            diagnosticHtml += `❌ No wallet connected (${this.wallets.length} found)<br>`;
+            diagnosticHtml += this.wallets.length > 0 || isLocalKeySignerAvailable()
+                ? '<button onclick="window.rebateAdmin.showWalletPicker()" class="btn btn-primary">Connect Wallet</button>'
+                : '<a href="https://metamask.io/download/" target="_blank">Download MetaMask</a>';
         }
         
         this.showStatus('info', diagnosticHtml);
@@ -253,23 +475,28 @@ class RebateAdmin {
     async initializeWeb3() {
         // Check if ethers is available
         if (typeof ethers === 'undefined') {
-            throw new Error('🦊 MetaMask Issue: ethers.js library not loaded - please refresh the page');
+            throw new Error('🦊 Wallet Issue: ethers.js library not loaded - please refresh the page');
         }
         
         console.log('✅ Ethers.js loaded, version:', ethers.version);
         
-        // Check if MetaMask is available
-        if (typeof window.ethereum !== 'undefined') {
+        if (this.wallet) {
             try {
-                console.log('🦊 MetaMask detected, requesting account access...');
-                
-                // Request account access
-                const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-                console.log('✅ Account access granted:', accounts[0]);
-                
-                // Create provider and signer
-                this.provider = new ethers.providers.Web3Provider(window.ethereum);
-                this.signer = this.provider.getSigner();
+                if (this.wallet.id === LOCAL_KEY_WALLET_ID) {
+                    console.log('🔑 Signing with a local private key:', this.wallet.signer.address);
+                    this.signer = this.wallet.signer;
+                    this.provider = this.signer.provider;
+                } else {
+                    console.log(`🦊 ${this.wallet.name} selected, requesting account access...`);
+                    
+                    // Request account access
+                    const accounts = await this.wallet.provider.request({ method: 'eth_requestAccounts' });
+                    console.log('✅ Account access granted:', accounts[0]);
+                    
+                    // Create provider and signer
+                    this.provider = new ethers.providers.Web3Provider(this.wallet.provider);
+                    this.signer = this.provider.getSigner();
+                }
                 
                 // Verify network and auto-switch if needed
                 const network = await this.provider.getNetwork();
@@ -277,13 +504,16 @@ class RebateAdmin {
                 console.log(`🎯 Expected network: ${CONFIG.network.name} (Chain ID: ${CONFIG.network.chainId})`);
                 
                 if (network.chainId !== CONFIG.network.chainId) {
+                    if (!this.wallet.provider) {
+                        throw new Error(`${CONFIG.network.rpcUrls[0]} is on Chain ID ${network.chainId}, but ${CONFIG.network.name} is Chain ID ${CONFIG.network.chainId}`);
+                    }
                     console.log('⚠️ Wrong network detected, attempting auto-switch...');
                     
                     this.showStatus('info', `Wrong network detected. Switching to ${CONFIG.network.name}...`);
                     
                     try {
-                        await this.switchToAmoyNetwork();
-                        return; // Exit here, page will reload after switch
+                        await this.switchToConfiguredNetwork();
+                        return false; // chainChanged reconnects after the switch
                     } catch (switchError) {
                         console.error('Auto-switch failed:', switchError);
                         throw new Error(`❌ Please manually switch to ${CONFIG.network.name} (Chain ID: ${CONFIG.network.chainId}). Currently on Chain ID: ${network.chainId}`);
@@ -297,6 +527,9 @@ class RebateAdmin {
                     this.signer
                 );
                 
+                // Report functions the deployment is missing before calling any
+                await this.checkDeployedAbi();
+                
                 // Test contract connectivity immediately
                 console.log('🔗 Testing contract connection...');
                 try {
@@ -307,45 +540,20 @@ class RebateAdmin {
                     throw new Error(`Contract connection failed: ${contractError.message}`);
                 }
                 
-                // Verify authorization
+                // Any wallet can connect; its role decides what it can do here
                 const signerAddress = await this.signer.getAddress();
-                console.log(`🔍 Checking authorization for wallet: ${signerAddress}`);
-                
-                // Known deployment address (should be authorized)
-                const DEPLOYMENT_ADDRESS = '0x3393520e9078C0702d932569ea6E197995dc8D25';
+                this.account = signerAddress;
+                this.isConnected = true;
+                this.updateConnectionStatus(true, signerAddress);
                 
                 try {
-                    const owner = await this.contract.owner();
-                    console.log(`� Contract owner: ${owner}`);
-                    
-                    // Check if connected wallet is the owner
-                    const isOwner = signerAddress.toLowerCase() === owner.toLowerCase();
-                    console.log(`🔐 Is owner: ${isOwner}`);
-                    
-                    if (isOwner) {
-                        console.log('✅ Connected as contract owner - full authorization');
-                    } else {
-                        // Check if authorized via isAuthorized function
-                        const isAuthorized = await this.contract.isAuthorized(signerAddress);
-                        console.log(`🔐 Authorization status: ${isAuthorized}`);
-                        
-                        if (!isAuthorized) {
-                            throw new Error(`❌ Wallet not authorized. Expected deployment wallet: ${DEPLOYMENT_ADDRESS.slice(0,6)}...${DEPLOYMENT_ADDRESS.slice(-4)}, Your wallet: ${signerAddress.slice(0,6)}...${signerAddress.slice(-4)}`);
-                        }
-                    }
-                } catch (authError) {
-                    console.error('Authorization check failed:', authError);
-                    if (authError.message.includes('not authorized')) {
-                        throw authError; // Re-throw our custom error
-                    }
-                    throw new Error(`Contract connection failed: ${authError.message}`);
+                    await this.loadRole();
+                } catch (roleError) {
+                    throw new Error(`Contract connection failed: ${roleError.message}`);
                 }
                 
-                this.isConnected = true;
-                this.updateConnectionStatus(true, signerAddress);
-                
             } catch (error) {
-                throw new Error(`MetaMask connection failed: ${error.message}`);
+                throw new Error(`Wallet connection failed (${this.wallet.name}): ${error.message}`);
             }
         } else {
             // Fallback to read-only mode for viewing
@@ -358,21 +566,64 @@ class RebateAdmin {
             
             this.isConnected = false;
             this.updateConnectionStatus(false);
-            this.showStatus('info', 'MetaMask not detected. Install MetaMask to record rebates. Currently in view-only mode.');
+            await this.loadRole();
+            this.showStatus('info', this.wallets.length > 0 || isLocalKeySignerAvailable()
+                ? 'No wallet connected. Connect a wallet to record rebates. Currently in view-only mode.'
+                : 'No wallet detected. Install a wallet such as MetaMask to record rebates. Currently in view-only mode.');
+            await this.checkDeployedAbi();
+        }
+        return true;
+    }
+
+    /**
+     * Compare the ABI's function selectors with the deployed bytecode and
+     * warn about any functions the deployment doesn't have
+     */
+    async checkDeployedAbi() {
+        try {
+            const missing = await findMissingFunctions(this.provider, CONFIG.contractAddress, CONFIG.contractABI);
+            this.missingFunctions = missing;
+            
+            if (missing.length > 0) {
+                console.warn(`⚠️ Deployment at ${CONFIG.contractAddress} is missing ${missing.length} ABI function(s):`, missing);
+                this.showStatus('warning', `
+                    <strong>⚠️ This deployment doesn't match the admin ABI.</strong><br>
+                    Missing functions: ${missing.map(signature => `<code>${signature}</code>`).join(', ')}<br>
+                    Actions that use them will fail until the contract is redeployed.
+                `);
+            } else {
+                console.log('✅ Deployed bytecode matches the ABI');
+            }
+        } catch (error) {
+            // Connection problems surface from the contract calls that follow
+            console.warn('⚠️ ABI check failed:', error.message);
         }
     }
 
     setupEventListeners() {
+        // Deployment selector
+        const deploymentSelect = document.getElementById('deployment-select');
+        if (deploymentSelect) {
+            setupDeploymentSelector(deploymentSelect);
+        }
+        const expectedNetwork = document.getElementById('expected-network-name');
+        if (expectedNetwork) {
+            expectedNetwork.textContent = CONFIG.network.name;
+        }
+
         // Form validation on input
-        document.getElementById('client-id').addEventListener('blur', () => this.validateClientId());
+        document.getElementById('client-id').addEventListener('blur', () => {
+            if (this.validateClientId()) this.refreshClientCapUsage();
+        });
         document.getElementById('product-id').addEventListener('blur', () => this.validateProductId());
         document.getElementById('purchase-amount').addEventListener('blur', () => this.validatePurchaseAmount());
         document.getElementById('rebate-percentage').addEventListener('change', () => this.handleRebatePercentageChange());
         document.getElementById('custom-rebate').addEventListener('blur', () => this.validateCustomRebate());
+        document.getElementById('override-justification').addEventListener('blur', () => this.validateJustification());
         document.getElementById('transaction-hash').addEventListener('blur', () => this.validateTransactionHash());
 
         // Real-time validation
-        document.querySelectorAll('#rebate-form input, #rebate-form select').forEach(input => {
+        document.querySelectorAll('#rebate-form input, #rebate-form select, #rebate-form textarea').forEach(input => {
             input.addEventListener('input', () => this.updatePreview());
         });
 
@@ -384,105 +635,146 @@ class RebateAdmin {
         // Modal actions
         document.getElementById('cancel-recording').addEventListener('click', () => this.hideConfirmationModal());
         document.getElementById('confirm-recording').addEventListener('click', () => this.recordRebate());
+        document.getElementById('duplicate-warning').addEventListener('change', (e) => {
+            if (e.target.id === 'duplicate-override') {
+                document.getElementById('confirm-recording').disabled = !e.target.checked;
+            }
+        });
+
+        // Bulk import
+        document.getElementById('bulk-file').addEventListener('change', (e) => this.handleBulkFile(e.target.files[0]));
+        document.getElementById('bulk-submit-btn').addEventListener('click', () => this.submitBulkImport());
+        document.getElementById('bulk-clear-btn').addEventListener('click', () => this.clearBulkImport());
+        document.getElementById('bulk-duplicates').addEventListener('change', (e) => {
+            if (e.target.id === 'bulk-duplicate-override' && this.bulkImport) {
+                this.bulkImport.duplicatesOverridden = e.target.checked;
+                this.renderBulkImport();
+            }
+        });
+
+        // Record management
+        document.getElementById('manage-lookup-btn').addEventListener('click', () => this.lookUpRecord());
+        document.getElementById('manage-record-id').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.lookUpRecord();
+        });
+        document.getElementById('manage-record-details').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-new-status]');
+            if (button) this.showStatusChangeModal(button.dataset.newStatus === 'true');
+        });
+        document.getElementById('recent-records-list').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-manage-record]');
+            if (link) {
+                e.preventDefault();
+                document.getElementById('manage-record-id').value = link.dataset.manageRecord;
+                document.getElementById('manage-record-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+                this.lookUpRecord();
+            }
+        });
+        document.getElementById('cancel-status-change').addEventListener('click', () => this.hideStatusChangeModal());
+        document.getElementById('confirm-status-change').addEventListener('click', () => this.updateRecordStatus());
 
-        // Close modal on overlay click
+        // Close modals on overlay click
         document.getElementById('confirmation-modal').addEventListener('click', (e) => {
             if (e.target.id === 'confirmation-modal') {
                 this.hideConfirmationModal();
             }
         });
-    }
-
-    // Validation Methods
-    validateClientId() {
-        const input = document.getElementById('client-id');
-        const value = input.value.trim();
-        const group = document.getElementById('client-id-group');
-        const error = document.getElementById('client-id-error');
-
-        group.classList.remove('error');
-
-        if (!value) {
-            this.showFieldError(group, error, 'Customer ID is required');
-            return false;
-        }
+        document.getElementById('status-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'status-modal') {
+                this.hideStatusChangeModal();
+            }
+        });
+        document.getElementById('authority-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'authority-modal') {
+                this.hideAuthorityRemovalModal();
+            }
+        });
 
-        if (value.length < 3) {
-            this.showFieldError(group, error, 'Customer ID must be at least 3 characters');
-            return false;
-        }
+        // Transaction queue
+        document.getElementById('tx-queue-list').addEventListener('click', (e) => {
+            const speedUp = e.target.closest('[data-speed-up-tx]');
+            const cancel = e.target.closest('[data-cancel-tx]');
+            if (speedUp) this.speedUpTransaction(speedUp.dataset.speedUpTx);
+            if (cancel) this.cancelTransaction(cancel.dataset.cancelTx);
+        });
+        document.getElementById('approval-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-approval-action]');
+            if (!button) return;
+
+            const { approvalAction, approvalId } = button.dataset;
+            if (approvalAction === 'approve') this.approveRequest(approvalId);
+            if (approvalAction === 'reject') this.rejectRequest(approvalId);
+            if (approvalAction === 'copy') this.shareRequest(approvalId);
+            if (approvalAction === 'withdraw') this.withdrawRequest(approvalId);
+            if (approvalAction === 'remove') {
+                this.getApprovalInbox().remove(approvalId);
+                this.renderApprovals();
+            }
+        });
+        document.getElementById('approval-import-btn').addEventListener('click', () => this.importRequest());
+        document.getElementById('set-approval-threshold-btn').addEventListener('click', () => this.setApprovalThreshold());
+        document.getElementById('tx-queue-clear-btn').addEventListener('click', () => {
+            if (this.txQueue) {
+                this.txQueue.clearSettled();
+                this.renderTransactionQueue();
+            }
+        });
 
-        if (value.length > 50) {
-            this.showFieldError(group, error, 'Customer ID must be less than 50 characters');
-            return false;
-        }
+        // Authority management (owner only)
+        document.getElementById('authority-address').addEventListener('input', () => this.validateAuthorityAddress());
+        document.getElementById('add-authority-btn').addEventListener('click', () => this.addAuthority());
+        document.getElementById('authority-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-authority]');
+            if (button) this.showAuthorityRemovalModal(button.dataset.removeAuthority);
+        });
+        document.getElementById('cancel-authority-removal').addEventListener('click', () => this.hideAuthorityRemovalModal());
 
-        // Check for valid characters (alphanumeric, underscore, dash, @ for emails)
-        const validPattern = /^[a-zA-Z0-9_@.-]+$/;
-        if (!validPattern.test(value)) {
-            this.showFieldError(group, error, 'Customer ID can only contain letters, numbers, @, -, _, and .');
-            return false;
-        }
+        // Two-step ownership transfer
+        document.getElementById('accept-ownership-btn').addEventListener('click', () => this.acceptOwnership());
+        document.getElementById('ownership-transfer').addEventListener('input', (e) => {
+            if (e.target.id === 'new-owner-address') this.validateNewOwnerAddress();
+        });
+        document.getElementById('ownership-transfer').addEventListener('click', (e) => {
+            if (e.target.closest('#start-transfer-btn')) this.startOwnershipTransfer();
+            if (e.target.closest('#cancel-transfer-btn')) this.cancelOwnershipTransfer();
+        });
+        document.getElementById('confirm-authority-removal').addEventListener('click', () => this.removeAuthority());
 
-        return true;
+        // Wallet picker
+        document.getElementById('connect-wallet-btn').addEventListener('click', () => this.showWalletPicker());
+        document.getElementById('wallet-list').addEventListener('click', (e) => {
+            const option = e.target.closest('[data-wallet-index]');
+            if (option) this.selectWallet(this.wallets[Number(option.dataset.walletIndex)]);
+        });
+        document.getElementById('connect-local-key-btn').addEventListener('click', () => this.connectLocalKey());
+        document.getElementById('wallet-read-only-btn').addEventListener('click', () => this.selectWallet(null));
+        document.getElementById('cancel-wallet-btn').addEventListener('click', () => this.hideWalletPicker());
     }
 
-    validateProductId() {
-        const input = document.getElementById('product-id');
-        const value = input.value.trim();
-        const group = document.getElementById('product-id-group');
-        const error = document.getElementById('product-id-error');
+    // Validation Methods (rules live in rebate-validation.js, shared with bulk import)
+    validateField(fieldId, message) {
+        const group = document.getElementById(`${fieldId}-group`);
+        const error = document.getElementById(`${fieldId}-error`);
 
         group.classList.remove('error');
 
-        if (!value) {
-            this.showFieldError(group, error, 'Product ID is required');
-            return false;
-        }
-
-        if (value.length < 2) {
-            this.showFieldError(group, error, 'Product ID must be at least 2 characters');
-            return false;
-        }
-
-        if (value.length > 50) {
-            this.showFieldError(group, error, 'Product ID must be less than 50 characters');
-            return false;
-        }
-
-        const validPattern = /^[a-zA-Z0-9_-]+$/;
-        if (!validPattern.test(value)) {
-            this.showFieldError(group, error, 'Product ID can only contain letters, numbers, underscore, and dash');
+        if (message) {
+            this.showFieldError(group, error, message);
             return false;
         }
-
         return true;
     }
 
-    validatePurchaseAmount() {
-        const input = document.getElementById('purchase-amount');
-        const value = parseFloat(input.value);
-        const group = document.getElementById('purchase-amount-group');
-        const error = document.getElementById('purchase-amount-error');
-
-        group.classList.remove('error');
-
-        if (isNaN(value) || value <= 0) {
-            this.showFieldError(group, error, 'Purchase amount must be a positive number');
-            return false;
-        }
-
-        if (value < 0.01) {
-            this.showFieldError(group, error, 'Purchase amount must be at least $0.01');
-            return false;
-        }
+    validateClientId() {
+        return this.validateField('client-id', RebateValidation.clientId(document.getElementById('client-id').value));
+    }
 
-        if (value > 1000000) {
-            this.showFieldError(group, error, 'Purchase amount cannot exceed $1,000,000');
-            return false;
-        }
+    validateProductId() {
+        return this.validateField('product-id', RebateValidation.productId(document.getElementById('product-id').value));
+    }
 
-        return true;
+    validatePurchaseAmount() {
+        return this.validateField('purchase-amount', RebateValidation.purchaseAmount(document.getElementById('purchase-amount').value));
     }
 
     handleRebatePercentageChange() {
@@ -490,6 +782,9 @@ class RebateAdmin {
         const customGroup = document.getElementById('custom-rebate-group');
         const customInput = document.getElementById('custom-rebate');
 
+        // Anything but the program rate is an override and needs a justification
+        document.getElementById('override-justification-group').style.display = select.value ? 'block' : 'none';
+
         if (select.value === 'custom') {
             customGroup.style.display = 'block';
             customInput.required = true;
@@ -506,54 +801,22 @@ class RebateAdmin {
         const select = document.getElementById('rebate-percentage');
         if (select.value !== 'custom') return true;
 
-        const input = document.getElementById('custom-rebate');
-        const value = parseFloat(input.value);
-        const group = document.getElementById('custom-rebate-group');
-        const error = document.getElementById('custom-rebate-error');
-
-        group.classList.remove('error');
-
-        if (isNaN(value) || value <= 0) {
-            this.showFieldError(group, error, 'Custom rebate amount must be a positive number');
-            return false;
-        }
-
-        if (value < 0.01) {
-            this.showFieldError(group, error, 'Rebate amount must be at least $0.01');
-            return false;
-        }
+        return this.validateField('custom-rebate', RebateValidation.customRebate(
+            document.getElementById('custom-rebate').value,
+            document.getElementById('purchase-amount').value
+        ));
+    }
 
-        const purchaseAmount = parseFloat(document.getElementById('purchase-amount').value);
-        if (!isNaN(purchaseAmount) && value > purchaseAmount) {
-            this.showFieldError(group, error, 'Rebate amount cannot exceed purchase amount');
-            return false;
-        }
+    validateJustification() {
+        if (!document.getElementById('rebate-percentage').value) return true;
 
-        return true;
+        return this.validateField('override-justification', RebateValidation.justification(
+            document.getElementById('override-justification').value
+        ));
     }
 
     validateTransactionHash() {
-        const input = document.getElementById('transaction-hash');
-        const value = input.value.trim();
-        const group = document.getElementById('transaction-hash-group');
-        const error = document.getElementById('transaction-hash-error');
-
-        group.classList.remove('error');
-
-        if (!value) return true; // Optional field
-
-        // Basic format check for transaction hash
-        if (value.length > 0 && value.length < 10) {
-            this.showFieldError(group, error, 'Transaction hash seems too short');
-            return false;
-        }
-
-        if (value.length > 200) {
-            this.showFieldError(group, error, 'Transaction hash is too long');
-            return false;
-        }
-
-        return true;
+        return this.validateField('transaction-hash', RebateValidation.transactionHash(document.getElementById('transaction-hash').value));
     }
 
     showFieldError(group, errorElement, message) {
@@ -567,32 +830,77 @@ class RebateAdmin {
             this.validateProductId(),
             this.validatePurchaseAmount(),
             this.validateCustomRebate(),
+            this.validateJustification(),
             this.validateTransactionHash()
         ];
 
         return validations.every(valid => valid);
     }
 
-    calculateRebateAmount() {
+    /**
+     * Rebate for the form: from the product's program, or the entered override
+     * @returns {{amount: number, rule: string, programRule: string, override: boolean, error: string|null}}
+     */
+    getRebateQuote() {
+        const clientId = document.getElementById('client-id').value.trim();
+        const productId = document.getElementById('product-id').value.trim();
         const purchaseAmount = parseFloat(document.getElementById('purchase-amount').value);
         const rebatePercentage = document.getElementById('rebate-percentage').value;
-        const customRebate = parseFloat(document.getElementById('custom-rebate').value);
 
-        if (isNaN(purchaseAmount)) return 0;
+        if (!productId) {
+            return { amount: 0, rule: '', programRule: '', override: false, error: null };
+        }
+
+        // Caps count the client's earlier rebates once they have been loaded
+        const usage = this.capUsage.clientId === clientId ? this.capUsage.usage : new Map();
+        const program = this.rebatePrograms.calculate(productId, purchaseAmount, usage);
+        const programRule = program.error || program.rule;
 
-        if (rebatePercentage === 'custom') {
-            return isNaN(customRebate) ? 0 : customRebate;
+        if (!rebatePercentage) {
+            return { amount: program.amount, rule: program.rule, programRule, override: false, error: program.error };
+        }
+
+        return {
+            amount: calculateRebate(purchaseAmount, rebatePercentage, parseFloat(document.getElementById('custom-rebate').value)),
+            rule: rebatePercentage === 'custom' ? 'Manual override: custom amount' : `Manual override: ${rebatePercentage}%`,
+            programRule,
+            override: true,
+            error: null
+        };
+    }
+
+    calculateRebateAmount() {
+        return this.getRebateQuote().amount;
+    }
+
+    /**
+     * Load the client's rebates counting towards program caps
+     * @returns {Promise<Map<string, number>>} Program ID -> USD
+     */
+    async loadClientCapUsage(clientId) {
+        if (this.capUsage.clientId !== clientId) {
+            this.capUsage = { clientId, usage: await this.rebatePrograms.loadCapUsage(this.contract, clientId) };
         }
+        return this.capUsage.usage;
+    }
+
+    async refreshClientCapUsage() {
+        if (!this.contract) return;
 
-        const percentage = parseFloat(rebatePercentage);
-        return isNaN(percentage) ? 0 : (purchaseAmount * percentage / 100);
+        try {
+            await this.loadClientCapUsage(document.getElementById('client-id').value.trim());
+        } catch (error) {
+            console.warn('⚠️ Could not load client rebates for program caps:', error.message);
+        }
+        this.updatePreview();
     }
 
     updatePreview() {
         const clientId = document.getElementById('client-id').value.trim();
         const productId = document.getElementById('product-id').value.trim();
         const purchaseAmount = parseFloat(document.getElementById('purchase-amount').value);
-        const rebateAmount = this.calculateRebateAmount();
+        const quote = this.getRebateQuote();
+        const rebateAmount = quote.amount;
         const rebatePercentage = document.getElementById('rebate-percentage').value;
 
         // Update preview elements
@@ -605,15 +913,22 @@ class RebateAdmin {
 
         if (rebatePercentage === 'custom') {
             document.getElementById('preview-percentage').textContent = 'Custom Amount';
+        } else if (rebatePercentage) {
+            document.getElementById('preview-percentage').textContent = `${rebatePercentage}%`;
         } else {
-            document.getElementById('preview-percentage').textContent = 
-                rebatePercentage ? `${rebatePercentage}%` : 'Not selected';
+            document.getElementById('preview-percentage').textContent = 'Program rate';
         }
 
+        let rule = quote.error || quote.rule || 'Not entered';
+        if (quote.override) {
+            rule = `${quote.rule} (program: ${quote.programRule})`;
+        }
+        document.getElementById('preview-rule').textContent = rule;
+
         // Enable/disable record button
         const recordBtn = document.getElementById('record-btn');
         const isValid = this.validateAllFields() && rebateAmount > 0;
-        recordBtn.disabled = !isValid || !this.isConnected;
+        recordBtn.disabled = !isValid || !this.can('record');
     }
 
     previewRebate() {
@@ -622,9 +937,13 @@ class RebateAdmin {
             return;
         }
 
-        const rebateAmount = this.calculateRebateAmount();
-        if (rebateAmount <= 0) {
-            this.showStatus('error', 'Please select a rebate percentage or enter a custom amount');
+        const quote = this.getRebateQuote();
+        if (quote.error) {
+            this.showStatus('error', `${this.escapeHtml(quote.error)}. Choose an override rate and give a justification to record a rebate anyway.`);
+            return;
+        }
+        if (quote.amount <= 0) {
+            this.showStatus('error', 'Please enter a purchase amount or a custom rebate amount');
             return;
         }
 
@@ -638,23 +957,42 @@ class RebateAdmin {
         });
     }
 
-    showConfirmationModal() {
+    async showConfirmationModal() {
         if (!this.validateAllFields()) {
             this.showStatus('error', 'Please fix all validation errors first');
             return;
         }
 
-        const rebateAmount = this.calculateRebateAmount();
-        if (rebateAmount <= 0) {
+        // Caps must count the client's latest rebates
+        const clientId = document.getElementById('client-id').value.trim();
+        try {
+            this.capUsage.clientId = null;
+            await this.loadClientCapUsage(clientId);
+        } catch (error) {
+            console.error('❌ Failed to load client rebates:', error);
+            this.showStatus('error', `Couldn't load ${this.escapeHtml(clientId)}'s rebates to check program caps: ${this.escapeHtml(error.message)}`);
+            return;
+        }
+
+        const quote = this.getRebateQuote();
+        if (quote.error) {
+            this.showStatus('error', `${this.escapeHtml(quote.error)}. Choose an override rate and give a justification to record a rebate anyway.`);
+            return;
+        }
+        if (quote.amount <= 0) {
             this.showStatus('error', 'Please calculate a valid rebate amount');
             return;
         }
 
         // Store current form data
         this.currentFormData = {
-            clientId: document.getElementById('client-id').value.trim(),
+            clientId,
             productId: document.getElementById('product-id').value.trim(),
-            rebateAmount: rebateAmount,
+            rebateAmount: quote.amount,
+            rule: quote.rule,
+            programRule: quote.programRule,
+            override: quote.override,
+            justification: quote.override ? document.getElementById('override-justification').value.trim() : '',
             transactionHash: document.getElementById('transaction-hash').value.trim() || `REBATE_${Date.now()}`
         };
 
@@ -662,74 +1000,443 @@ class RebateAdmin {
         document.getElementById('modal-customer').textContent = this.currentFormData.clientId;
         document.getElementById('modal-product').textContent = this.currentFormData.productId;
         document.getElementById('modal-rebate').textContent = `$${this.currentFormData.rebateAmount.toFixed(2)}`;
-
-        // Show modal
+        document.getElementById('modal-rule').textContent = this.currentFormData.override
+            ? `${this.currentFormData.rule}. Justification: ${this.currentFormData.justification}`
+            : this.currentFormData.rule;
+
+        // Show modal, held unconfirmable until the duplicate check passes or is overridden
+        const confirmBtn = document.getElementById('confirm-recording');
+        const needsApproval = this.needsApproval(ethers.utils.parseEther(this.currentFormData.rebateAmount.toString()));
+        confirmBtn.textContent = needsApproval ? '✍️ Sign for Approval' : '✅ Confirm & Record';
+        document.getElementById('approval-note').style.display = needsApproval ? 'block' : 'none';
+        const warning = document.getElementById('duplicate-warning');
+        confirmBtn.disabled = true;
+        warning.style.display = 'block';
+        warning.innerHTML = '🔎 Checking for duplicate records...';
         document.getElementById('confirmation-modal').style.display = 'flex';
-    }
 
-    hideConfirmationModal() {
-        document.getElementById('confirmation-modal').style.display = 'none';
-    }
+        const formData = this.currentFormData;
+        this.showFeeEstimate(formData);
 
-    async recordRebate() {
-        if (!this.currentFormData) {
-            this.showStatus('error', 'No rebate data to record');
+        let duplicates = [];
+        try {
+            const found = await this.getDuplicateChecker().findDuplicates([{
+                clientId: formData.clientId,
+                productId: formData.productId,
+                amount: ethers.utils.parseEther(formData.rebateAmount.toString()),
+                transactionHash: formData.transactionHash
+            }]);
+            duplicates = found.get(0) || [];
+        } catch (error) {
+            console.warn('⚠️ Duplicate check failed:', error);
+            warning.innerHTML = `⚠️ Couldn't check for duplicates (${this.escapeHtml(error.message)}). Check the client's records before confirming.`;
+            confirmBtn.disabled = false;
             return;
         }
 
-        this.hideConfirmationModal();
-        this.showLoading();
-
-        try {
-            // Convert amount to wei
-            const amountInWei = ethers.utils.parseEther(this.currentFormData.rebateAmount.toString());
-            
-            console.log('🔄 Recording rebate on blockchain...');
-            console.log('Data:', this.currentFormData);
-
-            // Call smart contract
-            const tx = await this.contract.recordRebate(
-                this.currentFormData.clientId,
-                this.currentFormData.productId,
-                amountInWei,
-                this.currentFormData.transactionHash
-            );
+        // The form may have been submitted again while the check ran
+        if (this.currentFormData !== formData) return;
 
-            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
-            console.log('⏳ Transaction submitted:', tx.hash);
+        if (duplicates.length === 0) {
+            warning.style.display = 'none';
+            confirmBtn.disabled = false;
+            return;
+        }
 
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            console.log('✅ Transaction confirmed:', receipt);
+        warning.innerHTML = `
+            <strong>⚠️ Possible duplicate</strong><br>
+            ${this.escapeHtml(formData.clientId)} already has a rebate for ${this.escapeHtml(formData.productId)} with the same amount:
+            <ul>${duplicates.map(match => `<li>${this.describeDuplicate(match)}</li>`).join('')}</ul>
+            <label class="duplicate-override">
+                <input type="checkbox" id="duplicate-override">
+                I've checked these and want to record this rebate anyway
+            </label>
+        `;
+    }
 
-            // Success handling
-            this.showStatus('success', `
-                ✅ Rebate recorded successfully!<br>
-                <strong>Transaction Hash:</strong> ${tx.hash}<br>
-                <strong>Block:</strong> ${receipt.blockNumber}<br>
-                <strong>Gas Used:</strong> ${receipt.gasUsed}<br>
-                <a href="${CONFIG.network.explorerUrl}/tx/${tx.hash}" target="_blank">View on PolygonScan</a>
-            `);
+    /**
+     * Estimate the recording transaction's cost for the confirmation modal and
+     * warn when the wallet's balance won't cover it
+     */
+    async showFeeEstimate(formData) {
+        const gas = document.getElementById('modal-gas');
+        const fees = document.getElementById('modal-fees');
+        const warning = document.getElementById('fee-warning');
+        gas.textContent = 'Estimating...';
+        fees.textContent = '';
+        warning.style.display = 'none';
+        this.currentEstimate = null;
+
+        // The contract would refuse it; the approving authority pays to record it
+        if (this.needsApproval(ethers.utils.parseEther(formData.rebateAmount.toString()))) {
+            gas.textContent = 'Paid by the authority that approves it';
+            return;
+        }
+        if (this.useRelayer()) {
+            gas.textContent = 'Paid by the relayer (gasless recording)';
+            return;
+        }
 
-            // Clear form and refresh data
-            this.clearForm();
-            await this.loadRecentRecords();
+        try {
+            const request = await this.buildRecordRequest(formData);
+            const estimate = await estimateTransactionCost(this.provider, { ...request, from: this.account });
+            if (this.currentFormData !== formData) return;
+
+            this.currentEstimate = { formData, estimate };
+            gas.textContent = `~${this.formatNative(estimate.expectedCost)} ` +
+                `(${estimate.gasEstimate.toNumber().toLocaleString()} gas, at most ${this.formatNative(estimate.maxCost)})`;
+            fees.textContent = this.describeFees(estimate.fees);
+
+            if (estimate.insufficientFunds) {
+                warning.innerHTML = `
+                    <strong>⚠️ Insufficient funds:</strong> your balance of ${this.formatNative(estimate.balance)}
+                    doesn't cover the maximum fee of ${this.formatNative(estimate.maxCost)}.
+                    Your wallet will reject this transaction until you add ${CONFIG.network.nativeCurrency.symbol}.
+                `;
+                warning.style.display = 'block';
+            }
+        } catch (error) {
+            if (this.currentFormData !== formData) return;
+
+            console.warn('⚠️ Fee estimate failed:', error);
+            gas.textContent = 'Unavailable';
+            warning.innerHTML = `⚠️ Couldn't estimate the network fee: ${this.escapeHtml(this.describeTransactionError(error))}`;
+            warning.style.display = 'block';
+        }
+    }
+
+    buildRecordRequest(formData) {
+        return this.contract.populateTransaction.recordRebate(
+            formData.clientId,
+            formData.productId,
+            ethers.utils.parseEther(formData.rebateAmount.toString()),
+            RebateReference.format(formData)
+        );
+    }
+
+    /**
+     * Amount of the network's native token, e.g. "0.0042 POL"
+     */
+    formatNative(wei) {
+        const amount = Number(ethers.utils.formatEther(wei)).toLocaleString('en-US', { maximumSignificantDigits: 4 });
+        return `${amount} ${CONFIG.network.nativeCurrency.symbol}`;
+    }
+
+    describeFees(fees) {
+        const gwei = value => `${Number(ethers.utils.formatUnits(value, 'gwei')).toLocaleString('en-US', { maximumFractionDigits: 2 })} gwei`;
+
+        if (fees.gasPrice) {
+            return `${gwei(fees.gasPrice)} gas price`;
+        }
+        return `${gwei(fees.baseFeePerGas)} base + ${gwei(fees.maxPriorityFeePerGas)} priority (max ${gwei(fees.maxFeePerGas)})`;
+    }
+
+    /**
+     * One line describing what a rebate matched in the duplicate check
+     * @param {Object} match - Match from DuplicateChecker.findDuplicates
+     * @param {Array} batch - Rebates the check ran on, for matches within them
+     */
+    describeDuplicate(match, batch = []) {
+        const { reference: matchReference } = RebateReference.parse(match.transactionHash);
+        const reference = DuplicateChecker.isAutoReference(matchReference)
+            ? 'no reference entered'
+            : `reference ${this.escapeHtml(matchReference)}`;
+
+        if (match.source === 'recorded') {
+            return `Record #${match.recordId} (${reference})`;
+        }
+        if (match.source === 'pending') {
+            const tx = match.txHash ? `transaction ${match.txHash.slice(0, 10)}...` : 'waiting for wallet confirmation';
+            return `Submitted from this browser and not yet confirmed, ${tx} (${reference})`;
+        }
+        const row = batch[match.index] ? `row ${batch[match.index].rowNumber}` : 'an earlier row';
+        return `Same as ${row} in this file (${reference})`;
+    }
+
+    getIndexer() {
+        if (!this.indexer) {
+            this.indexer = new RebateEventIndexer(this.contract, this.provider, {
+                startBlock: CONFIG.startBlock,
+                blockRange: CONFIG.logBlockRange
+            });
+        }
+        return this.indexer;
+    }
+
+    getDuplicateChecker() {
+        if (!this.duplicateChecker) {
+            this.duplicateChecker = new DuplicateChecker(this.contract, this.getIndexer());
+        }
+        return this.duplicateChecker;
+    }
+
+    hideConfirmationModal() {
+        document.getElementById('confirmation-modal').style.display = 'none';
+    }
+
+    async recordRebate() {
+        if (!this.currentFormData) {
+            this.showStatus('error', 'No rebate data to record');
+            return;
+        }
+
+        const overrideBox = document.getElementById('duplicate-override');
+        if (overrideBox && overrideBox.checked) {
+            console.warn('⚠️ Recording despite possible duplicate:', this.currentFormData);
+        }
+
+        const formData = this.currentFormData;
+        if (this.needsApproval(ethers.utils.parseEther(formData.rebateAmount.toString()))) {
+            await this.requestApproval(formData);
+            return;
+        }
+
+        this.hideConfirmationModal();
+        this.showLoading('Waiting for wallet confirmation...');
+
+        const checker = this.getDuplicateChecker();
+        let pendingKey = null;
+
+        try {
+            // Convert amount to wei
+            const amountInWei = ethers.utils.parseEther(formData.rebateAmount.toString());
+            
+            console.log('🔄 Recording rebate on blockchain...');
+            console.log('Data:', formData);
+
+            // Flag this rebate to later duplicate checks until it is mined
+            pendingKey = checker.trackPending([{ ...formData, amount: amountInWei }]);
+
+            // Send with the gas and fees shown in the modal
+            const request = await this.buildRecordRequest(formData);
+            if (this.currentEstimate && this.currentEstimate.formData === formData) {
+                const { estimate } = this.currentEstimate;
+                Object.assign(request, { gasLimit: estimate.gasLimit }, feeOverrides(estimate.fees));
+            }
+
+            // Queue the transaction; handleQueueChange picks it up once it is mined
+            const entry = await this.queueRecording(request, {
+                kind: 'recordRebate',
+                label: `$${formData.rebateAmount.toFixed(2)} rebate for ${formData.clientId} (${formData.productId})`,
+                meta: { pendingKey }
+            });
+            checker.setPendingTransaction(pendingKey, entry.hash);
 
+            this.clearForm();
+            this.showStatus('info', `
+                ⏳ Rebate queued: ${entry.hash}${entry.relayedFor ? ' (the relayer pays the network fee)' : ''}<br>
+                It is recorded once the transaction is mined. You can enter the next rebate meanwhile;
+                follow its progress in the Transaction Queue.
+            `);
         } catch (error) {
             console.error('❌ Failed to record rebate:', error);
             
-            let errorMessage = 'Failed to record rebate: ';
-            if (error.code === 'ACTION_REJECTED') {
-                errorMessage += 'Transaction was cancelled by user';
-            } else if (error.code === 'INSUFFICIENT_FUNDS') {
-                errorMessage += 'Insufficient funds for gas fees';
-            } else if (error.message.includes('not authorized')) {
-                errorMessage += 'Your wallet is not authorized to record rebates';
+            if (pendingKey) checker.releasePending(pendingKey);
+
+            this.showStatus('error', 'Failed to record rebate: ' + this.escapeHtml(this.describeTransactionError(error)));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Queue a recording transaction, sent by the relayer when gasless
+     * recording is on
+     */
+    queueRecording(request, details) {
+        return this.useRelayer()
+            ? this.txQueue.relay(this.relayer, this.signer, request, details)
+            : this.txQueue.send(this.signer, request, details);
+    }
+
+    // Relayer Methods
+    /**
+     * Offer gasless recording when the deployment has a relayer, the contract
+     * trusts its forwarder and the relayer answers
+     */
+    async loadRelayer() {
+        this.relayer = null;
+
+        if (this.isConnected && CONFIG.relayerUrl && CONFIG.forwarderAddress &&
+            !this.missingFunctions.includes('isTrustedForwarder(address)')) {
+            try {
+                if (!await this.contract.isTrustedForwarder(CONFIG.forwarderAddress)) {
+                    throw new Error(`the contract doesn't trust the forwarder at ${CONFIG.forwarderAddress}`);
+                }
+
+                const relayer = new RelayerClient(CONFIG.relayerUrl, CONFIG.forwarderAddress, this.provider);
+                const status = await relayer.status();
+                if (String(status.tracker).toLowerCase() !== CONFIG.contractAddress.toLowerCase()) {
+                    throw new Error(`the relayer relays to ${status.tracker}`);
+                }
+
+                this.relayer = relayer;
+                console.log(`⛽ Gasless recording through ${CONFIG.relayerUrl}, paid by ${status.relayer}`);
+            } catch (error) {
+                console.warn('⚠️ Relayer unavailable, recording needs gas:', error.message);
+            }
+        }
+        this.applyRelayer();
+    }
+
+    applyRelayer() {
+        document.getElementById('gasless-option').style.display = this.relayer && this.can('record') ? 'flex' : 'none';
+    }
+
+    useRelayer() {
+        return this.relayer !== null && this.can('record') && document.getElementById('use-relayer').checked;
+    }
+
+    // Transaction Queue Methods
+    startTransactionQueue() {
+        this.txQueue = new TransactionQueue(this.provider, {
+            storageKey: TransactionQueue.storageKeyFor(CONFIG.contractAddress),
+            onChange: (entry, receipt) => this.handleQueueChange(entry, receipt)
+        });
+        this.renderTransactionQueue();
+        this.txQueue.start();
+    }
+
+    /**
+     * Finish off queued transactions once they are settled; they may have been
+     * sent before the page was reloaded
+     */
+    async handleQueueChange(entry, receipt) {
+        this.renderTransactionQueue();
+        if (entry.status === 'pending') return;
+
+        if (entry.kind === 'recordRebate') {
+            const { pendingKey } = entry.meta;
+            this.getDuplicateChecker().releasePending(pendingKey);
+
+            if (entry.status === 'mined') {
+                this.showStatus('success', `
+                    ✅ Rebate recorded successfully!<br>
+                    <strong>Rebate:</strong> ${this.escapeHtml(entry.label)}<br>
+                    <strong>Transaction Hash:</strong> ${entry.hash}<br>
+                    <strong>Block:</strong> ${receipt.blockNumber}<br>
+                    <strong>Gas Used:</strong> ${receipt.gasUsed}<br>
+                    ${CONFIG.network.explorerUrl ? `<a href="${CONFIG.network.explorerUrl}/tx/${entry.hash}" target="_blank">View on Block Explorer</a>` : ''}
+                `);
+            } else if (entry.status === 'failed') {
+                this.showStatus('error', `Rebate not recorded: ${this.escapeHtml(entry.label)}. Transaction ${entry.hash} reverted.`);
             } else {
-                errorMessage += error.message;
+                this.showStatus('warning', `Rebate not recorded: ${this.escapeHtml(entry.label)}. Its transaction was ${entry.replacedBy === 'cancel' ? 'cancelled' : 'replaced by another transaction'}.`);
             }
+        } else if (entry.kind === 'recordApprovedRebate') {
+            this.handleApprovalSettled(entry, receipt);
+        } else if (entry.kind === 'cancelRebateRequest') {
+            this.handleWithdrawalSettled(entry);
+        }
+
+        if (this.contract) await this.loadRecentRecords();
+    }
+
+    /**
+     * IDs of the records a confirmed transaction created, in order
+     */
+    recordIdsFromReceipt(receipt) {
+        const topic = this.contract.interface.getEventTopic('RebateRecorded');
+        return receipt.logs
+            .filter(log => log.topics[0] === topic)
+            // parseLog drops argument names for events with indexed strings, see indexer.js
+            .map(log => this.contract.interface.decodeEventLog('RebateRecorded', log.data, log.topics).recordId.toNumber());
+    }
+
+    renderTransactionQueue() {
+        const list = document.getElementById('tx-queue-list');
+        const entries = this.txQueue ? this.txQueue.entries : [];
+
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="loading">No transactions sent from this browser yet.</div>';
+            return;
+        }
+
+        const statusLabels = {
+            pending: 'Pending',
+            mined: 'Mined',
+            failed: 'Failed',
+            replaced: 'Replaced'
+        };
+        const statusClasses = { pending: 'pending', mined: 'active', failed: 'inactive', replaced: 'replaced' };
+        const account = (this.account || '').toLowerCase();
+
+        list.innerHTML = `
+            <table class="tx-queue-table">
+                <thead><tr><th>Transaction</th><th>Nonce</th><th>Status</th><th>Sent</th><th></th></tr></thead>
+                <tbody>
+                    ${entries.map(entry => {
+                        const hashLink = CONFIG.network.explorerUrl
+                            ? `<a href="${CONFIG.network.explorerUrl}/tx/${entry.hash}" target="_blank">${entry.hash.slice(0, 10)}...</a>`
+                            : `<code>${entry.hash.slice(0, 10)}...</code>`;
+                        const replacements = entry.sent.filter(sent => sent.type !== 'original');
+                        let note = '';
+                        if (entry.status === 'replaced') {
+                            note = entry.replacedBy === 'cancel' ? 'Cancelled' : 'Nonce used by another transaction';
+                        } else if (entry.status === 'mined' || entry.status === 'failed') {
+                            note = `Block ${entry.blockNumber}`;
+                        } else if (replacements.length > 0) {
+                            note = `${replacements[replacements.length - 1].type === 'cancel' ? 'Cancel' : 'Speed-up'} sent`;
+                        }
+                        if (entry.relayedFor) {
+                            note = note ? `${note}, relayed` : 'Relayed';
+                        }
+                        const canReplace = entry.status === 'pending' && this.isConnected && !entry.relayedFor &&
+                            entry.from.toLowerCase() === account;
+                        const actions = canReplace ? `
+                            <button type="button" class="btn btn-secondary btn-small" data-speed-up-tx="${entry.id}">🚀 Speed Up</button>
+                            <button type="button" class="btn btn-danger btn-small" data-cancel-tx="${entry.id}">✖️ Cancel</button>
+                        ` : '';
+
+                        return `
+                            <tr>
+                                <td>${this.escapeHtml(entry.label)}<br>${hashLink}</td>
+                                <td>${entry.nonce}</td>
+                                <td>
+                                    <span class="record-status ${statusClasses[entry.status]}">${statusLabels[entry.status]}</span>
+                                    ${note ? `<br><small>${note}</small>` : ''}
+                                </td>
+                                <td>${new Date(entry.submittedAt).toLocaleString()}</td>
+                                <td class="tx-actions">${actions}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async speedUpTransaction(id) {
+        try {
+            this.showLoading('Waiting for wallet confirmation...');
+            const entry = await this.txQueue.speedUp(id, this.signer);
+            this.showStatus('info', `🚀 Speed-up sent for nonce ${entry.nonce}. Whichever transaction is mined first counts.`);
+        } catch (error) {
+            console.error('❌ Failed to speed up transaction:', error);
+            this.showStatus('error', 'Failed to speed up transaction: ' + this.escapeHtml(this.describeTransactionError(error)));
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            this.showStatus('error', errorMessage);
+    async cancelTransaction(id) {
+        const entry = this.txQueue.get(id);
+        if (!entry) return;
+
+        const confirmed = window.confirm(
+            `Cancel "${entry.label}"?\n\n` +
+            `This sends an empty transaction with nonce ${entry.nonce} and a higher fee. ` +
+            'If the original is mined first, it still goes through.'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.showLoading('Waiting for wallet confirmation...');
+            await this.txQueue.cancel(id, this.signer);
+            this.showStatus('info', `Cancel sent for nonce ${entry.nonce}. It takes effect if mined before the original.`);
+        } catch (error) {
+            console.error('❌ Failed to cancel transaction:', error);
+            this.showStatus('error', 'Failed to cancel transaction: ' + this.escapeHtml(this.describeTransactionError(error)));
         } finally {
             this.hideLoading();
         }
@@ -738,6 +1445,9 @@ class RebateAdmin {
     clearForm() {
         document.getElementById('rebate-form').reset();
         document.getElementById('custom-rebate-group').style.display = 'none';
+        document.getElementById('override-justification-group').style.display = 'none';
+        document.getElementById('preview-rule').textContent = '';
+        this.capUsage = { clientId: null, usage: new Map() };
         document.getElementById('preview-section').classList.remove('show');
         
         // Clear all error states
@@ -751,6 +1461,1359 @@ class RebateAdmin {
         this.showStatus('info', 'Form cleared. Ready for new rebate entry.');
     }
 
+    // Bulk Import Methods
+    async handleBulkFile(file) {
+        this.bulkImport = null;
+        this.renderBulkImport();
+        if (!file) return;
+
+        try {
+            const table = await BulkImport.readFile(file);
+            this.bulkImport = new BulkImport(table, { programs: this.rebatePrograms });
+            console.log(`📦 Parsed ${file.name}:`, this.bulkImport.totals);
+
+            if (this.bulkImport.entries.length === 0) {
+                this.showStatus('error', `${this.escapeHtml(file.name)} has no data rows`);
+            } else if (this.contract) {
+                await this.prepareBulkImport(this.bulkImport);
+            }
+        } catch (error) {
+            console.error('❌ Failed to read import file:', error);
+            this.showStatus('error', `Failed to read ${this.escapeHtml(file.name)}: ${this.escapeHtml(error.message)}`);
+        }
+        this.renderBulkImport();
+    }
+
+    /**
+     * Apply client caps, then check for duplicates; both need the contract
+     * @returns {Promise<boolean>} False when the caps couldn't be applied
+     */
+    async prepareBulkImport(bulkImport) {
+        if (!bulkImport.capsApplied) {
+            try {
+                const usageByClient = new Map();
+                for (const clientId of bulkImport.cappedClientIds) {
+                    usageByClient.set(clientId, await this.rebatePrograms.loadCapUsage(this.contract, clientId));
+                }
+                bulkImport.applyClientCaps(usageByClient);
+                console.log(`📏 Applied program caps for ${usageByClient.size} clients`);
+            } catch (error) {
+                console.error('❌ Failed to apply program caps:', error);
+                this.showStatus('error', `Couldn't load client rebates to check program caps: ${this.escapeHtml(error.message)}`);
+                return false;
+            }
+        }
+
+        bulkImport.applyApprovalThreshold(this.approvalThreshold);
+        await this.checkBulkDuplicates(bulkImport);
+        return true;
+    }
+
+    /**
+     * Flag valid rows that match recorded rebates, pending submissions or
+     * earlier rows in the file. Submitting is blocked until they are overridden.
+     */
+    async checkBulkDuplicates(bulkImport) {
+        const entries = bulkImport.validEntries;
+        bulkImport.duplicateCheck = 'running';
+        this.renderBulkImport();
+
+        try {
+            const found = await this.getDuplicateChecker().findDuplicates(entries.map(entry => ({
+                clientId: entry.clientId,
+                productId: entry.productId,
+                amount: entry.amountWei,
+                transactionHash: entry.transactionHash
+            })));
+
+            bulkImport.duplicates = [...found].map(([index, matches]) => ({ entry: entries[index], matches }));
+            bulkImport.duplicateCheck = 'done';
+            console.log(`🔎 Duplicate check: ${bulkImport.duplicates.length} possible duplicate rows`);
+        } catch (error) {
+            console.warn('⚠️ Bulk duplicate check failed:', error);
+            bulkImport.duplicates = [];
+            bulkImport.duplicateCheck = 'failed';
+            bulkImport.duplicateCheckError = error.message;
+        }
+    }
+
+    renderBulkDuplicates() {
+        const container = document.getElementById('bulk-duplicates');
+        const bulkImport = this.bulkImport;
+
+        if (!bulkImport || !bulkImport.duplicateCheck) {
+            container.innerHTML = '';
+        } else if (bulkImport.duplicateCheck === 'running') {
+            container.innerHTML = '<div class="loading">🔎 Checking for duplicate records...</div>';
+        } else if (bulkImport.duplicateCheck === 'failed') {
+            container.innerHTML = `<div class="duplicate-warning">⚠️ Couldn't check for duplicates (${this.escapeHtml(bulkImport.duplicateCheckError)}). Check for rebates that were already recorded before submitting.</div>`;
+        } else if (bulkImport.duplicates.length === 0) {
+            container.innerHTML = '';
+        } else {
+            const entries = bulkImport.validEntries;
+            container.innerHTML = `
+                <div class="duplicate-warning">
+                    <h3>⚠️ Possible Duplicates (${bulkImport.duplicates.length})</h3>
+                    <p>These rows match a rebate with the same client, product and amount. Remove them from the file and upload it again to skip them.</p>
+                    <table class="bulk-error-table">
+                        <thead><tr><th>Row</th><th>Customer ID</th><th>Product ID</th><th>Rebate</th><th>Matches</th></tr></thead>
+                        <tbody>
+                            ${bulkImport.duplicates.map(({ entry, matches }) => `
+                                <tr>
+                                    <td>${entry.rowNumber}</td>
+                                    <td>${this.escapeHtml(entry.clientId)}</td>
+                                    <td>${this.escapeHtml(entry.productId)}</td>
+                                    <td>$${ethers.utils.formatEther(entry.amountWei)}</td>
+                                    <td>${matches.map(match => this.describeDuplicate(match, entries)).join('<br>')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <label class="duplicate-override">
+                        <input type="checkbox" id="bulk-duplicate-override" ${bulkImport.duplicatesOverridden ? 'checked' : ''}
+                            ${bulkImport.isSubmitting || bulkImport.chunks.some(chunk => chunk.status !== 'pending') ? 'disabled' : ''}>
+                        I've checked these rows and want to record them anyway
+                    </label>
+                </div>
+            `;
+        }
+    }
+
+    renderBulkImport() {
+        const summary = document.getElementById('bulk-summary');
+        const progress = document.getElementById('bulk-progress');
+        const errors = document.getElementById('bulk-errors');
+        const submitBtn = document.getElementById('bulk-submit-btn');
+        const fileInput = document.getElementById('bulk-file');
+        const bulkImport = this.bulkImport;
+
+        this.renderBulkDuplicates();
+
+        if (!bulkImport) {
+            summary.innerHTML = '';
+            progress.innerHTML = '';
+            errors.innerHTML = '';
+            submitBtn.disabled = true;
+            submitBtn.textContent = '⛓️ Record Valid Rows';
+            fileInput.disabled = false;
+            return;
+        }
+
+        const totals = bulkImport.totals;
+        summary.innerHTML = `
+            <div class="bulk-totals">
+                <div class="bulk-total"><strong>${totals.rows}</strong>Rows</div>
+                <div class="bulk-total"><strong>${totals.valid}</strong>Valid</div>
+                <div class="bulk-total ${totals.invalid > 0 ? 'invalid' : ''}"><strong>${totals.invalid}</strong>Invalid</div>
+                <div class="bulk-total"><strong>${totals.overrides}</strong>Override${totals.overrides === 1 ? '' : 's'}</div>
+                <div class="bulk-total"><strong>$${totals.purchaseAmount.toFixed(2)}</strong>Purchases</div>
+                <div class="bulk-total"><strong>$${Number(ethers.utils.formatEther(totals.rebateAmountWei)).toFixed(2)}</strong>Rebates</div>
+                <div class="bulk-total"><strong>${totals.chunks}</strong>Transaction${totals.chunks === 1 ? '' : 's'}</div>
+            </div>
+        `;
+
+        // Per-chunk progress once submission has started
+        const started = bulkImport.chunks.some(chunk => chunk.status !== 'pending');
+        if (started) {
+            const percent = totals.valid > 0 ? Math.round(totals.confirmedRows / totals.valid * 100) : 0;
+            const chunkLabels = {
+                pending: '⏸️ Waiting',
+                submitting: '🦊 Waiting for wallet confirmation...',
+                submitted: '⏳ Submitted, waiting for confirmation...',
+                confirmed: '✅ Confirmed',
+                failed: '❌ Failed'
+            };
+
+            progress.innerHTML = `
+                <div><strong>${totals.confirmedRows} of ${totals.valid}</strong> rows recorded (${totals.confirmedChunks}/${totals.chunks} transactions)</div>
+                <div class="bulk-progress-bar"><div class="bulk-progress-fill" style="width: ${percent}%"></div></div>
+                <ul class="bulk-chunks">
+                    ${bulkImport.chunks.map((chunk, index) => {
+                        const first = chunk.entries[0].rowNumber;
+                        const last = chunk.entries[chunk.entries.length - 1].rowNumber;
+                        const txLink = chunk.txHash && CONFIG.network.explorerUrl
+                            ? ` <a href="${CONFIG.network.explorerUrl}/tx/${chunk.txHash}" target="_blank">${chunk.txHash.slice(0, 10)}...</a>`
+                            : '';
+                        const recordRange = chunk.recordIds.length > 0
+                            ? ` (records #${chunk.recordIds[0]}-#${chunk.recordIds[chunk.recordIds.length - 1]})`
+                            : '';
+                        const error = chunk.status === 'failed' && chunk.error
+                            ? `: ${this.escapeHtml(this.describeTransactionError(chunk.error))}`
+                            : '';
+                        return `<li>Batch ${index + 1} (rows ${first}-${last}): ${chunkLabels[chunk.status]}${recordRange}${txLink}${error}</li>`;
+                    }).join('')}
+                </ul>
+            `;
+        } else {
+            progress.innerHTML = '';
+        }
+
+        const invalid = bulkImport.invalidEntries;
+        errors.innerHTML = invalid.length === 0 ? '' : `
+            <h3>⚠️ Rows With Errors (${invalid.length})</h3>
+            <p>These rows will be skipped. Fix them in the file and upload it again to include them.</p>
+            <table class="bulk-error-table">
+                <thead><tr><th>Row</th><th>Customer ID</th><th>Product ID</th><th>Errors</th></tr></thead>
+                <tbody>
+                    ${invalid.map(entry => `
+                        <tr>
+                            <td>${entry.rowNumber}</td>
+                            <td>${this.escapeHtml(entry.clientId)}</td>
+                            <td>${this.escapeHtml(entry.productId)}</td>
+                            <td>${entry.errors.map(error => this.escapeHtml(error.message)).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const nextChunk = bulkImport.nextChunkIndex;
+        const resuming = nextChunk > 0 || bulkImport.chunks.some(chunk => chunk.status === 'failed');
+        if (bulkImport.isComplete) {
+            submitBtn.textContent = '✅ Import Complete';
+        } else if (bulkImport.isSubmitting) {
+            submitBtn.textContent = '⏳ Recording...';
+        } else if (resuming) {
+            submitBtn.textContent = `🔁 Resume from Batch ${nextChunk + 1}`;
+        } else {
+            submitBtn.textContent = `⛓️ Record ${totals.valid} Valid Row${totals.valid === 1 ? '' : 's'}`;
+        }
+        const duplicatesBlocking = bulkImport.duplicateCheck === 'running' ||
+            (bulkImport.duplicates && bulkImport.duplicates.length > 0 && !bulkImport.duplicatesOverridden);
+        submitBtn.disabled = !this.can('record') || bulkImport.isSubmitting || bulkImport.isComplete ||
+            totals.valid === 0 || duplicatesBlocking;
+        fileInput.disabled = bulkImport.isSubmitting;
+    }
+
+    async submitBulkImport() {
+        const bulkImport = this.bulkImport;
+        if (!bulkImport || bulkImport.isSubmitting) return;
+
+        if (!this.can('record')) {
+            this.showStatus('error', 'Connect an authority wallet to record rebates');
+            return;
+        }
+
+        // Files chosen before the wallet connected haven't been checked yet
+        if (!bulkImport.capsApplied || !bulkImport.duplicateCheck) {
+            const capsChanged = !bulkImport.capsApplied;
+            const prepared = await this.prepareBulkImport(bulkImport);
+            this.renderBulkImport();
+            if (!prepared) return;
+            if (bulkImport.duplicates.length > 0) {
+                this.showStatus('warning', 'Some rows may already be recorded. Review the possible duplicates before submitting.');
+                return;
+            }
+            if (capsChanged) {
+                this.showStatus('warning', 'Client program caps have been applied to the file. Review the updated totals before submitting.');
+                return;
+            }
+        }
+
+        // The threshold may have changed since the file was checked
+        if (bulkImport.applyApprovalThreshold(this.approvalThreshold) > 0) {
+            this.renderBulkImport();
+            this.showStatus('warning', 'Some rows are over the approval threshold. Record them through the form so a second authority can approve them.');
+            return;
+        }
+
+        // Batches are relayed like single recordings when gasless recording is
+        // on, in smaller transactions the relayer will pay for
+        const relaying = this.useRelayer();
+        if (bulkImport.setChunkSize(relaying ? BULK_IMPORT_RELAYED_CHUNK_SIZE : BULK_IMPORT_CHUNK_SIZE)) {
+            this.renderBulkImport();
+        }
+
+        const totals = bulkImport.totals;
+        const remaining = totals.valid - totals.confirmedRows;
+        const transactions = totals.chunks - totals.confirmedChunks;
+
+        let feeText = 'Network fees are paid by the relayer (gasless recording).';
+        if (!relaying) {
+            try {
+                this.showLoading('Estimating network fees...');
+                const estimate = await this.estimateBulkCost(bulkImport);
+                feeText = `Estimated network fee: ~${this.formatNative(estimate.expectedCost)} ` +
+                    `(at most ${this.formatNative(estimate.maxCost)}; ${this.describeFees(estimate.fees)}).`;
+                if (estimate.insufficientFunds) {
+                    feeText += `\n\n⚠️ Your balance of ${this.formatNative(estimate.balance)} doesn't cover the maximum fee. ` +
+                        'Your wallet will reject the batches it can\'t pay for.';
+                }
+            } catch (error) {
+                console.warn('⚠️ Bulk fee estimate failed:', error);
+                feeText = `⚠️ Couldn't estimate the network fee: ${this.describeTransactionError(error)}`;
+            } finally {
+                this.hideLoading();
+            }
+        }
+
+        const confirmed = window.confirm(
+            `Record ${remaining} rebate${remaining === 1 ? '' : 's'} in ${transactions} transaction${transactions === 1 ? '' : 's'}?\n\n` +
+            'Once recorded on the blockchain, rebate records cannot be modified or deleted. ' +
+            (relaying ? 'Your wallet will ask you to sign each batch for the relayer.\n\n' : 'Your wallet will ask you to confirm each transaction.\n\n') +
+            feeText
+        );
+        if (!confirmed) return;
+
+        if (bulkImport.duplicatesOverridden) {
+            console.warn(`⚠️ Recording ${bulkImport.duplicates.length} possible duplicate rows`);
+        }
+
+        try {
+            const relay = relaying
+                ? async (request, chunk, index) => (await this.txQueue.relay(this.relayer, this.signer, request, {
+                    kind: 'recordRebatesBatch',
+                    label: `Bulk import batch ${index + 1} of ${bulkImport.chunks.length}: ${chunk.entries.length} rebates`
+                })).hash
+                : null;
+
+            await bulkImport.submit(this.contract, () => {
+                this.trackBulkSubmissions(bulkImport);
+                this.renderBulkImport();
+            }, relay);
+
+            this.showStatus('success', `✅ Bulk import complete: ${totals.valid} rebates recorded in ${totals.chunks} transaction${totals.chunks === 1 ? '' : 's'}.`);
+            await this.loadRecentRecords();
+        } catch (error) {
+            console.error('❌ Bulk import stopped:', error);
+
+            const chunkNumber = bulkImport.nextChunkIndex + 1;
+            this.showStatus('error', `
+                Bulk import stopped at batch ${chunkNumber}: ${this.escapeHtml(this.describeTransactionError(error))}<br>
+                Confirmed batches are kept. Click "Resume from Batch ${chunkNumber}" to continue.
+            `);
+            await this.loadRecentRecords();
+        } finally {
+            this.renderBulkImport();
+        }
+    }
+
+    /**
+     * Total cost of the batches not yet confirmed, each estimated on its own
+     * @returns {Promise<Object>} Summed expectedCost and maxCost, with the fees,
+     *   balance and insufficientFunds as from estimateTransactionCost
+     */
+    async estimateBulkCost(bulkImport) {
+        let total = null;
+
+        for (const chunk of bulkImport.chunks.filter(c => c.status !== 'confirmed')) {
+            const request = await this.contract.populateTransaction.recordRebatesBatch(...BulkImport.batchArguments(chunk));
+            const estimate = await estimateTransactionCost(this.provider, { ...request, from: this.account });
+
+            total = total === null ? estimate : {
+                ...estimate,
+                expectedCost: total.expectedCost.add(estimate.expectedCost),
+                maxCost: total.maxCost.add(estimate.maxCost)
+            };
+        }
+
+        if (total === null) {
+            throw new Error('Every batch is already recorded');
+        }
+        total.insufficientFunds = total.balance.lt(total.maxCost);
+        return total;
+    }
+
+    /**
+     * Mirror each chunk's progress into the duplicate checker's pending
+     * submissions, so other checks see rebates that are sent but not yet mined
+     */
+    trackBulkSubmissions(bulkImport) {
+        const checker = this.getDuplicateChecker();
+
+        for (const chunk of bulkImport.chunks) {
+            if (chunk.status === 'submitting' && !chunk.pendingKey) {
+                chunk.pendingKey = checker.trackPending(chunk.entries.map(entry => ({ ...entry, amount: entry.amountWei })));
+            } else if (chunk.status === 'submitted' && chunk.pendingKey) {
+                checker.setPendingTransaction(chunk.pendingKey, chunk.txHash);
+            } else if (chunk.pendingKey && (chunk.status === 'confirmed' || (chunk.status === 'failed' && !chunk.txHash))) {
+                // Failed chunks with a transaction hash may still be mined; keep flagging them
+                checker.releasePending(chunk.pendingKey);
+                chunk.pendingKey = null;
+            }
+        }
+    }
+
+    clearBulkImport() {
+        if (this.bulkImport && this.bulkImport.isSubmitting) return;
+
+        this.bulkImport = null;
+        document.getElementById('bulk-file').value = '';
+        this.renderBulkImport();
+    }
+
+    describeTransactionError(error) {
+        if (error.code === 'ACTION_REJECTED') {
+            return 'Transaction was cancelled by user';
+        } else if (error.code === 'INSUFFICIENT_FUNDS') {
+            return 'Insufficient funds for gas fees';
+        } else if (error.message && error.message.includes('not authorized')) {
+            return 'Your wallet is not authorized to record rebates';
+        }
+
+        const reason = this.getRevertReason(error);
+        if (reason) {
+            return CONTRACT_REVERT_MESSAGES[reason] || `Contract rejected the transaction: ${reason}`;
+        }
+        return error.message;
+    }
+
+    /**
+     * Find the contract's revert reason in an ethers or wallet error. Wallets
+     * nest the RPC error differently, so check every place it can appear.
+     */
+    getRevertReason(error) {
+        const messages = [
+            error.reason,
+            error.error && error.error.message,
+            error.error && error.error.data && error.error.data.message,
+            error.data && error.data.message,
+            error.message
+        ].filter(message => typeof message === 'string');
+
+        for (const message of messages) {
+            const known = Object.keys(CONTRACT_REVERT_MESSAGES).find(reason => message.includes(reason));
+            if (known) return known;
+        }
+
+        // Custom errors (e.g. from OpenZeppelin's Ownable) only come back as revert data
+        const data = [error.data, error.error && error.error.data, error.error && error.error.data && error.error.data.data]
+            .find(value => typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value));
+        if (data && this.contract) {
+            try {
+                return this.contract.interface.parseError(data).name;
+            } catch (parseError) {
+                // Not an error declared in the ABI
+            }
+        }
+
+        const match = messages.join(' ').match(/reverted with reason string '([^']+)'|execution reverted: ([^",\\]+)/);
+        return match ? (match[1] || match[2]).trim() : null;
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    // Approval Methods
+    getApprovalInbox() {
+        if (!this.approvalInbox) {
+            this.approvalInbox = new ApprovalInbox(CONFIG.contractAddress);
+        }
+        return this.approvalInbox;
+    }
+
+    needsApproval(amountWei) {
+        return this.approvalThreshold !== null && amountWei.gt(this.approvalThreshold);
+    }
+
+    describeApprovalThreshold() {
+        if (this.approvalThreshold === null) {
+            return 'No approval threshold is set: authorities record rebates of any amount on their own.';
+        }
+        return `Rebates over ${formatUsd(ethers.utils.formatEther(this.approvalThreshold))} need a second authority's approval.`;
+    }
+
+    /**
+     * Read the approval threshold and bring the approvals inbox up to date
+     */
+    async loadApprovals() {
+        this.approvalThreshold = null;
+        if (!this.missingFunctions.includes('approvalThreshold()')) {
+            try {
+                const threshold = await this.contract.approvalThreshold();
+                this.approvalThreshold = threshold.isZero() ? null : threshold;
+            } catch (error) {
+                console.warn('⚠️ Could not read the approval threshold:', error.message);
+            }
+        }
+        document.getElementById('approval-threshold-text').textContent = this.describeApprovalThreshold();
+        document.getElementById('owner-approval-threshold-text').textContent = this.describeApprovalThreshold();
+
+        if (!this.can('approve')) return;
+
+        try {
+            const closed = await this.getApprovalInbox().syncUsedNonces(this.contract);
+            if (closed > 0) console.log(`📥 ${closed} request(s) were recorded or withdrawn elsewhere`);
+        } catch (error) {
+            console.warn('⚠️ Could not check approval requests:', error.message);
+        }
+        this.renderApprovals();
+    }
+
+    describeApproval(entry) {
+        const amount = formatUsd(ethers.utils.formatEther(entry.request.amount));
+        return `${amount} rebate for ${entry.request.clientId} (${entry.request.productId})`;
+    }
+
+    renderApprovals() {
+        const list = document.getElementById('approval-list');
+        const entries = this.getApprovalInbox().entries;
+
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="loading">No rebate requests yet.</div>';
+            return;
+        }
+
+        const account = (this.account || '').toLowerCase();
+        const statusLabels = {
+            submitted: 'Recording',
+            recorded: 'Recorded',
+            rejected: 'Rejected',
+            cancelled: 'Withdrawn',
+            closed: 'Recorded or withdrawn elsewhere'
+        };
+        const statusClasses = { awaiting: 'pending', submitted: 'pending', recorded: 'active', rejected: 'inactive', cancelled: 'replaced', closed: 'replaced' };
+
+        list.innerHTML = `
+            <table class="tx-queue-table">
+                <thead><tr><th>Rebate</th><th>Maker</th><th>Status</th><th></th></tr></thead>
+                <tbody>
+                    ${entries.map(entry => {
+                        const { request, details } = entry;
+                        const isMaker = request.maker.toLowerCase() === account;
+                        const expired = ApprovalInbox.isExpired(entry);
+                        const awaiting = entry.status === 'awaiting' && !expired;
+
+                        let status = statusLabels[entry.status];
+                        if (entry.status === 'awaiting') {
+                            status = expired ? 'Expired' : (isMaker ? 'Awaiting a second authority' : 'Awaiting your approval');
+                        }
+                        let note = '';
+                        if (entry.status === 'recorded') {
+                            note = `Record #${entry.recordId}`;
+                        } else if (awaiting) {
+                            note = `Expires ${new Date(Number(request.deadline) * 1000).toLocaleString()}`;
+                        }
+
+                        let actions = `<button type="button" class="btn btn-secondary btn-small" data-approval-action="remove" data-approval-id="${entry.id}">🗑️ Remove</button>`;
+                        if (awaiting && isMaker) {
+                            actions = `
+                                <button type="button" class="btn btn-secondary btn-small" data-approval-action="copy" data-approval-id="${entry.id}">📋 Copy Request</button>
+                                <button type="button" class="btn btn-danger btn-small" data-approval-action="withdraw" data-approval-id="${entry.id}">✖️ Withdraw</button>
+                            `;
+                        } else if (awaiting) {
+                            actions = `
+                                <button type="button" class="btn btn-primary btn-small" data-approval-action="approve" data-approval-id="${entry.id}">✅ Approve &amp; Record</button>
+                                <button type="button" class="btn btn-danger btn-small" data-approval-action="reject" data-approval-id="${entry.id}">❌ Reject</button>
+                            `;
+                        } else if (entry.status === 'submitted') {
+                            actions = '';
+                        }
+
+                        const { reference: requestReference } = RebateReference.parse(request.transactionHash);
+                        const reference = DuplicateChecker.isAutoReference(requestReference)
+                            ? 'no reference entered'
+                            : `reference ${this.escapeHtml(requestReference)}`;
+                        const rule = details.override
+                            ? `⚠️ ${this.escapeHtml(details.rule)} (program: ${this.escapeHtml(details.programRule)})<br>Justification: ${this.escapeHtml(details.justification)}`
+                            : this.escapeHtml(details.rule || '');
+
+                        return `
+                            <tr>
+                                <td>
+                                    <strong>${this.escapeHtml(this.describeApproval(entry))}</strong><br>
+                                    <small>${reference}${rule ? `<br>${rule}` : ''}</small>
+                                </td>
+                                <td><code>${request.maker.slice(0, 6)}...${request.maker.slice(-4)}</code>${isMaker ? '<br><small>You</small>' : ''}</td>
+                                <td>
+                                    <span class="record-status ${expired && entry.status === 'awaiting' ? 'inactive' : statusClasses[entry.status]}">${status}</span>
+                                    ${note ? `<br><small>${note}</small>` : ''}
+                                </td>
+                                <td class="tx-actions">${actions}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Sign a rebate above the approval threshold as its maker and keep it in
+     * the approvals inbox until a second authority approves it
+     */
+    async requestApproval(formData) {
+        this.hideConfirmationModal();
+        this.showLoading('Sign the rebate request in your wallet...');
+
+        try {
+            const entry = await this.getApprovalInbox().create(this.signer, {
+                clientId: formData.clientId,
+                productId: formData.productId,
+                amount: ethers.utils.parseEther(formData.rebateAmount.toString()),
+                transactionHash: RebateReference.format(formData)
+            }, {
+                rule: formData.rule,
+                programRule: formData.programRule,
+                override: formData.override,
+                justification: formData.justification
+            });
+            console.log('✍️ Signed rebate request:', entry.id);
+
+            this.clearForm();
+            this.renderApprovals();
+            this.shareRequest(entry.id);
+            this.showStatus('info', `
+                ✍️ Rebate request signed: ${this.escapeHtml(this.describeApproval(entry))}.<br>
+                It is over the approval threshold, so a second authority has to approve it. Send them the
+                request shown in the Approvals Inbox; they add it to their inbox to review and record it.
+            `);
+        } catch (error) {
+            console.error('❌ Failed to sign rebate request:', error);
+            this.showStatus('error', 'Failed to sign rebate request: ' + this.escapeHtml(this.describeTransactionError(error)));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show a request's shareable text and copy it to the clipboard
+     */
+    async shareRequest(id) {
+        const inbox = this.getApprovalInbox();
+        const entry = inbox.get(id);
+        if (!entry) return;
+
+        const share = document.getElementById('approval-share');
+        share.value = inbox.export(entry);
+        document.getElementById('approval-share-group').style.display = 'block';
+        share.select();
+
+        try {
+            await navigator.clipboard.writeText(share.value);
+            this.showStatus('success', '📋 Request copied. Send it to another authority to approve.');
+        } catch (error) {
+            // Clipboard access needs a secure context; the text is selected to copy by hand
+        }
+    }
+
+    importRequest() {
+        const input = document.getElementById('approval-import');
+
+        try {
+            const entry = this.getApprovalInbox().import(input.value.trim());
+            input.value = '';
+            this.validateField('approval-import', null);
+            this.renderApprovals();
+            this.showStatus('success', `📥 Added ${this.escapeHtml(this.describeApproval(entry))} to your inbox.`);
+        } catch (error) {
+            this.validateField('approval-import', error.message);
+        }
+    }
+
+    /**
+     * Co-sign a request as the checker and record it
+     */
+    async approveRequest(id) {
+        const inbox = this.getApprovalInbox();
+        const entry = inbox.get(id);
+        if (!entry || entry.status !== 'awaiting') return;
+
+        if (entry.request.maker.toLowerCase() === (this.account || '').toLowerCase()) {
+            this.showStatus('error', 'A different authority has to approve your own request');
+            return;
+        }
+
+        const confirmed = window.confirm(
+            `Approve and record the ${this.describeApproval(entry)}?\n\n` +
+            `Requested by ${entry.request.maker}. Your signature approves it as the second authority ` +
+            'and the rebate is recorded on the blockchain.'
+        );
+        if (!confirmed) return;
+
+        this.showLoading('Sign the approval in your wallet...');
+        try {
+            const checkerSignature = await inbox.approve(this.signer, entry);
+            const request = await this.contract.populateTransaction.recordApprovedRebate(
+                entry.request, entry.makerSignature, checkerSignature
+            );
+
+            // Reverts, e.g. a request recorded meanwhile, surface before the wallet
+            // opens; relayed requests are estimated when they are signed
+            this.showLoading('Waiting for wallet confirmation...');
+            if (!this.useRelayer()) {
+                const estimate = await estimateTransactionCost(this.provider, { ...request, from: this.account });
+                Object.assign(request, { gasLimit: estimate.gasLimit }, feeOverrides(estimate.fees));
+            }
+
+            const queued = await this.queueRecording(request, {
+                kind: 'recordApprovedRebate',
+                label: this.describeApproval(entry),
+                meta: {
+                    approvalId: id,
+                    maker: entry.request.maker,
+                    rebate: { ...entry.details, clientId: entry.request.clientId, productId: entry.request.productId }
+                }
+            });
+            inbox.update(id, { status: 'submitted', txHash: queued.hash });
+            this.renderApprovals();
+            this.showStatus('info', `⏳ Approval queued: ${queued.hash}. The rebate is recorded once the transaction is mined.`);
+        } catch (error) {
+            console.error('❌ Failed to approve rebate request:', error);
+            this.showStatus('error', 'Failed to approve rebate request: ' + this.escapeHtml(this.describeTransactionError(error)));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    handleApprovalSettled(entry, receipt) {
+        const { approvalId } = entry.meta;
+        const inbox = this.getApprovalInbox();
+
+        if (entry.status === 'mined') {
+            const [recordId] = this.recordIdsFromReceipt(receipt);
+            inbox.update(approvalId, { status: 'recorded', recordId, txHash: entry.hash });
+            this.showStatus('success', `✅ Approved and recorded ${this.escapeHtml(entry.label)} as record #${recordId}.`);
+        } else {
+            // Still signed by the maker, so it can be approved again
+            inbox.update(approvalId, { status: 'awaiting', txHash: null });
+            this.showStatus('warning', `Approval not recorded: ${this.escapeHtml(entry.label)}. Its transaction ${entry.status === 'failed' ? 'reverted' : 'was replaced'}.`);
+        }
+        this.renderApprovals();
+    }
+
+    /**
+     * Decline a request in this inbox. The maker's signature stays valid until
+     * it expires or the maker withdraws it.
+     */
+    rejectRequest(id) {
+        const entry = this.getApprovalInbox().get(id);
+        if (!entry) return;
+
+        const confirmed = window.confirm(
+            `Reject the ${this.describeApproval(entry)}?\n\n` +
+            'It is marked rejected in your inbox. Let the maker know so they can withdraw it.'
+        );
+        if (!confirmed) return;
+
+        this.getApprovalInbox().update(id, { status: 'rejected' });
+        this.renderApprovals();
+    }
+
+    /**
+     * Use up a request's nonce on-chain so its signature can't be recorded
+     */
+    async withdrawRequest(id) {
+        const entry = this.getApprovalInbox().get(id);
+        if (!entry) return;
+
+        const confirmed = window.confirm(
+            `Withdraw the ${this.describeApproval(entry)}?\n\n` +
+            'This sends a transaction so no one can record it with your signature.'
+        );
+        if (!confirmed) return;
+
+        this.showLoading('Waiting for wallet confirmation...');
+        try {
+            const request = await this.contract.populateTransaction.cancelRebateRequest(entry.request.nonce);
+            await this.txQueue.send(this.signer, request, {
+                kind: 'cancelRebateRequest',
+                label: `Withdraw ${this.describeApproval(entry)}`,
+                meta: { approvalId: id }
+            });
+            this.showStatus('info', 'Withdrawal queued. The request is closed once the transaction is mined.');
+        } catch (error) {
+            console.error('❌ Failed to withdraw rebate request:', error);
+            this.showStatus('error', 'Failed to withdraw rebate request: ' + this.escapeHtml(this.describeTransactionError(error)));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    handleWithdrawalSettled(entry) {
+        if (entry.status === 'mined') {
+            this.getApprovalInbox().update(entry.meta.approvalId, { status: 'cancelled' });
+            this.showStatus('success', `✅ ${this.escapeHtml(entry.label)}: done. The request can no longer be recorded.`);
+        } else {
+            this.showStatus('warning', `${this.escapeHtml(entry.label)} didn't go through; the request can still be recorded.`);
+        }
+        this.renderApprovals();
+    }
+
+    async setApprovalThreshold() {
+        const input = document.getElementById('approval-threshold');
+        const value = input.value.trim();
+        if (value === '' || isNaN(Number(value)) || Number(value) < 0) {
+            this.validateField('approval-threshold', 'Enter an amount in USD, or 0 to let authorities record any amount alone');
+            return;
+        }
+        this.validateField('approval-threshold', null);
+
+        this.showLoading('Setting approval threshold...');
+        try {
+            const tx = await this.contract.setApprovalThreshold(ethers.utils.parseEther(value));
+            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
+
+            const receipt = await tx.wait();
+            console.log('✅ Approval threshold set in block', receipt.blockNumber);
+
+            input.value = '';
+            this.showStatus('success', `✅ ${Number(value) > 0 ? `Rebates over $${value} now need a second authority's approval.` : 'Approval threshold removed.'}`);
+        } catch (error) {
+            console.error('❌ Failed to set approval threshold:', error);
+            this.showStatus('error', `Failed to set approval threshold: ${this.escapeHtml(this.describeTransactionError(error))}`);
+        } finally {
+            this.hideLoading();
+            await this.loadApprovals();
+        }
+    }
+
+    // Record Management Methods
+    async lookUpRecord(recordId = document.getElementById('manage-record-id').value) {
+        const details = document.getElementById('manage-record-details');
+        const value = String(recordId).trim();
+
+        const valid = this.validateField('manage-record-id',
+            /^\d+$/.test(value) ? null : 'Enter a record ID (0, 1, 2...)');
+        if (!valid) return;
+
+        if (!this.contract) {
+            details.innerHTML = '<div class="error">Not connected to the contract</div>';
+            return;
+        }
+
+        details.innerHTML = '<div class="loading">Loading record...</div>';
+        try {
+            const totalRecords = await this.contract.getTotalRecords();
+            if (totalRecords.lte(value)) {
+                this.managedRecord = null;
+                details.innerHTML = totalRecords.eq(0)
+                    ? '<div class="error">No rebate records have been recorded yet</div>'
+                    : `<div class="error">Record #${value} does not exist. Record IDs run from 0 to ${totalRecords.sub(1)}.</div>`;
+                return;
+            }
+
+            const record = await this.contract.getRebateRecord(value);
+            const clientTotal = await this.contract.getClientTotalAmount(record.clientId);
+
+            this.managedRecord = {
+                id: Number(value),
+                clientId: record.clientId,
+                productId: record.productId,
+                amount: record.amount,
+                timestamp: record.timestamp,
+                recordedBy: record.recordedBy,
+                transactionHash: record.transactionHash,
+                isActive: record.isActive,
+                clientTotal
+            };
+            this.renderManagedRecord();
+        } catch (error) {
+            console.error(`Failed to load record ${value}:`, error);
+            this.managedRecord = null;
+            details.innerHTML = `<div class="error">Failed to load record #${value}: ${this.escapeHtml(this.describeTransactionError(error))}</div>`;
+        }
+    }
+
+    renderManagedRecord() {
+        const record = this.managedRecord;
+        const details = document.getElementById('manage-record-details');
+        if (!record) {
+            details.innerHTML = '';
+            return;
+        }
+
+        // Justification, if the rebate was recorded as an override
+        const { reference, override } = RebateReference.parse(record.transactionHash);
+
+        const action = record.isActive
+            ? '<button type="button" class="btn btn-danger" data-new-status="false">🚫 Deactivate Record</button>'
+            : '<button type="button" class="btn btn-primary" data-new-status="true">♻️ Reactivate Record</button>';
+
+        details.innerHTML = `
+            <div class="preview-section show">
+                <h3>📄 Record #${record.id}</h3>
+                <div class="preview-item">
+                    <span class="preview-label">Status:</span>
+                    <span class="preview-value">
+                        <span class="record-status ${record.isActive ? 'active' : 'inactive'}">${record.isActive ? 'Active' : 'Deactivated'}</span>
+                    </span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Customer ID:</span>
+                    <span class="preview-value">${this.escapeHtml(record.clientId)}</span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Product ID:</span>
+                    <span class="preview-value">${this.escapeHtml(record.productId)}</span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Rebate Amount:</span>
+                    <span class="preview-value">$${ethers.utils.formatEther(record.amount)}</span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Recorded:</span>
+                    <span class="preview-value">${new Date(record.timestamp.toNumber() * 1000).toLocaleString()}</span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Recorded By:</span>
+                    <span class="preview-value">${record.recordedBy.slice(0, 6)}...${record.recordedBy.slice(-4)}</span>
+                </div>
+                <div class="preview-item">
+                    <span class="preview-label">Reference:</span>
+                    <span class="preview-value">${this.escapeHtml(reference)}</span>
+                </div>
+                ${override ? `
+                <div class="preview-item">
+                    <span class="preview-label">Program Override:</span>
+                    <span class="preview-value">
+                        ${this.escapeHtml(override.rule)} (program: ${this.escapeHtml(override.programRule)})<br>
+                        Justification: ${this.escapeHtml(override.justification)}
+                    </span>
+                </div>` : ''}
+                <div class="preview-item">
+                    <span class="preview-label">Client Total (active records):</span>
+                    <span class="preview-value">$${ethers.utils.formatEther(record.clientTotal)}</span>
+                </div>
+            </div>
+            <div class="form-actions">
+                ${this.can('manageRecords') ? action : '<p>Only authorities can change a record\'s status.</p>'}
+            </div>
+        `;
+    }
+
+    showStatusChangeModal(newStatus) {
+        const record = this.managedRecord;
+        if (!record || record.isActive === newStatus) return;
+
+        this.pendingStatusChange = { recordId: record.id, status: newStatus };
+
+        const totalAfter = newStatus ? record.clientTotal.add(record.amount) : record.clientTotal.sub(record.amount);
+        document.getElementById('status-modal-title').textContent =
+            newStatus ? '♻️ Confirm Reactivation' : '⚠️ Confirm Deactivation';
+        document.getElementById('status-modal-warning').innerHTML = newStatus
+            ? `Record #${record.id} will count toward <strong>${this.escapeHtml(record.clientId)}</strong>'s total again.`
+            : `Record #${record.id} will be marked as deactivated and <strong>removed from ${this.escapeHtml(record.clientId)}'s total</strong>. ` +
+              'The record itself stays on the blockchain and can be reactivated later.';
+        document.getElementById('status-modal-record').textContent = `#${record.id}`;
+        document.getElementById('status-modal-customer').textContent = record.clientId;
+        document.getElementById('status-modal-amount').textContent = `$${ethers.utils.formatEther(record.amount)}`;
+        document.getElementById('status-modal-total').textContent = `$${ethers.utils.formatEther(totalAfter)}`;
+
+        const confirmBtn = document.getElementById('confirm-status-change');
+        confirmBtn.textContent = newStatus ? '✅ Confirm & Reactivate' : '✅ Confirm & Deactivate';
+        confirmBtn.className = newStatus ? 'btn btn-primary' : 'btn btn-danger';
+
+        document.getElementById('status-modal').style.display = 'flex';
+    }
+
+    hideStatusChangeModal() {
+        document.getElementById('status-modal').style.display = 'none';
+    }
+
+    async updateRecordStatus() {
+        const change = this.pendingStatusChange;
+        if (!change) return;
+
+        const action = change.status ? 'reactivate' : 'deactivate';
+        this.pendingStatusChange = null;
+        this.hideStatusChangeModal();
+        this.showLoading(change.status ? 'Reactivating record...' : 'Deactivating record...');
+
+        try {
+            console.log(`🔄 Updating record ${change.recordId} status to ${change.status}...`);
+            const tx = await this.contract.updateRebateStatus(change.recordId, change.status);
+
+            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
+            console.log('⏳ Transaction submitted:', tx.hash);
+
+            const receipt = await tx.wait();
+            console.log('✅ Transaction confirmed:', receipt);
+
+            this.showStatus('success', `
+                ✅ Record #${change.recordId} ${change.status ? 'reactivated' : 'deactivated'}.<br>
+                <strong>Transaction Hash:</strong> ${tx.hash}<br>
+                <strong>Block:</strong> ${receipt.blockNumber}<br>
+                ${CONFIG.network.explorerUrl ? `<a href="${CONFIG.network.explorerUrl}/tx/${tx.hash}" target="_blank">View on Block Explorer</a>` : ''}
+            `);
+        } catch (error) {
+            console.error(`❌ Failed to ${action} record:`, error);
+            this.showStatus('error', `Failed to ${action} record #${change.recordId}: ${this.escapeHtml(this.describeTransactionError(error))}`);
+        } finally {
+            this.hideLoading();
+            document.getElementById('status-message').scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+            // Show the record's current state, whether or not the change went through
+            await this.lookUpRecord(change.recordId);
+            await this.loadRecentRecords();
+        }
+    }
+
+    // Authority Management Methods (owner only)
+    async loadAuthorityConsole() {
+        const panel = document.getElementById('authority-console');
+        const list = document.getElementById('authority-list');
+        panel.style.display = 'block';
+        list.innerHTML = '<div class="loading">Loading authorities from contract events...</div>';
+
+        try {
+            // The contract has no authority enumeration; replay its authority events instead
+            await this.getIndexer().sync();
+            this.renderAuthorityList();
+        } catch (error) {
+            console.error('Failed to load authorities:', error);
+            list.innerHTML = `<div class="error">Failed to load authorities: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    getActiveAuthorities() {
+        if (!this.indexer) return [];
+        return this.indexer.getAuthorityDirectory().authorities.filter(authority => authority.isActive);
+    }
+
+    renderAuthorityList() {
+        const list = document.getElementById('authority-list');
+        const authorities = this.getActiveAuthorities();
+
+        if (authorities.length === 0) {
+            list.innerHTML = '<div class="no-records">No authorities yet. As the owner, you can record rebates yourself or add an authority below.</div>';
+            return;
+        }
+
+        list.innerHTML = `
+            <table class="authority-table">
+                <thead><tr><th>Address</th><th>Added</th><th>Records</th><th>Total Recorded</th><th></th></tr></thead>
+                <tbody>
+                    ${authorities.map(authority => {
+                        const added = authority.history[authority.history.length - 1];
+                        return `
+                            <tr>
+                                <td><code>${ethers.utils.getAddress(authority.address)}</code></td>
+                                <td>Block ${added.blockNumber}</td>
+                                <td>${authority.recordCount}</td>
+                                <td>$${ethers.utils.formatEther(authority.totalAmount)}</td>
+                                <td><button type="button" class="btn btn-danger btn-small" data-remove-authority="${authority.address}">➖ Remove</button></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Check an address field, showing its checksummed form when valid
+     * @param {string} fieldId - Input ID; its group, error and checksum elements share the prefix
+     * @param {Function} checkAddress - Returns an error message for a well-formed address, or null
+     * @returns {string|null} Checksummed address, or null when invalid
+     */
+    validateAddressField(fieldId, checkAddress = () => null) {
+        const value = document.getElementById(fieldId).value.trim();
+        const checksum = document.getElementById(`${fieldId}-checksum`);
+        checksum.textContent = '';
+
+        let address = null;
+        let message = null;
+        if (!value) {
+            message = 'Wallet address is required';
+        } else if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            message = 'Enter a 0x-prefixed address with 40 hexadecimal characters';
+        } else {
+            try {
+                address = ethers.utils.getAddress(value);
+            } catch (error) {
+                // Mixed-case input must match its checksum
+                message = 'Address checksum is invalid. Check the address for typos.';
+            }
+        }
+
+        if (address) {
+            message = checkAddress(address);
+        }
+
+        if (address && !message) {
+            checksum.textContent = `Checksum address: ${address}`;
+        }
+        return this.validateField(fieldId, message) ? address : null;
+    }
+
+    validateAuthorityAddress() {
+        return this.validateAddressField('authority-address', address => {
+            if (address === ethers.constants.AddressZero) {
+                return 'Cannot add zero address as authority';
+            }
+            if (this.getActiveAuthorities().some(authority => authority.address.toLowerCase() === address.toLowerCase())) {
+                return 'Address is already an authority';
+            }
+            return null;
+        });
+    }
+
+    async addAuthority() {
+        const address = this.validateAuthorityAddress();
+        if (!address) return;
+
+        this.showLoading('Adding authority...');
+        try {
+            console.log(`🔄 Adding authority ${address}...`);
+            const tx = await this.contract.addAuthority(address);
+            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
+
+            const receipt = await tx.wait();
+            console.log('✅ Authority added in block', receipt.blockNumber);
+
+            document.getElementById('authority-address').value = '';
+            document.getElementById('authority-address-checksum').textContent = '';
+            this.showStatus('success', `✅ ${address} can now record rebates.`);
+        } catch (error) {
+            console.error('❌ Failed to add authority:', error);
+
+            // Reverts about the address belong next to the address field
+            const reason = this.getRevertReason(error);
+            if (reason === 'Address is already an authority' || reason === 'Cannot add zero address as authority') {
+                this.validateField('authority-address', CONTRACT_REVERT_MESSAGES[reason]);
+            } else {
+                this.showStatus('error', `Failed to add authority: ${this.escapeHtml(this.describeTransactionError(error))}`);
+            }
+        } finally {
+            this.hideLoading();
+            await this.loadAuthorityConsole();
+        }
+    }
+
+    showAuthorityRemovalModal(address) {
+        const authority = this.getActiveAuthorities().find(entry => entry.address.toLowerCase() === address.toLowerCase());
+        if (!authority) return;
+
+        this.pendingAuthorityRemoval = ethers.utils.getAddress(authority.address);
+        document.getElementById('authority-modal-address').textContent = this.pendingAuthorityRemoval;
+        document.getElementById('authority-modal-records').textContent =
+            `${authority.recordCount} ($${ethers.utils.formatEther(authority.totalAmount)})`;
+        document.getElementById('authority-modal').style.display = 'flex';
+    }
+
+    hideAuthorityRemovalModal() {
+        document.getElementById('authority-modal').style.display = 'none';
+    }
+
+    async removeAuthority() {
+        const address = this.pendingAuthorityRemoval;
+        if (!address) return;
+
+        this.pendingAuthorityRemoval = null;
+        this.hideAuthorityRemovalModal();
+        this.showLoading('Removing authority...');
+
+        try {
+            console.log(`🔄 Removing authority ${address}...`);
+            const tx = await this.contract.removeAuthority(address);
+            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
+
+            const receipt = await tx.wait();
+            console.log('✅ Authority removed in block', receipt.blockNumber);
+            this.showStatus('success', `✅ ${address} can no longer record rebates.`);
+        } catch (error) {
+            console.error('❌ Failed to remove authority:', error);
+            this.showStatus('error', `Failed to remove authority: ${this.escapeHtml(this.describeTransactionError(error))}`);
+        } finally {
+            this.hideLoading();
+            await this.loadAuthorityConsole();
+        }
+    }
+
+    // Ownership Transfer Methods
+    /**
+     * Pending owner of a two-step transfer, or null when none is pending or the
+     * deployment predates two-step transfers
+     */
+    async getPendingOwner() {
+        if (this.missingFunctions.includes('pendingOwner()')) return null;
+
+        const pendingOwner = await this.contract.pendingOwner();
+        return pendingOwner === ethers.constants.AddressZero ? null : pendingOwner;
+    }
+
+    // Role Methods
+    /**
+     * Work out the connected wallet's role from the contract and show what it can do
+     */
+    async loadRole() {
+        const account = this.isConnected ? this.account : null;
+        let role = 'viewer';
+
+        if (account) {
+            const [owner, isAuthorized] = await Promise.all([
+                this.contract.owner(),
+                this.contract.isAuthorized(account)
+            ]);
+            this.isOwner = owner.toLowerCase() === account.toLowerCase();
+            role = this.isOwner ? 'owner' : (isAuthorized ? 'authority' : 'viewer');
+        } else {
+            this.isOwner = false;
+        }
+
+        this.role = role;
+        console.log(`🔐 Role: ${role}`);
+        this.applyRole();
+    }
+
+    /**
+     * Reload the role, e.g. after ownership changed or the owner changed authorities
+     */
+    async refreshRole() {
+        const previousRole = this.role;
+        try {
+            await this.loadRole();
+        } catch (error) {
+            console.error('Failed to load role:', error);
+            return;
+        }
+        if (this.role === 'owner' && previousRole !== 'owner') {
+            await this.loadAuthorityConsole();
+        }
+    }
+
+    can(capability) {
+        return this.isConnected && ROLE_CAPABILITIES[this.role].includes(capability);
+    }
+
+    /**
+     * Show the sections the current role can use
+     */
+    applyRole() {
+        const canRecord = this.can('record');
+        const summary = document.getElementById('role-summary');
+        summary.textContent = ROLE_DESCRIPTIONS[this.role];
+        summary.style.display = 'block';
+
+        document.getElementById('rebate-form').style.display = canRecord ? 'block' : 'none';
+        document.getElementById('record-unavailable').style.display = canRecord ? 'none' : 'block';
+        document.getElementById('bulk-import-section').style.display = canRecord ? 'block' : 'none';
+        document.getElementById('approvals-section').style.display = this.can('approve') ? 'block' : 'none';
+        if (!this.can('manageAuthorities')) {
+            document.getElementById('authority-console').style.display = 'none';
+        }
+
+        if (!canRecord) document.getElementById('record-btn').disabled = true;
+        this.applyRelayer();
+        if (this.bulkImport) this.renderBulkImport();
+        if (this.managedRecord) this.renderManagedRecord();
+    }
+
+    async loadOwnershipStatus() {
+        const banner = document.getElementById('ownership-banner');
+
+        try {
+            const [owner, pendingOwner] = await Promise.all([this.contract.owner(), this.getPendingOwner()]);
+            const account = this.account ? this.account.toLowerCase() : null;
+
+            this.isOwner = account !== null && owner.toLowerCase() === account;
+            this.pendingOwner = pendingOwner;
+            this.isPendingOwner = account !== null && pendingOwner !== null && pendingOwner.toLowerCase() === account;
+
+            if (this.isPendingOwner) {
+                document.getElementById('ownership-banner-owner').textContent = owner;
+                banner.style.display = 'block';
+            } else {
+                banner.style.display = 'none';
+            }
+            this.renderOwnershipTransfer();
+        } catch (error) {
+            console.error('Failed to load ownership status:', error);
+        }
+    }
+
+    renderOwnershipTransfer() {
+        const section = document.getElementById('ownership-transfer');
+
+        if (this.missingFunctions.includes('pendingOwner()')) {
+            section.innerHTML = '<p>This deployment predates two-step ownership transfers. Redeploy the contract to transfer ownership safely.</p>';
+            return;
+        }
+
+        if (this.pendingOwner) {
+            section.innerHTML = `
+                <div class="preview-section show">
+                    <div class="preview-item">
+                        <span class="preview-label">Pending Owner:</span>
+                        <span class="preview-value"><code>${this.pendingOwner}</code></span>
+                    </div>
+                    <p>Waiting for this wallet to accept. Ownership doesn't change until it does.</p>
+                </div>
+                <button type="button" class="btn btn-danger" id="cancel-transfer-btn">✖️ Cancel Transfer</button>
+            `;
+            return;
+        }
+
+        section.innerHTML = `
+            <div class="form-group" id="new-owner-address-group">
+                <label for="new-owner-address">New Owner Address</label>
+                <div class="manage-lookup">
+                    <input type="text" id="new-owner-address" placeholder="0x..." autocomplete="off" spellcheck="false">
+                    <button type="button" class="btn btn-primary" id="start-transfer-btn">➡️ Start Transfer</button>
+                </div>
+                <div class="address-checksum" id="new-owner-address-checksum"></div>
+                <div class="error-message" id="new-owner-address-error"></div>
+            </div>
+            <p class="bulk-help">The new owner must accept the transfer from their own wallet before it takes effect. You can cancel until then.</p>
+        `;
+    }
+
+    validateNewOwnerAddress() {
+        return this.validateAddressField('new-owner-address', address => {
+            if (address === ethers.constants.AddressZero) {
+                return 'Cannot transfer ownership to the zero address';
+            }
+            if (this.account && address.toLowerCase() === this.account.toLowerCase()) {
+                return 'That address is already the owner';
+            }
+            return null;
+        });
+    }
+
+    async startOwnershipTransfer() {
+        const address = this.validateNewOwnerAddress();
+        if (!address) return;
+
+        const confirmed = window.confirm(
+            `Offer ownership of this contract to ${address}?\n\n` +
+            'You stay the owner until that wallet accepts, and you can cancel the transfer until then.'
+        );
+        if (!confirmed) return;
+
+        await this.sendOwnershipTransaction('Starting ownership transfer...', () => this.contract.transferOwnership(address),
+            `✅ Ownership offered to ${address}. It takes effect once they accept from the admin page.`);
+    }
+
+    async cancelOwnershipTransfer() {
+        if (!this.pendingOwner) return;
+
+        const confirmed = window.confirm(`Cancel the pending ownership transfer to ${this.pendingOwner}?`);
+        if (!confirmed) return;
+
+        await this.sendOwnershipTransaction('Cancelling ownership transfer...', () => this.contract.cancelOwnershipTransfer(),
+            '✅ Ownership transfer cancelled.');
+    }
+
+    async acceptOwnership() {
+        await this.sendOwnershipTransaction('Accepting ownership...', () => this.contract.acceptOwnership(),
+            '✅ You are now the contract owner.');
+    }
+
+    async sendOwnershipTransaction(loadingMessage, send, successMessage) {
+        this.showLoading(loadingMessage);
+        try {
+            const tx = await send();
+            this.showStatus('info', `Transaction submitted: ${tx.hash}. Waiting for confirmation...`);
+
+            const receipt = await tx.wait();
+            console.log('✅ Ownership transaction confirmed in block', receipt.blockNumber);
+            this.showStatus('success', successMessage);
+        } catch (error) {
+            console.error('❌ Ownership transaction failed:', error);
+            this.showStatus('error', `${loadingMessage.replace('...', '')} failed: ${this.escapeHtml(this.describeTransactionError(error))}`);
+        } finally {
+            this.hideLoading();
+
+            // Ownership may have changed hands either way
+            await this.refreshRole();
+            await this.loadOwnershipStatus();
+        }
+    }
+
     async loadRecentRecords() {
         try {
             const totalRecords = await this.contract.getTotalRecords();
@@ -761,11 +2824,11 @@ class RebateAdmin {
                 return;
             }
 
-            // Load last 5 records
+            // Load last 5 records (record IDs start at 0)
             const recordsToShow = Math.min(5, totalRecords.toNumber());
             const records = [];
             
-            for (let i = totalRecords.toNumber(); i > totalRecords.toNumber() - recordsToShow; i--) {
+            for (let i = totalRecords.toNumber() - 1; i >= totalRecords.toNumber() - recordsToShow; i--) {
                 try {
                     const record = await this.contract.getRebateRecord(i);
                     records.push({ id: i, ...record });
@@ -778,10 +2841,12 @@ class RebateAdmin {
             recordsContainer.innerHTML = records.map(record => `
                 <div class="record-item">
                     <div class="record-header">
-                        Record #${record.id} - ${record.clientId}
+                        Record #${record.id} - ${this.escapeHtml(record.clientId)}
+                        ${record.isActive ? '' : '<span class="record-status inactive">Deactivated</span>'}
+                        <a href="#manage-record-section" class="manage-link" data-manage-record="${record.id}">🛠️ Manage</a>
                     </div>
                     <div class="record-details">
-                        Product: ${record.productId} | 
+                        Product: ${this.escapeHtml(record.productId)} | 
                         Amount: $${ethers.utils.formatEther(record.amount)} | 
                         Date: ${new Date(record.timestamp.toNumber() * 1000).toLocaleDateString()}
                     </div>
@@ -798,12 +2863,17 @@ class RebateAdmin {
     updateConnectionStatus(connected, address = '') {
         const statusElement = document.getElementById('connection-status');
         if (connected) {
-            statusElement.innerHTML = `✅ Connected: ${address.slice(0, 6)}...${address.slice(-4)}`;
+            statusElement.innerHTML = `✅ Connected: ${address.slice(0, 6)}...${address.slice(-4)} (${this.escapeHtml(this.wallet.name)})`;
             statusElement.className = 'connection-status connected';
         } else {
-            statusElement.innerHTML = '❌ Not Connected (Install MetaMask)';
+            statusElement.innerHTML = '❌ Not Connected (view only)';
             statusElement.className = 'connection-status disconnected';
         }
+        document.getElementById('connect-wallet-btn').textContent = connected ? '🔁 Switch Wallet' : '🔌 Connect Wallet';
+
+        // Submitting an import and changing record status depend on the connection
+        if (this.bulkImport) this.renderBulkImport();
+        if (this.managedRecord) this.renderManagedRecord();
     }
 
     showStatus(type, message) {
@@ -820,7 +2890,8 @@ class RebateAdmin {
         }
     }
 
-    showLoading() {
+    showLoading(message = 'Recording rebate on blockchain...') {
+        document.getElementById('loading-message').textContent = message;
         document.getElementById('loading-overlay').style.display = 'flex';
     }
 
@@ -854,5 +2925,7 @@ if (document.readyState === 'loading') {
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden && window.rebateAdmin && window.rebateAdmin.isConnected) {
         window.rebateAdmin.loadRecentRecords();
+        // The owner may have added or removed this wallet meanwhile
+        window.rebateAdmin.refreshRole();
     }
 });
\ No newline at end of file
@@ -0,0 +1,177 @@
+// Rebate Analytics
+// Aggregates indexed rebate records into time series, rankings and splits for
+// the dashboard tab, and renders them as lightweight SVG charts.
+
+const ANALYTICS_PERIODS = {
+    day: { label: 'Day', maxBuckets: 30 },
+    week: { label: 'Week', maxBuckets: 26 },
+    month: { label: 'Month', maxBuckets: 24 }
+};
+
+class RebateAnalytics {
+    /**
+     * @param {Array} records - Records with id, clientId, productId, amount,
+     *   timestamp (seconds), recordedBy and isActive
+     */
+    constructor(records) {
+        this.records = records.map(record => ({
+            ...record,
+            amount: ethers.BigNumber.from(record.amount.toString()),
+            timestamp: Number(record.timestamp)
+        }));
+    }
+
+    /**
+     * Start of the UTC day, ISO week (Monday) or month containing a timestamp
+     */
+    static periodStart(timestamp, period) {
+        const date = new Date(timestamp * 1000);
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+        if (period === 'week') {
+            start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        } else if (period === 'month') {
+            start.setUTCDate(1);
+        }
+        return start;
+    }
+
+    static nextPeriodStart(start, period) {
+        const next = new Date(start);
+        if (period === 'day') {
+            next.setUTCDate(next.getUTCDate() + 1);
+        } else if (period === 'week') {
+            next.setUTCDate(next.getUTCDate() + 7);
+        } else {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        }
+        return next;
+    }
+
+    static periodLabel(start, period) {
+        const iso = start.toISOString();
+        return period === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+    }
+
+    /**
+     * Record count and amount per period, oldest first. Empty periods are
+     * included so gaps show in the chart; only the most recent buckets are kept.
+     * @param {'day'|'week'|'month'} period
+     */
+    volumeByPeriod(period) {
+        if (this.records.length === 0) return [];
+
+        const buckets = new Map();
+        for (const record of this.records) {
+            const key = RebateAnalytics.periodStart(record.timestamp, period).getTime();
+            const bucket = buckets.get(key) || { count: 0, amount: ethers.BigNumber.from(0) };
+            bucket.count++;
+            bucket.amount = bucket.amount.add(record.amount);
+            buckets.set(key, bucket);
+        }
+
+        const keys = [...buckets.keys()];
+        const last = new Date(Math.max(...keys));
+        let cursor = new Date(Math.min(...keys));
+
+        const series = [];
+        while (cursor <= last) {
+            const bucket = buckets.get(cursor.getTime()) || { count: 0, amount: ethers.BigNumber.from(0) };
+            series.push({ label: RebateAnalytics.periodLabel(cursor, period), ...bucket });
+            cursor = RebateAnalytics.nextPeriodStart(cursor, period);
+        }
+
+        return series.slice(-ANALYTICS_PERIODS[period].maxBuckets);
+    }
+
+    /**
+     * Group records by a field and rank the groups by total amount
+     * @param {string} field - Record field to group by (clientId, productId, recordedBy)
+     * @param {number|null} limit - Maximum groups to return, all when null
+     */
+    rankBy(field, limit = null) {
+        const groups = new Map();
+        for (const record of this.records) {
+            const group = groups.get(record[field]) || { key: record[field], count: 0, amount: ethers.BigNumber.from(0) };
+            group.count++;
+            group.amount = group.amount.add(record.amount);
+            groups.set(record[field], group);
+        }
+
+        const ranked = [...groups.values()].sort((a, b) => {
+            if (!a.amount.eq(b.amount)) return b.amount.gt(a.amount) ? 1 : -1;
+            return b.count - a.count;
+        });
+        return limit === null ? ranked : ranked.slice(0, limit);
+    }
+
+    topClients(limit = 10) {
+        return this.rankBy('clientId', limit);
+    }
+
+    topProducts(limit = 10) {
+        return this.rankBy('productId', limit);
+    }
+
+    volumeByAuthority() {
+        return this.rankBy('recordedBy');
+    }
+
+    /**
+     * Count and amount of active vs. deactivated records
+     */
+    statusSplit() {
+        const split = {
+            active: { count: 0, amount: ethers.BigNumber.from(0) },
+            inactive: { count: 0, amount: ethers.BigNumber.from(0) }
+        };
+
+        for (const record of this.records) {
+            const side = record.isActive ? split.active : split.inactive;
+            side.count++;
+            side.amount = side.amount.add(record.amount);
+        }
+        return split;
+    }
+}
+
+/**
+ * Render a vertical bar chart as an SVG string
+ * @param {Array<{label: string}>} series - One entry per bar
+ * @param {Function} getValue - Returns the bar's numeric value for an entry
+ * @param {Function} formatValue - Formats a value for the bar's tooltip
+ */
+function renderBarChart(series, getValue, formatValue) {
+    const width = 640;
+    const height = 220;
+    const padding = { top: 10, right: 10, bottom: 40, left: 10 };
+    const plotHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / Math.max(series.length, 1);
+    const maxValue = Math.max(...series.map(getValue), 0);
+    // Label every nth bar so labels never overlap
+    const labelEvery = Math.ceil(series.length / 8);
+
+    const bars = series.map((entry, i) => {
+        const value = getValue(entry);
+        const barHeight = maxValue > 0 ? (value / maxValue) * plotHeight : 0;
+        const x = padding.left + i * slot + slot * 0.1;
+        const y = padding.top + plotHeight - barHeight;
+        const label = i % labelEvery === 0
+            ? `<text x="${x + slot * 0.4}" y="${height - padding.bottom + 16}" text-anchor="middle" class="chart-label">${escapeHtml(entry.label)}</text>`
+            : '';
+
+        return `
+            <rect x="${x}" y="${y}" width="${slot * 0.8}" height="${barHeight}" class="chart-bar">
+                <title>${escapeHtml(entry.label)}: ${escapeHtml(formatValue(value))}</title>
+            </rect>
+            ${label}
+        `;
+    }).join('');
+
+    return `
+        <svg class="bar-chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" class="chart-axis" />
+            ${bars}
+        </svg>
+    `;
+}
@@ -53,30 +53,93 @@ function loadEthersLibrary() {
     return ethersLoadPromise;
 }
 
+// How many blocks behind the newest live log earlier logs are remembered, to
+// drop one delivered twice (around a websocket/polling handover, near the head)
+const LIVE_LOG_DEDUPE_BLOCKS = 128;
+
 class CashRebateExplorer {
     constructor() {
         this.provider = null;
         this.contract = null;
+        this.indexer = null;
+        this.indexSynced = false;
         this.isConnected = false;
+        // ABI functions the deployed bytecode doesn't implement
+        this.missingFunctions = [];
+        
+        // Persistent IndexedDB cache and the record details loaded from it
+        this.cache = null;
+        this.cachedSnapshot = null;
+        this.recordDetails = new Map();
+        
+        // Live update state
+        this.stats = null;
+        this.liveProvider = null;
+        this.pollTimer = null;
+        this.lastPolledBlock = null;
+        this.isPolling = false;
+        this.seenLiveLogs = new Map(); // Log key -> block number
+        
+        // Recent records pagination state
+        this.pageSize = 10;
+        this.nextRecordCursor = -1; // Next (older) record ID to load, -1 when exhausted
+        this.isLoadingPage = false;
+        
+        // Records currently rendered in each results container, for exports
+        this.displayedResults = {};
+        // Active RecordFilter per results container
+        this.resultFilters = {};
+        
+        // URL hash routing; routes that need the contract wait until it connects
+        this.router = new HashRouter(route => this.applyRoute(route));
+        this.pendingRoute = null;
+        
+        // Block timestamps for the record detail timeline
+        this.blockTimestamps = new Map();
+        
+        // Analytics dashboard state
+        this.analytics = null;
+        this.dashboardPeriod = 'week';
+        this.isLoadingDashboard = false;
         // Don't call init() in constructor - will be called externally
     }
 
     async init() {
         // Set up event listeners first (they work without blockchain connection)
         this.setupEventListeners();
+        this.router.start();
         
         try {
             // First ensure ethers.js is loaded
             await loadEthersLibrary();
             console.log('🔄 Ethers.js loaded, initializing explorer...');
             
+            // Show cached data while connecting
+            await this.loadCachedData();
+            
             // Initialize Web3 connection
             await this.initializeWeb3();
             console.log('🔄 Web3 initialized, loading data...');
             
+            // Report functions the deployment is missing before anything calls them
+            await this.checkDeployedAbi();
+            
+            // Fetch events newer than the cached watermark
+            await this.trySyncIndexer();
+            
             // Load initial data
             await this.loadContractStats();
             await this.loadRecentRecords();
+            
+            // Keep the page current as new events arrive
+            await this.startLiveUpdates();
+            
+            // Run the search from a deep link now that the contract is connected
+            if (this.pendingRoute) {
+                const route = this.pendingRoute;
+                this.pendingRoute = null;
+                await this.applyRoute(route);
+            }
             console.log('✅ Explorer initialization complete');
             
         } catch (error) {
@@ -85,6 +148,23 @@ class CashRebateExplorer {
         }
     }
 
+    renderDeploymentLinks() {
+        const explorerUrl = CONFIG.network.explorerUrl;
+        const contractLink = document.getElementById('contract-explorer-link');
+        const footerLink = document.getElementById('footer-explorer-link');
+        
+        // Deployments without a block explorer (local chains) hide the links
+        if (contractLink) {
+            contractLink.href = `${explorerUrl}/address/${CONFIG.contractAddress}`;
+            contractLink.style.display = explorerUrl ? '' : 'none';
+        }
+        if (footerLink) {
+            footerLink.href = explorerUrl;
+            footerLink.textContent = `${CONFIG.network.name} Explorer`;
+            footerLink.style.display = explorerUrl ? '' : 'none';
+        }
+    }
+
     showOfflineMode() {
         // Show static information when blockchain connection fails
         document.getElementById('total-records').textContent = 'Offline';
@@ -97,15 +177,17 @@ class CashRebateExplorer {
         const offlineMessage = `
             <div class="offline-notice">
                 <h3>⚠️ Offline Mode</h3>
-                <p>Unable to connect to the Polygon network. You can still view contract information:</p>
+                <p>Unable to connect to ${CONFIG.network.name}. You can still view contract information:</p>
                 <div class="contract-info">
                     <p><strong>Contract Address:</strong> ${CONFIG.contractAddress}</p>
                     <p><strong>Network:</strong> ${CONFIG.network.name}</p>
-                    <p><strong>View on Explorer:</strong> 
-                        <a href="${CONFIG.network.explorerUrl}/address/${CONFIG.contractAddress}" target="_blank">
-                            PolygonScan
-                        </a>
-                    </p>
+                    ${CONFIG.network.explorerUrl ? `
+                        <p><strong>View on Explorer:</strong> 
+                            <a href="${CONFIG.network.explorerUrl}/address/${CONFIG.contractAddress}" target="_blank">
+                                ${CONFIG.network.explorerUrl.replace('https://', '')}
+                            </a>
+                        </p>
+                    ` : ''}
                 </div>
                 <p>Try refreshing the page or check your internet connection.</p>
             </div>
@@ -114,6 +196,40 @@ class CashRebateExplorer {
         document.getElementById('recent-records').innerHTML = offlineMessage;
     }
 
+    /**
+     * Compare the ABI's function selectors with the deployed bytecode and
+     * show a warning listing any functions the deployment doesn't have
+     */
+    async checkDeployedAbi() {
+        const warning = document.getElementById('abi-warning');
+        let message = null;
+        
+        try {
+            const missing = await findMissingFunctions(this.provider, CONFIG.contractAddress, CONFIG.contractABI);
+            this.missingFunctions = missing;
+            
+            if (missing.length > 0) {
+                console.warn(`⚠️ Deployment at ${CONFIG.contractAddress} is missing ${missing.length} ABI function(s):`, missing);
+                message = `
+                    <strong>⚠️ This deployment doesn't match the explorer's ABI.</strong>
+                    The contract at ${escapeHtml(CONFIG.contractAddress)} is missing:
+                    <ul>${missing.map(signature => `<li><code>${escapeHtml(signature)}</code></li>`).join('')}</ul>
+                    Features that use these functions won't work until the contract is redeployed.
+                `;
+            } else {
+                console.log('✅ Deployed bytecode matches the ABI');
+            }
+        } catch (error) {
+            console.warn('⚠️ ABI check failed:', error.message);
+            message = `<strong>⚠️ Could not check the deployment:</strong> ${escapeHtml(error.message)}`;
+        }
+        
+        if (warning) {
+            warning.innerHTML = message || '';
+            warning.style.display = message ? 'block' : 'none';
+        }
+    }
+
     async initializeWeb3() {
         // Check if ethers is available
         if (typeof ethers === 'undefined') {
@@ -127,7 +243,7 @@ class CashRebateExplorer {
             try {
                 console.log(`🔗 Attempting connection ${i + 1}/${rpcUrls.length}: ${rpcUrls[i]}`);
                 
-                // Create provider for Amoy testnet (ethers v5 syntax)
+                // Create provider for the selected deployment's network (ethers v5 syntax)
                 this.provider = new ethers.providers.JsonRpcProvider(rpcUrls[i], {
                     chainId: CONFIG.network.chainId,
                     name: CONFIG.network.name
@@ -151,6 +267,20 @@ class CashRebateExplorer {
                         this.provider
                     );
                     
+                    // Event-log indexer for resolving record IDs (kept across reconnects)
+                    if (this.indexer) {
+                        this.indexer.contract = this.contract;
+                        this.indexer.provider = this.provider;
+                    } else {
+                        this.indexer = new RebateEventIndexer(this.contract, this.provider, {
+                            startBlock: CONFIG.startBlock,
+                            blockRange: CONFIG.logBlockRange
+                        });
+                        if (this.cachedSnapshot) {
+                            this.indexer.restore(this.cachedSnapshot);
+                        }
+                    }
+                    
                     // Test contract connectivity
                     const totalRecords = await this.contract.getTotalRecords();
                     console.log(`✅ Contract connection successful - Total records: ${totalRecords}`);
@@ -190,9 +320,131 @@ class CashRebateExplorer {
         }
     }
 
+    async loadCachedData() {
+        if (!ExplorerCache.isSupported()) {
+            console.log('💾 IndexedDB not available, running without cache');
+            return;
+        }
+        
+        try {
+            this.cache = new ExplorerCache(CONFIG.contractAddress, CONFIG.network.chainId);
+            this.cachedSnapshot = await this.cache.load();
+            
+            for (const record of this.cachedSnapshot.records) {
+                if (record.clientId !== undefined) {
+                    this.recordDetails.set(record.id, record);
+                }
+            }
+            
+            if (this.cachedSnapshot.meta) {
+                console.log(`💾 Loaded cache synced to block ${this.cachedSnapshot.meta.lastSyncedBlock}`);
+                this.renderCachedData();
+            }
+        } catch (error) {
+            console.warn('💾 Failed to load explorer cache:', error);
+            this.cache = null;
+            this.cachedSnapshot = null;
+        }
+    }
+
+    renderCachedData() {
+        const indexed = this.cachedSnapshot.records.filter(record => record.creationTxHash);
+        const active = indexed.filter(record => record.isActive);
+        const totalAmount = active.reduce(
+            (sum, record) => sum.add(record.amount), ethers.BigNumber.from(0)
+        );
+        
+        document.getElementById('total-records').textContent = indexed.length.toString();
+        document.getElementById('active-records').textContent = active.length.toString();
+        document.getElementById('total-amount').textContent = `${this.formatAmount(totalAmount)} ${this.currencySymbol}`;
+        
+        const cachedRecent = [...this.recordDetails.keys()]
+            .sort((a, b) => b - a)
+            .slice(0, this.pageSize)
+            .map(id => this.getCachedRecord(id));
+        
+        if (cachedRecent.length > 0) {
+            document.getElementById('recent-records').innerHTML = '';
+            this.displayRecords(cachedRecent, 'recent-records');
+        }
+    }
+
+    /**
+     * Sync the event index and persist whatever it added with the new watermark
+     */
+    async syncIndexer() {
+        const added = await this.indexer.sync();
+        this.indexSynced = true;
+        
+        if (this.cache) {
+            try {
+                await this.cache.saveSync({
+                    ...added,
+                    lastSyncedBlock: this.indexer.lastSyncedBlock,
+                    startBlock: this.indexer.startBlock
+                });
+            } catch (error) {
+                console.warn('💾 Failed to persist indexer sync:', error);
+            }
+        }
+        
+        return added;
+    }
+
+    async trySyncIndexer() {
+        try {
+            await this.syncIndexer();
+        } catch (error) {
+            console.warn('📚 Event index sync failed:', error.message);
+        }
+    }
+
+    getCachedRecord(recordId) {
+        const details = this.recordDetails.get(recordId);
+        if (!details) {
+            return null;
+        }
+        
+        // Details never change once recorded; the status comes from the event index
+        const indexed = this.indexer ? this.indexer.getRecord(recordId) : null;
+        return {
+            ...details,
+            amount: ethers.BigNumber.from(details.amount),
+            isActive: indexed ? indexed.isActive : details.isActive
+        };
+    }
+
+    async storeRecordDetails(records) {
+        records.forEach(record => this.recordDetails.set(record.id, {
+            id: record.id,
+            clientId: record.clientId,
+            productId: record.productId,
+            amount: record.amount.toString(),
+            timestamp: Number(record.timestamp),
+            recordedBy: record.recordedBy,
+            transactionHash: record.transactionHash,
+            isActive: record.isActive
+        }));
+        
+        if (this.cache) {
+            try {
+                await this.cache.putRecordDetails(records);
+            } catch (error) {
+                console.warn('💾 Failed to cache record details:', error);
+            }
+        }
+    }
+
     setupEventListeners() {
         console.log('🎧 Setting up event listeners...');
         
+        // Deployment selector and links for the active deployment
+        const deploymentSelect = document.getElementById('deployment-select');
+        if (deploymentSelect) {
+            setupDeploymentSelector(deploymentSelect);
+        }
+        this.renderDeploymentLinks();
+        
         // Tab switching - check if elements exist
         const tabButtons = document.querySelectorAll('.tab-button');
         console.log(`🎧 Found ${tabButtons.length} tab buttons`);
@@ -204,9 +456,9 @@ class CashRebateExplorer {
 
         // Search input enter key handlers
         const searchInputs = [
-            { id: 'client-search', handler: () => this.searchByClient() },
-            { id: 'product-search', handler: () => this.searchByProduct() },
-            { id: 'record-search', handler: () => this.searchByRecord() }
+            { id: 'client-search', handler: () => searchClient() },
+            { id: 'product-search', handler: () => searchProduct() },
+            { id: 'record-search', handler: () => searchRecord() }
         ];
 
         searchInputs.forEach(({ id, handler }) => {
@@ -227,7 +479,8 @@ class CashRebateExplorer {
         const refreshButton = document.getElementById('refresh-stats');
         if (refreshButton) {
             console.log('🎧 Setting up refresh button listener');
-            refreshButton.addEventListener('click', () => {
+            refreshButton.addEventListener('click', async () => {
+                await this.trySyncIndexer();
                 this.loadContractStats();
                 this.loadRecentRecords();
             });
@@ -246,6 +499,7 @@ class CashRebateExplorer {
                     await this.initializeWeb3();
                     await this.loadContractStats();
                     await this.loadRecentRecords();
+                    await this.startLiveUpdates();
                 } catch (error) {
                     console.error('Reconnection failed:', error);
                     this.showError('Reconnection failed. Please try again.');
@@ -266,6 +520,59 @@ class CashRebateExplorer {
             });
         }
 
+        // Page size selector (if it exists)
+        const pageSizeSelect = document.getElementById('page-size');
+        if (pageSizeSelect) {
+            console.log('🎧 Setting up page size selector listener');
+            pageSizeSelect.value = String(this.pageSize);
+            pageSizeSelect.addEventListener('change', () => {
+                this.setPageSize(pageSizeSelect.value);
+            });
+        }
+
+        // Dashboard period selector
+        const periodSelect = document.getElementById('dashboard-period');
+        if (periodSelect) {
+            periodSelect.value = this.dashboardPeriod;
+            periodSelect.addEventListener('change', () => {
+                this.dashboardPeriod = periodSelect.value;
+                this.renderDashboard();
+            });
+        }
+
+        // Filter bars (rendered with search results, so delegated)
+        const recentFilters = document.getElementById('recent-filters');
+        if (recentFilters) {
+            recentFilters.innerHTML = this.renderFilterBar('recent-records');
+        }
+        const onFilterChange = (e) => {
+            const form = e.target.closest('.filter-bar');
+            if (form) {
+                this.resultFilters[form.dataset.filterTarget] = RecordFilter.fromForm(form);
+                this.renderResultView(form.dataset.filterTarget);
+            }
+        };
+        document.addEventListener('input', onFilterChange);
+        document.addEventListener('change', onFilterChange);
+        document.addEventListener('click', (e) => {
+            const resetButton = e.target.closest('[data-filter-reset]');
+            if (resetButton) {
+                const form = resetButton.closest('.filter-bar');
+                form.reset();
+                delete this.resultFilters[form.dataset.filterTarget];
+                this.renderResultView(form.dataset.filterTarget);
+            }
+        });
+
+        // Export buttons (rendered with search results, so delegated)
+        document.addEventListener('click', (e) => {
+            const exportButton = e.target.closest('[data-export-format]');
+            if (exportButton) {
+                const target = exportButton.closest('[data-export-target]').dataset.exportTarget;
+                this.exportResults(target, exportButton.dataset.exportFormat);
+            }
+        });
+
         console.log('🎧 Event listeners setup complete');
     }
 
@@ -326,40 +633,51 @@ class CashRebateExplorer {
                     totalAmount: this.formatAmount(stats[2])
                 });
             } catch (error) {
-                console.warn('📊 getContractStats failed, using individual calls:', error.message);
-                // Fallback - calculate active records by checking recent records
-                activeRecords = totalRecords; // For now, assume all are active
-                totalAmount = ethers.BigNumber.from(0); // Default to 0
+                console.warn('📊 getContractStats failed, using fallback:', error.message);
                 
-                // Try to calculate total amount by iterating recent records
-                try {
-                    console.log('📊 Calculating total amount from individual records...');
-                    const limit = Math.min(Number(totalRecords), 100); // Limit to avoid timeout
-                    let sum = ethers.BigNumber.from(0);
+                if (this.indexSynced) {
+                    // Totals from the synced event index - no per-record calls
+                    const indexedStats = this.indexer.getStats();
+                    activeRecords = indexedStats.activeRecords;
+                    totalAmount = indexedStats.totalAmount;
+                    console.log('📊 Stats computed from event index:', indexedStats.totalRecords, 'records');
+                } else {
+                    // Fallback - calculate active records by checking recent records
+                    activeRecords = totalRecords; // For now, assume all are active
+                    totalAmount = ethers.BigNumber.from(0); // Default to 0
+                    
+                    // Try to calculate total amount by iterating recent records
+                    try {
+                        console.log('📊 Calculating total amount from individual records...');
+                        const limit = Math.min(Number(totalRecords), 100); // Limit to avoid timeout
+                        let sum = ethers.BigNumber.from(0);
                     
-                    for (let i = Math.max(0, Number(totalRecords) - limit); i < Number(totalRecords); i++) {
-                        try {
-                            const record = await this.contract.getRebateRecord(i);
-                            sum = sum.add(record.amount);
-                            console.log(`📊 Added record ${i} amount:`, this.formatAmount(record.amount));
-                        } catch (recordError) {
-                            console.warn(`📊 Failed to load record ${i}:`, recordError.message);
-                            // Don't break the loop, just skip invalid records
+                        for (let i = Math.max(0, Number(totalRecords) - limit); i < Number(totalRecords); i++) {
+                            try {
+                                const record = await this.contract.getRebateRecord(i);
+                                sum = sum.add(record.amount);
+                                console.log(`📊 Added record ${i} amount:`, this.formatAmount(record.amount));
+                            } catch (recordError) {
+                                console.warn(`📊 Failed to load record ${i}:`, recordError.message);
+                                // Don't break the loop, just skip invalid records
+                            }
                         }
+                        totalAmount = sum;
+                        console.log('📊 Total amount calculated:', this.formatAmount(totalAmount));
+                    } catch (amountError) {
+                        console.warn('📊 Failed to calculate total amount:', amountError);
                     }
-                    totalAmount = sum;
-                    console.log('📊 Total amount calculated:', this.formatAmount(totalAmount));
-                } catch (amountError) {
-                    console.warn('📊 Failed to calculate total amount:', amountError);
                 }
             }
             
             // Update stats display
             console.log('📊 Updating DOM elements...');
-            document.getElementById('total-records').textContent = totalRecords.toString();
-            document.getElementById('active-records').textContent = activeRecords.toString();
-            document.getElementById('total-amount').textContent = 
-                `${this.formatAmount(totalAmount)} MATIC`;
+            this.stats = {
+                totalRecords: Number(totalRecords),
+                activeRecords: Number(activeRecords),
+                totalAmount: ethers.BigNumber.from(totalAmount)
+            };
+            this.renderStats();
             
             // Update network info
             document.getElementById('network-name').textContent = CONFIG.network.name;
@@ -374,7 +692,14 @@ class CashRebateExplorer {
         }
     }
 
-    async loadRecentRecords(limit = 10) {
+    renderStats() {
+        document.getElementById('total-records').textContent = this.stats.totalRecords.toString();
+        document.getElementById('active-records').textContent = this.stats.activeRecords.toString();
+        document.getElementById('total-amount').textContent = 
+            `${this.formatAmount(this.stats.totalAmount)} ${this.currencySymbol}`;
+    }
+
+    async loadRecentRecords(limit = this.pageSize) {
         console.log('🕐 Loading recent records...');
         
         try {
@@ -389,37 +714,24 @@ class CashRebateExplorer {
             }
             
             console.log('🕐 Contract check passed, fetching total records...');
-            console.log('🕐 Contract instance:', !!this.contract);
-            console.log('🕐 Provider instance:', !!this.provider);
             
-            const totalRecords = await this.contract.getTotalRecords();
-            const recordsToLoad = Math.min(Number(totalRecords), limit);
+            const totalRecords = Number(await this.contract.getTotalRecords());
+            console.log(`🕐 Total records: ${totalRecords}, page size: ${limit}`);
             
-            console.log(`🕐 Total records: ${totalRecords}, loading: ${recordsToLoad}`);
+            // Restart pagination from the newest record
+            this.nextRecordCursor = totalRecords - 1;
+            document.getElementById('recent-records').innerHTML = '';
+            this.setDisplayedResults('recent-records', 'recent', [], await this.provider.getBlockNumber());
             
-            if (recordsToLoad === 0) {
+            if (totalRecords === 0) {
                 document.getElementById('recent-records').innerHTML = 
                     '<div class="no-results">No records found</div>';
+                this.updatePaginationControls(totalRecords);
                 console.log('🕐 No records to display');
                 return;
             }
             
-            const records = [];
-            const startId = Math.max(0, Number(totalRecords) - recordsToLoad);
-            
-            console.log(`🕐 Loading records from ${startId} to ${Number(totalRecords) - 1} (0-based indexing)...`);
-            for (let i = Number(totalRecords) - 1; i >= startId; i--) {
-                try {
-                    const record = await this.contract.getRebateRecord(i);
-                    records.push({ id: i, ...record });
-                    console.log(`🕐 Loaded record ${i}: ${record.clientId}`);
-                } catch (error) {
-                    console.warn(`🕐 Failed to load record ${i}:`, error);
-                }
-            }
-            
-            console.log(`🕐 Displaying ${records.length} records...`);
-            this.displayRecords(records, 'recent-records');
+            await this.loadNextPage(limit, totalRecords);
             console.log('🕐 Recent records loaded successfully');
         } catch (error) {
             console.error('🕐 Failed to load recent records:', error);
@@ -427,6 +739,95 @@ class CashRebateExplorer {
         }
     }
 
+    /**
+     * Load the next page of older records below the cursor and append them
+     * to the recent records list.
+     */
+    async loadNextPage(limit = this.pageSize, totalRecords = null) {
+        if (this.nextRecordCursor < 0 || this.isLoadingPage) {
+            return;
+        }
+        
+        this.isLoadingPage = true;
+        try {
+            const startId = this.nextRecordCursor;
+            const endId = Math.max(0, startId - limit + 1);
+            
+            console.log(`🕐 Loading records ${startId} down to ${endId} (0-based indexing)...`);
+            const records = await this.fetchRecordRange(startId, endId);
+            
+            this.nextRecordCursor = endId - 1;
+            this.appendDisplayedResults('recent-records', records, await this.provider.getBlockNumber());
+            this.renderResultView('recent-records');
+            
+            if (totalRecords === null) {
+                totalRecords = Number(await this.contract.getTotalRecords());
+            }
+            this.updatePaginationControls(totalRecords);
+        } finally {
+            this.isLoadingPage = false;
+        }
+    }
+
+    /**
+     * Fetch records from startId down to endId (inclusive), newest first.
+     * Cached records are reused; records that fail to load are skipped.
+     */
+    async fetchRecordRange(startId, endId) {
+        const records = [];
+        const fetched = [];
+        for (let i = startId; i >= endId; i--) {
+            // Cached details are only trusted once the index has synced statuses
+            const cached = this.indexSynced ? this.getCachedRecord(i) : null;
+            if (cached) {
+                records.push(cached);
+                continue;
+            }
+            
+            try {
+                const record = await this.contract.getRebateRecord(i);
+                const recordWithId = { id: i, ...record };
+                records.push(recordWithId);
+                fetched.push(recordWithId);
+                console.log(`🕐 Loaded record ${i}: ${record.clientId}`);
+            } catch (error) {
+                console.warn(`🕐 Failed to load record ${i}:`, error);
+            }
+        }
+        
+        await this.storeRecordDetails(fetched);
+        return records;
+    }
+
+    updatePaginationControls(totalRecords) {
+        const loadMoreButton = document.getElementById('load-more');
+        const pageInfo = document.getElementById('page-info');
+        const hasMore = this.nextRecordCursor >= 0;
+        
+        if (loadMoreButton) {
+            loadMoreButton.style.display = hasMore ? 'inline-block' : 'none';
+            loadMoreButton.disabled = false;
+        }
+        
+        if (pageInfo) {
+            const shown = totalRecords - (this.nextRecordCursor + 1);
+            pageInfo.textContent = totalRecords === 0 ? '' :
+                hasMore
+                    ? `Showing ${shown} of ${totalRecords} records`
+                    : `Showing all ${totalRecords} records`;
+        }
+    }
+
+    setPageSize(size) {
+        const pageSize = parseInt(size, 10);
+        if (isNaN(pageSize) || pageSize <= 0) {
+            return;
+        }
+        
+        this.pageSize = pageSize;
+        this.loadRecentRecords();
+    }
+
     async searchByClient(clientId = null) {
         if (!clientId) {
             clientId = document.getElementById('client-search').value.trim();
@@ -438,23 +839,26 @@ class CashRebateExplorer {
             this.clearSearchResults();
             
             console.log(`🔍 Searching for client: ${clientId}`);
-            const records = await this.contract.getClientRebates(clientId);
+            // Pin reads to one block so IDs, records and exports are consistent
+            const blockNumber = await this.provider.getBlockNumber();
+            const records = await this.contract.getClientRebates(clientId, { blockTag: blockNumber });
             console.log(`🔍 Found ${records.length} records for client ${clientId}`);
             
             // Calculate total amount
             let totalAmount = ethers.BigNumber.from(0);
             for (const record of records) {
                 totalAmount = totalAmount.add(record.amount);
-                console.log(`🔍 Record amount: ${this.formatAmount(record.amount)} MATIC`);
+                console.log(`🔍 Record amount: ${this.formatAmount(record.amount)} ${this.currencySymbol}`);
             }
             
             // Display summary
             const summaryHtml = `
                 <div class="search-summary">
-                    <h3>Client: ${clientId}</h3>
+                    <h3>Client: ${escapeHtml(clientId)}</h3>
                     <p>Total Records: ${records.length}</p>
-                    <p>Total Amount: ${this.formatAmount(totalAmount)} MATIC</p>
+                    <p>Total Amount: ${this.formatAmount(totalAmount)} ${this.currencySymbol}</p>
                 </div>
+                ${records.length > 0 ? this.renderExportActions('client-results') + this.renderFilterBar('client-results') : ''}
             `;
             
             const resultsContainer = document.getElementById('client-results');
@@ -462,8 +866,9 @@ class CashRebateExplorer {
             
             // Display records
             if (records.length > 0) {
-                const recordsWithIds = await this.getRecordIds(records, 'client', clientId);
-                this.displayRecords(recordsWithIds, 'client-results', true);
+                const recordsWithIds = await this.getRecordIds(records, 'client', clientId, blockNumber);
+                this.setDisplayedResults('client-results', `client-${clientId}`, recordsWithIds, blockNumber);
+                this.renderResultView('client-results');
             } else {
                 resultsContainer.innerHTML += '<div class="no-results">No records found for this client</div>';
             }
@@ -486,7 +891,9 @@ class CashRebateExplorer {
             this.showLoading();
             this.clearSearchResults();
             
-            const records = await this.contract.getProductRebates(productId);
+            // Pin reads to one block so IDs, records and exports are consistent
+            const blockNumber = await this.provider.getBlockNumber();
+            const records = await this.contract.getProductRebates(productId, { blockTag: blockNumber });
             
             // Calculate totals
             let totalAmount = 0n;
@@ -499,10 +906,11 @@ class CashRebateExplorer {
             // Display summary
             const summaryHtml = `
                 <div class="search-summary">
-                    <h3>Product: ${productId}</h3>
+                    <h3>Product: ${escapeHtml(productId)}</h3>
                     <p>Total Records: ${records.length}</p>
-                    <p>Total Amount: ${this.formatAmount(totalAmount)} MATIC</p>
+                    <p>Total Amount: ${this.formatAmount(totalAmount)} ${this.currencySymbol}</p>
                 </div>
+                ${records.length > 0 ? this.renderExportActions('product-results') + this.renderFilterBar('product-results') : ''}
             `;
             
             const resultsContainer = document.getElementById('product-results');
@@ -510,8 +918,9 @@ class CashRebateExplorer {
             
             // Display records
             if (records.length > 0) {
-                const recordsWithIds = await this.getRecordIds(records, 'product', productId);
-                this.displayRecords(recordsWithIds, 'product-results', true);
+                const recordsWithIds = await this.getRecordIds(records, 'product', productId, blockNumber);
+                this.setDisplayedResults('product-results', `product-${productId}`, recordsWithIds, blockNumber);
+                this.renderResultView('product-results');
             } else {
                 resultsContainer.innerHTML += '<div class="no-results">No records found for this product</div>';
             }
@@ -525,30 +934,37 @@ class CashRebateExplorer {
     }
 
     async searchByRecord(recordId = null) {
-        if (!recordId) {
+        if (recordId === null) {
             recordId = document.getElementById('record-search').value.trim();
         }
-        if (!recordId || isNaN(recordId)) return;
+        if (recordId === '' || isNaN(recordId)) return;
 
         try {
             this.showLoading();
             this.clearSearchResults();
             
-            const userRecordId = parseInt(recordId);
-            // Convert from 1-based user input to 0-based contract indexing
-            const contractRecordId = userRecordId - 1;
-            
+            // Record IDs are the contract's 0-based IDs, as shown on record cards
+            const contractRecordId = parseInt(recordId, 10);
             if (contractRecordId < 0) {
-                throw new Error('Record ID must be 1 or greater');
+                throw new Error('Record ID must be 0 or greater');
             }
             
-            console.log(`🔍 Searching for user Record #${userRecordId} (contract index ${contractRecordId})`);
+            console.log(`🔍 Searching for Record #${contractRecordId}`);
             const record = await this.contract.getRebateRecord(contractRecordId);
             
-            // Display with user-friendly 1-based ID
-            const recordWithId = { id: userRecordId, ...record };
+            const recordWithId = { id: contractRecordId, ...record };
             this.displayRecords([recordWithId], 'record-results');
             
+            const resultsContainer = document.getElementById('record-results');
+            try {
+                const history = await this.getRecordHistory(contractRecordId);
+                resultsContainer.insertAdjacentHTML('beforeend', this.renderRecordHistory(recordWithId, history));
+            } catch (error) {
+                console.warn(`📜 Failed to load history for record ${contractRecordId}:`, error);
+                resultsContainer.insertAdjacentHTML('beforeend',
+                    '<div class="no-results">Event history for this record is unavailable right now.</div>');
+            }
+            
             this.hideLoading();
         } catch (error) {
             console.error('Record search failed:', error);
@@ -557,13 +973,38 @@ class CashRebateExplorer {
         }
     }
 
-    async getRecordIds(records, searchType, searchValue) {
-        // This is a simplified approach - in a real implementation,
-        // you might want to add events or mappings to track record IDs more efficiently
+    async getRecordIds(records, searchType, searchValue, blockNumber = null) {
+        // Resolve IDs from the event index: the contract returns a client's or
+        // product's records in ascending record ID order, same as the index
+        if (this.indexer) {
+            try {
+                await this.syncIndexer();
+                // Leave out records created after the block the search read at
+                const ids = this.indexer.getRecordIds(searchType, searchValue).filter(id =>
+                    blockNumber === null || this.indexer.getRecord(id).blockNumber <= blockNumber
+                );
+                
+                if (ids.length === records.length) {
+                    console.log(`📚 Resolved ${ids.length} record IDs from event index`);
+                    const recordsWithIds = records.map((record, i) => ({ id: ids[i], ...record }));
+                    await this.storeRecordDetails(recordsWithIds);
+                    return recordsWithIds;
+                }
+                console.warn(`📚 Event index has ${ids.length} records for ${searchType} ${searchValue}, contract returned ${records.length}`);
+            } catch (error) {
+                console.warn('📚 Event indexer unavailable, falling back to record scan:', error.message);
+            }
+        }
+        
+        return this.scanRecordIds(records);
+    }
+
+    async scanRecordIds(records) {
+        // Fallback: check every record - one RPC call per record ever created
         const recordsWithIds = [];
         const totalRecords = await this.contract.getTotalRecords();
         
-        for (let i = 1; i <= Number(totalRecords); i++) {
+        for (let i = 0; i < Number(totalRecords); i++) {
             try {
                 const record = await this.contract.getRebateRecord(i);
                 
@@ -571,8 +1012,8 @@ class CashRebateExplorer {
                 const matches = records.some(searchRecord => 
                     record.clientId === searchRecord.clientId &&
                     record.productId === searchRecord.productId &&
-                    record.amount === searchRecord.amount &&
-                    record.timestamp === searchRecord.timestamp
+                    record.amount.eq(searchRecord.amount) &&
+                    record.timestamp.eq(searchRecord.timestamp)
                 );
                 
                 if (matches) {
@@ -603,49 +1044,856 @@ class CashRebateExplorer {
             return;
         }
 
-        const recordsGrid = document.createElement('div');
-        recordsGrid.className = 'records-grid';
+        // When appending, extend the existing grid instead of stacking a new one
+        let recordsGrid = append ? container.querySelector('.records-grid') : null;
+        const isNewGrid = !recordsGrid;
+        if (isNewGrid) {
+            recordsGrid = document.createElement('div');
+            recordsGrid.className = 'records-grid';
+        }
         
         records.forEach(record => {
-            const recordCard = document.createElement('div');
-            recordCard.className = `record-card ${record.isActive ? 'active' : 'inactive'}`;
-            
-            recordCard.innerHTML = `
-                <div class="record-header">
-                    <span class="record-id">Record #${record.id}</span>
-                    <span class="record-status ${record.isActive ? 'active' : 'inactive'}">
-                        ${record.isActive ? 'Active' : 'Inactive'}
-                    </span>
-                </div>
-                <div class="record-details">
-                    <p><strong>Client ID:</strong> ${record.clientId}</p>
-                    <p><strong>Product ID:</strong> ${record.productId}</p>
-                    <p><strong>Amount:</strong> ${this.formatAmount(record.amount)} MATIC</p>
-                    <p><strong>Date:</strong> ${this.formatTimestamp(record.timestamp)}</p>
-                    <p><strong>Recorded By:</strong> 
-                        <a href="${CONFIG.network.explorerUrl}/address/${record.recordedBy}" 
-                           target="_blank" class="address-link">
-                            ${this.formatAddress(record.recordedBy)}
+            const recordCard = this.createRecordCard(record);
+            recordsGrid.appendChild(recordCard);
+        });
+        
+        if (isNewGrid) {
+            container.appendChild(recordsGrid);
+        }
+    }
+
+    createRecordCard(record) {
+        // Overridden rebates carry their justification after the reference
+        const { reference, override } = RebateReference.parse(record.transactionHash);
+        
+        const recordCard = document.createElement('div');
+        recordCard.className = `record-card ${record.isActive ? 'active' : 'inactive'}`;
+        recordCard.dataset.recordId = record.id;
+        
+        recordCard.innerHTML = `
+            <div class="record-header">
+                <a href="${HashRouter.format('record', String(record.id))}" class="record-id">Record #${record.id}</a>
+                <span class="record-status ${record.isActive ? 'active' : 'inactive'}">
+                    ${record.isActive ? 'Active' : 'Inactive'}
+                </span>
+            </div>
+            <div class="record-details">
+                <p><strong>Client ID:</strong> ${escapeHtml(record.clientId)}</p>
+                <p><strong>Product ID:</strong> ${escapeHtml(record.productId)}</p>
+                <p><strong>Amount:</strong> ${this.formatAmount(record.amount)} ${this.currencySymbol}</p>
+                <p><strong>Date:</strong> ${this.formatTimestamp(record.timestamp)}</p>
+                <p><strong>Recorded By:</strong> 
+                    <a href="${CONFIG.network.explorerUrl}/address/${record.recordedBy}" 
+                       target="_blank" class="address-link">
+                        ${this.formatAddress(record.recordedBy)}
+                    </a>
+                </p>
+                ${reference ? `
+                    <p><strong>TX Hash:</strong> 
+                        <a href="${CONFIG.network.explorerUrl}/tx/${escapeHtml(encodeURIComponent(reference))}" 
+                           target="_blank" class="tx-link">
+                            ${escapeHtml(this.formatTxHash(reference))}
                         </a>
                     </p>
-                    ${record.transactionHash ? `
-                        <p><strong>TX Hash:</strong> 
-                            <a href="${CONFIG.network.explorerUrl}/tx/${record.transactionHash}" 
-                               target="_blank" class="tx-link">
-                                ${this.formatTxHash(record.transactionHash)}
-                            </a>
-                        </p>
-                    ` : ''}
+                ` : ''}
+                ${override ? `
+                    <p><strong>Program Override:</strong> ${escapeHtml(override.rule)} (program: ${escapeHtml(override.programRule)})</p>
+                    <p><strong>Justification:</strong> ${escapeHtml(override.justification)}</p>
+                ` : ''}
+            </div>
+        `;
+        
+        return recordCard;
+    }
+
+    // Record detail
+    /**
+     * Creation log, status changes and batch siblings of a record, from the
+     * event index
+     */
+    async getRecordHistory(recordId) {
+        if (!this.indexer) {
+            throw new Error('Event indexer not initialized');
+        }
+        await this.syncIndexer();
+        
+        const entry = this.indexer.getRecord(recordId);
+        if (!entry) {
+            throw new Error(`No RebateRecorded event indexed for record ${recordId}`);
+        }
+        
+        const statusEvents = this.indexer.getStatusEvents(recordId);
+        await this.loadBlockTimestamps(statusEvents.map(event => event.blockNumber));
+        
+        return {
+            entry,
+            statusEvents,
+            batch: this.indexer.getTransactionRecords(entry.creationTxHash)
+        };
+    }
+
+    async loadBlockTimestamps(blockNumbers) {
+        const missing = [...new Set(blockNumbers)].filter(blockNumber => !this.blockTimestamps.has(blockNumber));
+        const blocks = await Promise.all(missing.map(blockNumber => this.provider.getBlock(blockNumber)));
+        blocks.forEach(block => this.blockTimestamps.set(block.number, block.timestamp));
+    }
+
+    renderRecordHistory(record, { entry, statusEvents, batch }) {
+        const explorerUrl = CONFIG.network.explorerUrl;
+        const txLink = hash => `<a href="${explorerUrl}/tx/${hash}" target="_blank" class="tx-link">${this.formatTxHash(hash)}</a>`;
+        const blockLink = blockNumber => `<a href="${explorerUrl}/block/${blockNumber}" target="_blank" class="tx-link">${blockNumber}</a>`;
+        const addressLink = address => `<a href="${explorerUrl}/address/${address}" target="_blank" class="address-link">${this.formatAddress(address)}</a>`;
+        
+        const timeline = [
+            `<li class="timeline-entry active">
+                <strong>Created (Active)</strong> ${this.formatTimestamp(record.timestamp)}
+                by ${addressLink(entry.recordedBy)} in block ${blockLink(entry.blockNumber)}, tx ${txLink(entry.creationTxHash)}
+            </li>`,
+            ...statusEvents.map(event => `
+                <li class="timeline-entry ${event.status ? 'active' : 'inactive'}">
+                    <strong>${event.status ? 'Reactivated' : 'Deactivated'}</strong> ${this.formatTimestamp(this.blockTimestamps.get(event.blockNumber))}
+                    by ${addressLink(event.updatedBy)} in block ${blockLink(event.blockNumber)}, tx ${txLink(event.transactionHash)}
+                </li>
+            `)
+        ].join('');
+        
+        const batchHtml = batch.length > 1
+            ? `
+                <p>Created in a batch of ${batch.length} records in transaction ${txLink(entry.creationTxHash)}:</p>
+                <ul class="batch-records">
+                    ${batch.map(sibling => sibling.id === record.id
+                        ? `<li><strong>Record #${sibling.id}</strong> (this record)</li>`
+                        : `<li><a href="${HashRouter.format('record', String(sibling.id))}">Record #${sibling.id}</a></li>`
+                    ).join('')}
+                </ul>
+            `
+            : '<p>Recorded individually, not as part of a batch.</p>';
+        
+        return `
+            <div class="record-history">
+                <div class="history-section">
+                    <h3>📜 Creation</h3>
+                    <p><strong>Transaction:</strong> ${txLink(entry.creationTxHash)}</p>
+                    <p><strong>Block:</strong> ${blockLink(entry.blockNumber)}</p>
+                </div>
+                <div class="history-section">
+                    <h3>🔁 Status History</h3>
+                    <ol class="status-timeline">${timeline}</ol>
+                </div>
+                <div class="history-section">
+                    <h3>📦 Batch</h3>
+                    ${batchHtml}
                 </div>
+            </div>
+        `;
+    }
+
+    // Authority directory
+    /**
+     * Show the owner and authorities replayed from AuthorityAdded,
+     * AuthorityRemoved and OwnershipTransferred events
+     */
+    async loadAuthorityDirectory() {
+        const container = document.getElementById('authorities-content');
+        if (!container) return;
+        
+        if (!this.indexer) {
+            container.innerHTML = '<div class="no-results">The authority directory needs a connection to the contract\'s event history.</div>';
+            return;
+        }
+        
+        try {
+            if (!container.querySelector('.authority-directory')) {
+                container.innerHTML = '<p>Replaying authority events...</p>';
+            }
+            
+            await this.syncIndexer();
+            const directory = this.indexer.getAuthorityDirectory();
+            const events = [...directory.ownerHistory, ...directory.authorities.flatMap(authority => authority.history)];
+            await this.loadBlockTimestamps(events.map(event => event.blockNumber));
+            
+            // Events before the indexer's start block would be missing from the replay
+            const contractOwner = await this.contract.owner();
+            if (directory.owner === null || directory.owner.toLowerCase() !== contractOwner.toLowerCase()) {
+                console.warn(`👥 Replayed owner ${directory.owner} does not match owner() ${contractOwner}`);
+            }
+            
+            // Deployments from before two-step ownership transfers have no pending owner
+            const pendingOwner = this.missingFunctions.includes('pendingOwner()')
+                ? ethers.constants.AddressZero
+                : await this.contract.pendingOwner();
+            
+            container.innerHTML = this.renderAuthorityDirectory(directory, contractOwner, pendingOwner);
+        } catch (error) {
+            console.error('👥 Failed to load authority directory:', error);
+            container.innerHTML = `<div class="no-results">Failed to load authorities: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    refreshAuthoritiesIfVisible() {
+        const authoritiesTab = document.getElementById('authorities-tab');
+        if (authoritiesTab && authoritiesTab.classList.contains('active')) {
+            this.loadAuthorityDirectory();
+        }
+    }
+
+    renderAuthorityDirectory({ ownerHistory, authorities }, owner, pendingOwner = ethers.constants.AddressZero) {
+        const explorerUrl = CONFIG.network.explorerUrl;
+        const addressLink = address => `<a href="${explorerUrl}/address/${address}" target="_blank" class="address-link">${this.formatAddress(address)}</a>`;
+        const txLink = hash => `<a href="${explorerUrl}/tx/${hash}" target="_blank" class="tx-link">tx</a>`;
+        const eventTime = event => this.formatTimestamp(this.blockTimestamps.get(event.blockNumber));
+        const isOwner = address => address.toLowerCase() === owner.toLowerCase();
+        
+        const ownerEvents = ownerHistory.map(event => `
+            <li>${event.by === ethers.constants.AddressZero
+                ? `Set to ${addressLink(event.account)} at deployment`
+                : `Transferred from ${addressLink(event.by)} to ${addressLink(event.account)}`}
+                ${eventTime(event)} (${txLink(event.transactionHash)})</li>
+        `).join('');
+        
+        // Current authorities first, then by amount recorded
+        const sorted = [...authorities].sort((a, b) => {
+            if (a.isActive !== b.isActive) return a.isActive ? -1 : 1;
+            if (!a.totalAmount.eq(b.totalAmount)) return b.totalAmount.gt(a.totalAmount) ? 1 : -1;
+            return b.recordCount - a.recordCount;
+        });
+        
+        const rows = sorted.map(authority => {
+            const status = authority.isActive
+                ? '<span class="record-status active">Authority</span>'
+                : isOwner(authority.address)
+                    ? '<span class="record-status active">Owner</span>'
+                    : authority.history.length > 0
+                        ? '<span class="record-status inactive">Removed</span>'
+                        : '<span class="record-status inactive">Not an authority</span>';
+            const history = authority.history.map(event => `
+                <li>${event.event === 'AuthorityAdded' ? 'Added' : 'Removed'} by ${addressLink(event.by)}
+                    ${eventTime(event)} (${txLink(event.transactionHash)})</li>
+            `).join('');
+            
+            return `
+                <tr>
+                    <td>${addressLink(authority.address)}${isOwner(authority.address) && authority.isActive ? ' 👑' : ''}</td>
+                    <td>${status}</td>
+                    <td>${authority.recordCount}</td>
+                    <td>${this.formatAmount(authority.totalAmount)}</td>
+                    <td><ul class="authority-history">${history || '<li>No authority events</li>'}</ul></td>
+                </tr>
             `;
+        }).join('');
+        
+        return `
+            <div class="authority-directory">
+                <div class="history-section">
+                    <h3>👑 Owner</h3>
+                    <p>${addressLink(owner)} (the owner can always record rebates)</p>
+                    ${pendingOwner !== ethers.constants.AddressZero
+                        ? `<p>⏳ Transfer pending to ${addressLink(pendingOwner)}, awaiting their acceptance</p>`
+                        : ''}
+                    <ul class="authority-history">${ownerEvents}</ul>
+                </div>
+                <div class="history-section">
+                    <h3>👥 Authorities</h3>
+                    <p>${authorities.filter(authority => authority.isActive).length} current authorities</p>
+                    <table class="analytics-table">
+                        <thead>
+                            <tr><th>Address</th><th>Status</th><th>Records</th><th>Amount (${this.currencySymbol})</th><th>History</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    // Filtering and sorting
+    getResultFilter(containerId) {
+        return this.resultFilters[containerId] || new RecordFilter();
+    }
+
+    getVisibleRecords(containerId) {
+        const result = this.displayedResults[containerId];
+        return result ? this.getResultFilter(containerId).apply(result.records) : [];
+    }
+
+    /**
+     * Re-render a results container's records through its filter and sort
+     */
+    renderResultView(containerId) {
+        const container = document.getElementById(containerId);
+        const result = this.displayedResults[containerId];
+        if (!container || !result) return;
+        
+        const records = this.getVisibleRecords(containerId);
+        container.querySelectorAll('.records-grid, .no-results').forEach(element => element.remove());
+        
+        if (records.length === 0 && result.records.length > 0) {
+            container.insertAdjacentHTML('beforeend', '<div class="no-results">No records match the current filters</div>');
+        } else {
+            this.displayRecords(records, containerId);
+        }
+        
+        this.updateFilterBar(containerId, records.length, result.records.length);
+    }
+
+    renderFilterBar(containerId) {
+        const sortOptions = Object.entries(RECORD_SORTS)
+            .map(([value, sort]) => `<option value="${value}">${sort.label}</option>`)
+            .join('');
+        
+        return `
+            <form class="filter-bar" data-filter-target="${containerId}" onsubmit="return false;">
+                <label>From <input type="date" name="fromDate"></label>
+                <label>To <input type="date" name="toDate"></label>
+                <label>Min ${this.currencySymbol} <input type="number" name="minAmount" min="0" step="any"></label>
+                <label>Max ${this.currencySymbol} <input type="number" name="maxAmount" min="0" step="any"></label>
+                <label>Status
+                    <select name="status">
+                        <option value="all">All</option>
+                        <option value="active">Active</option>
+                        <option value="inactive">Inactive</option>
+                    </select>
+                </label>
+                <label>Authority
+                    <select name="authority">
+                        <option value="all">All</option>
+                    </select>
+                </label>
+                <label>Sort
+                    <select name="sort">${sortOptions}</select>
+                </label>
+                <button type="button" class="filter-reset" data-filter-reset>Reset</button>
+                <span class="filter-count"></span>
+            </form>
+        `;
+    }
+
+    /**
+     * Refresh the authority options and match count of a container's filter bar
+     */
+    updateFilterBar(containerId, shown, total) {
+        const form = document.querySelector(`.filter-bar[data-filter-target="${containerId}"]`);
+        if (!form) return;
+        
+        const authoritySelect = form.elements.authority;
+        const selected = authoritySelect.value;
+        const authorities = [...new Set(this.displayedResults[containerId].records.map(record => record.recordedBy))];
+        authoritySelect.innerHTML = '<option value="all">All</option>' + authorities
+            .map(address => `<option value="${address}">${this.formatAddress(address)}</option>`)
+            .join('');
+        authoritySelect.value = authorities.includes(selected) ? selected : 'all';
+        
+        const count = form.querySelector('.filter-count');
+        count.textContent = this.getResultFilter(containerId).isFiltering()
+            ? `${shown} of ${total} loaded records match`
+            : '';
+    }
+
+    // Exports
+    setDisplayedResults(containerId, label, records, blockNumber) {
+        this.displayedResults[containerId] = { label, records: [...records], blockNumber };
+    }
+
+    appendDisplayedResults(containerId, records, blockNumber) {
+        const result = this.displayedResults[containerId];
+        if (!result) return;
+        
+        result.records.push(...records);
+        result.blockNumber = Math.max(result.blockNumber, blockNumber);
+    }
+
+    renderExportActions(containerId) {
+        return `
+            <div class="export-actions" data-export-target="${containerId}">
+                <span>Export:</span>
+                <button class="export-btn" data-export-format="csv">CSV</button>
+                <button class="export-btn" data-export-format="json">JSON</button>
+                <button class="export-btn" data-export-format="xlsx">XLSX</button>
+            </div>
+        `;
+    }
+
+    async exportResults(containerId, format) {
+        const result = this.displayedResults[containerId];
+        // Export what the filter bar currently shows
+        const records = result ? this.getVisibleRecords(containerId) : [];
+        if (records.length === 0) {
+            this.showError('There are no records to export.');
+            return;
+        }
+        
+        try {
+            const exporter = new RecordExporter({
+                contractAddress: CONFIG.contractAddress,
+                chainId: CONFIG.network.chainId,
+                currencySymbol: this.currencySymbol,
+                blockNumber: result.blockNumber,
+                label: result.label
+            });
+            await exporter.download(format, records);
+            console.log(`📤 Exported ${records.length} records as ${format}`);
+        } catch (error) {
+            console.error('📤 Export failed:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    // Routing
+    /**
+     * Show the tab for a route and run its search (see HashRouter)
+     */
+    async applyRoute({ tab, query }) {
+        activateTab(tab);
+        
+        const input = document.getElementById(`${tab}-search`);
+        if (input && query !== null) {
+            input.value = query;
+        }
+        
+        const needsContract = tab === 'dashboard' || tab === 'authorities' || query !== null;
+        if (!needsContract) return;
+        if (!this.contract) {
+            this.pendingRoute = { tab, query };
+            return;
+        }
+        
+        switch (tab) {
+            case 'client':
+                await this.searchByClient(query);
+                break;
+            case 'product':
+                await this.searchByProduct(query);
+                break;
+            case 'record':
+                await this.searchByRecord(query);
+                break;
+            case 'dashboard':
+                await this.loadDashboard();
+                break;
+            case 'authorities':
+                await this.loadAuthorityDirectory();
+                break;
+        }
+    }
+
+    // Analytics dashboard
+    /**
+     * Build dashboard analytics from the event index. Amounts, statuses and
+     * authorities come from the indexed events; timestamps and client/product
+     * names come from the record details, fetched once and then cached.
+     */
+    async loadDashboard() {
+        const container = document.getElementById('dashboard-content');
+        if (!container || this.isLoadingDashboard) return;
+        
+        if (!this.indexer) {
+            container.innerHTML = '<div class="no-results">Analytics need a connection to the contract\'s event history.</div>';
+            return;
+        }
+        
+        this.isLoadingDashboard = true;
+        try {
+            if (!this.analytics) {
+                container.innerHTML = '<p>Loading analytics from contract events...</p>';
+            }
             
-            recordsGrid.appendChild(recordCard);
+            await this.syncIndexer();
+            const ids = [...this.indexer.records.keys()];
+            await this.loadRecordDetails(ids, (loaded, total) => {
+                if (!this.analytics) {
+                    container.innerHTML = `<p>Loading record details (${loaded}/${total})...</p>`;
+                }
+            });
+            
+            const records = ids.map(id => this.getCachedRecord(id)).filter(Boolean);
+            this.analytics = new RebateAnalytics(records);
+            console.log(`📈 Dashboard built from ${records.length} indexed records`);
+            this.renderDashboard();
+        } catch (error) {
+            console.error('📈 Failed to load dashboard:', error);
+            container.innerHTML = `<div class="no-results">Failed to load analytics: ${escapeHtml(error.message)}</div>`;
+        } finally {
+            this.isLoadingDashboard = false;
+        }
+    }
+
+    /**
+     * Fetch and cache details for records that are not cached yet, in small
+     * parallel batches
+     */
+    async loadRecordDetails(recordIds, onProgress = null) {
+        const missing = recordIds.filter(id => !this.recordDetails.has(id));
+        const batchSize = 10;
+        
+        for (let i = 0; i < missing.length; i += batchSize) {
+            if (onProgress) onProgress(i, missing.length);
+            
+            const batch = missing.slice(i, i + batchSize);
+            const records = await Promise.all(batch.map(async id => ({
+                id,
+                ...(await this.contract.getRebateRecord(id))
+            })));
+            await this.storeRecordDetails(records);
+        }
+    }
+
+    refreshDashboardIfVisible() {
+        const dashboardTab = document.getElementById('dashboard-tab');
+        if (dashboardTab && dashboardTab.classList.contains('active')) {
+            this.loadDashboard();
+        }
+    }
+
+    renderDashboard() {
+        const container = document.getElementById('dashboard-content');
+        if (!container || !this.analytics) return;
+        
+        if (this.analytics.records.length === 0) {
+            container.innerHTML = '<div class="no-results">No records found</div>';
+            return;
+        }
+        
+        const period = this.dashboardPeriod;
+        const periodLabel = ANALYTICS_PERIODS[period].label.toLowerCase();
+        const series = this.analytics.volumeByPeriod(period);
+        const split = this.analytics.statusSplit();
+        const total = split.active.count + split.inactive.count;
+        const activePercent = Math.round((split.active.count / total) * 100);
+        const toNative = amount => Number(ethers.utils.formatEther(amount));
+        
+        container.innerHTML = `
+            <div class="dashboard-grid">
+                <div class="dashboard-card">
+                    <h3>Records per ${periodLabel}</h3>
+                    ${renderBarChart(series, entry => entry.count, value => `${value} records`)}
+                </div>
+                <div class="dashboard-card">
+                    <h3>Amount per ${periodLabel} (${this.currencySymbol})</h3>
+                    ${renderBarChart(series, entry => toNative(entry.amount), value => `${value} ${this.currencySymbol}`)}
+                </div>
+            </div>
+            
+            <div class="dashboard-card">
+                <h3>Active vs. Deactivated</h3>
+                <div class="status-split-bar">
+                    <div class="status-split-active" style="width: ${activePercent}%"></div>
+                </div>
+                <div class="status-split-legend">
+                    <span>✅ Active: ${split.active.count} records, ${this.formatAmount(split.active.amount)} ${this.currencySymbol}</span>
+                    <span>❌ Deactivated: ${split.inactive.count} records, ${this.formatAmount(split.inactive.amount)} ${this.currencySymbol}</span>
+                </div>
+            </div>
+            
+            <div class="dashboard-grid">
+                <div class="dashboard-card">
+                    <h3>Top Clients</h3>
+                    ${this.renderRankingTable('Client', this.analytics.topClients())}
+                </div>
+                <div class="dashboard-card">
+                    <h3>Top Products</h3>
+                    ${this.renderRankingTable('Product', this.analytics.topProducts())}
+                </div>
+            </div>
+            
+            <div class="dashboard-card">
+                <h3>Volume by Authority</h3>
+                ${this.renderRankingTable('Authority', this.analytics.volumeByAuthority())}
+            </div>
+        `;
+    }
+
+    renderRankingTable(keyLabel, rows) {
+        const body = rows.map((row, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td class="ranking-key">${escapeHtml(row.key)}</td>
+                <td>${row.count}</td>
+                <td>${this.formatAmount(row.amount)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table class="analytics-table">
+                <thead>
+                    <tr><th>#</th><th>${keyLabel}</th><th>Records</th><th>Amount (${this.currencySymbol})</th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+
+    // Live updates
+    async startLiveUpdates() {
+        this.stopLiveUpdates();
+        
+        if (await this.subscribeViaWebSocket()) {
+            this.updateLiveStatus('websocket');
+            return;
+        }
+        
+        await this.startPolling();
+    }
+
+    stopLiveUpdates() {
+        if (this.liveProvider) {
+            this.liveProvider.removeAllListeners();
+            this.liveProvider.destroy();
+            this.liveProvider = null;
+        }
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.updateLiveStatus('off');
+    }
+
+    async subscribeViaWebSocket() {
+        const wsUrls = CONFIG.network.wsUrls || [];
+        if (typeof WebSocket === 'undefined' || wsUrls.length === 0) {
+            return false;
+        }
+        
+        for (const wsUrl of wsUrls) {
+            let wsProvider = null;
+            try {
+                console.log(`📡 Opening websocket subscription: ${wsUrl}`);
+                wsProvider = new ethers.providers.WebSocketProvider(wsUrl, CONFIG.network.chainId);
+                
+                await Promise.race([
+                    wsProvider.ready,
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('Websocket timeout')), 10000))
+                ]);
+                
+                const liveContract = this.contract.connect(wsProvider);
+                ['RebateRecorded', 'RebateStatusUpdated', 'AuthorityAdded', 'AuthorityRemoved', 'OwnershipTransferred'].forEach(eventName => {
+                    liveContract.on(eventName, (...args) => {
+                        // The last listener argument is the event, which carries the raw log
+                        this.handleLiveLog(args[args.length - 1]);
+                    });
+                });
+                
+                // Drop to polling if the socket goes away
+                wsProvider._websocket.addEventListener('close', () => {
+                    if (this.liveProvider === wsProvider) {
+                        console.warn('📡 Websocket closed, falling back to polling');
+                        this.liveProvider = null;
+                        this.startPolling();
+                    }
+                });
+                
+                this.liveProvider = wsProvider;
+                console.log('📡 Subscribed to contract events over websocket');
+                return true;
+            } catch (error) {
+                console.warn(`📡 Websocket ${wsUrl} unavailable:`, error.message);
+                if (wsProvider) {
+                    wsProvider.destroy();
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    async startPolling() {
+        try {
+            this.lastPolledBlock = await this.provider.getBlockNumber();
+        } catch (error) {
+            console.warn('📡 Could not start polling:', error.message);
+            this.updateLiveStatus('off');
+            return;
+        }
+        
+        this.pollTimer = setInterval(() => this.pollForEvents(), CONFIG.pollInterval || 15000);
+        this.updateLiveStatus('polling');
+        console.log(`📡 Polling for contract events from block ${this.lastPolledBlock}`);
+    }
+
+    async pollForEvents() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+        
+        try {
+            const latestBlock = await this.provider.getBlockNumber();
+            if (latestBlock <= this.lastPolledBlock) {
+                return;
+            }
+            
+            const iface = this.contract.interface;
+            const logs = await this.provider.getLogs({
+                address: CONFIG.contractAddress,
+                fromBlock: this.lastPolledBlock + 1,
+                toBlock: latestBlock,
+                topics: [[
+                    iface.getEventTopic('RebateRecorded'),
+                    iface.getEventTopic('RebateStatusUpdated'),
+                    iface.getEventTopic('AuthorityAdded'),
+                    iface.getEventTopic('AuthorityRemoved'),
+                    iface.getEventTopic('OwnershipTransferred')
+                ]]
+            });
+            
+            for (const log of logs) {
+                await this.handleLiveLog(log);
+            }
+            this.lastPolledBlock = latestBlock;
+        } catch (error) {
+            console.warn('📡 Event poll failed:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    async handleLiveLog(log) {
+        const logKey = `${log.transactionHash}:${log.logIndex}`;
+        if (this.seenLiveLogs.has(logKey)) {
+            return;
+        }
+        this.seenLiveLogs.set(logKey, log.blockNumber);
+        this.pruneSeenLiveLogs(log.blockNumber);
+        
+        const iface = this.contract.interface;
+        const fragment = iface.getEvent(log.topics[0]);
+        const args = iface.decodeEventLog(fragment, log.data, log.topics);
+        console.log(`📡 Live event: ${fragment.name}`, log.transactionHash);
+        
+        // Keep the event index current (it dedupes logs it has already seen)
+        if (this.indexSynced) {
+            this.indexer.applyLog(log);
+        }
+        
+        try {
+            switch (fragment.name) {
+                case 'RebateRecorded':
+                    await this.handleNewRecord(args.recordId.toNumber(), log.blockNumber);
+                    break;
+                case 'RebateStatusUpdated':
+                    await this.handleStatusUpdate(args.recordId.toNumber(), args.status);
+                    break;
+                case 'AuthorityAdded':
+                    this.showNotice(`Authority added: ${this.formatAddress(args.authority)}`);
+                    break;
+                case 'AuthorityRemoved':
+                    this.showNotice(`Authority removed: ${this.formatAddress(args.authority)}`);
+                    break;
+                case 'OwnershipTransferred':
+                    this.showNotice(`Ownership transferred to ${this.formatAddress(args.newOwner)}`);
+                    break;
+            }
+            
+            if (fragment.name === 'RebateRecorded' || fragment.name === 'RebateStatusUpdated') {
+                this.refreshDashboardIfVisible();
+            }
+            this.refreshAuthoritiesIfVisible();
+        } catch (error) {
+            console.warn(`📡 Failed to apply ${fragment.name}:`, error);
+        }
+    }
+
+    /**
+     * Forget live logs more than LIVE_LOG_DEDUPE_BLOCKS behind the given block
+     */
+    pruneSeenLiveLogs(latestBlock) {
+        const oldestKept = latestBlock - LIVE_LOG_DEDUPE_BLOCKS;
+        for (const [logKey, blockNumber] of this.seenLiveLogs) {
+            if (blockNumber < oldestKept) {
+                this.seenLiveLogs.delete(logKey);
+            }
+        }
+    }
+
+    async handleNewRecord(recordId, blockNumber) {
+        const record = { id: recordId, ...(await this.contract.getRebateRecord(recordId)) };
+        await this.storeRecordDetails([record]);
+        
+        // Skip records the loaded stats already counted
+        if (this.stats && recordId >= this.stats.totalRecords) {
+            this.stats.totalRecords = recordId + 1;
+            this.stats.activeRecords++;
+            this.stats.totalAmount = this.stats.totalAmount.add(record.amount);
+            this.renderStats();
+        }
+        
+        // Add to the recent list; the pagination cursor only covers older records
+        const recent = this.displayedResults['recent-records'];
+        if (recent && !recent.records.some(existing => existing.id === recordId)) {
+            recent.records.unshift(record);
+            recent.blockNumber = Math.max(recent.blockNumber, blockNumber);
+            this.renderResultView('recent-records');
+            
+            const card = document.querySelector(`#recent-records .record-card[data-record-id="${recordId}"]`);
+            if (card) {
+                card.classList.add('live-new');
+            }
+        }
+        
+        if (this.stats) {
+            this.updatePaginationControls(this.stats.totalRecords);
+        }
+    }
+
+    async handleStatusUpdate(recordId, status) {
+        const cards = document.querySelectorAll(`.record-card[data-record-id="${recordId}"]`);
+        cards.forEach(card => {
+            card.classList.toggle('active', status);
+            card.classList.toggle('inactive', !status);
+            
+            const badge = card.querySelector('.record-status');
+            if (badge) {
+                badge.className = `record-status ${status ? 'active' : 'inactive'}`;
+                badge.textContent = status ? 'Active' : 'Inactive';
+            }
+        });
+        
+        const details = this.recordDetails.get(recordId);
+        if (details) {
+            details.isActive = status;
+        }
+        
+        Object.entries(this.displayedResults).forEach(([containerId, result]) => {
+            const matching = result.records.filter(record => record.id === recordId);
+            matching.forEach(record => { record.isActive = status; });
+            
+            // A status filter may now include or exclude the record
+            if (matching.length > 0 && this.getResultFilter(containerId).isFiltering()) {
+                this.renderResultView(containerId);
+            }
         });
         
-        container.appendChild(recordsGrid);
+        if (this.stats) {
+            const amount = details
+                ? ethers.BigNumber.from(details.amount)
+                : (await this.contract.getRebateRecord(recordId)).amount;
+            
+            this.stats.activeRecords += status ? 1 : -1;
+            this.stats.totalAmount = status
+                ? this.stats.totalAmount.add(amount)
+                : this.stats.totalAmount.sub(amount);
+            this.renderStats();
+        }
+    }
+
+    updateLiveStatus(mode) {
+        const statusElement = document.getElementById('live-status');
+        if (!statusElement) return;
+        
+        const labels = {
+            websocket: '🟢 Live',
+            polling: '🟡 Live (polling)',
+            off: '⚪ Live updates off'
+        };
+        statusElement.textContent = labels[mode];
+        statusElement.className = `live-status ${mode}`;
     }
 
     // Utility functions
+    /**
+     * Symbol of the selected network's native currency, which amounts are in
+     */
+    get currencySymbol() {
+        return CONFIG.network.nativeCurrency.symbol;
+    }
+
     formatAmount(amount) {
         try {
             // Handle BigNumber from ethers v5
@@ -708,6 +1956,18 @@ class CashRebateExplorer {
         }, 5000);
     }
 
+    showNotice(message) {
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'error-message notice-message';
+        noticeDiv.textContent = message;
+        
+        document.body.appendChild(noticeDiv);
+        
+        setTimeout(() => {
+            noticeDiv.remove();
+        }, 5000);
+    }
+
     clearSearchResults() {
         // Clear all search result containers
         const containers = ['client-results', 'product-results', 'record-results', 'search-results'];
@@ -716,12 +1976,31 @@ class CashRebateExplorer {
             if (container) {
                 container.innerHTML = '';
             }
+            delete this.displayedResults[containerId];
+            delete this.resultFilters[containerId];
         });
     }
 
     async loadMoreRecords() {
-        // Implement pagination logic here
-        console.log('Load more records functionality would be implemented here');
+        if (!this.contract) {
+            this.showError('Explorer is not connected to the blockchain.');
+            return;
+        }
+        
+        const loadMoreButton = document.getElementById('load-more');
+        if (loadMoreButton) {
+            loadMoreButton.disabled = true;
+        }
+        
+        try {
+            await this.loadNextPage();
+        } catch (error) {
+            console.error('🕐 Failed to load more records:', error);
+            this.showError('Failed to load more records: ' + error.message);
+            if (loadMoreButton) {
+                loadMoreButton.disabled = false;
+            }
+        }
     }
 }
 
@@ -828,6 +2107,14 @@ const additionalStyles = `
     color: #333;
 }
 
+a.record-id {
+    text-decoration: none;
+}
+
+a.record-id:hover {
+    color: #667eea;
+}
+
 .record-status {
     padding: 4px 8px;
     border-radius: 12px;
@@ -870,6 +2157,141 @@ const additionalStyles = `
     font-style: italic;
 }
 
+.record-history {
+    margin-top: 20px;
+    display: grid;
+    gap: 15px;
+}
+
+.history-section {
+    background: #f8f9fa;
+    border-radius: 10px;
+    padding: 15px 20px;
+}
+
+.history-section h3 {
+    margin-bottom: 10px;
+    color: #2c3e50;
+}
+
+.history-section p {
+    margin: 5px 0;
+}
+
+.status-timeline {
+    list-style: none;
+    padding-left: 0;
+    margin: 0;
+}
+
+.timeline-entry {
+    border-left: 4px solid #27ae60;
+    padding: 8px 12px;
+    margin-bottom: 8px;
+    background: white;
+    border-radius: 0 8px 8px 0;
+}
+
+.timeline-entry.inactive {
+    border-left-color: #e74c3c;
+}
+
+.authority-history {
+    list-style: none;
+    padding-left: 0;
+    margin: 0;
+    font-size: 0.85em;
+}
+
+.authority-history li {
+    margin-bottom: 4px;
+}
+
+.batch-records {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px 20px;
+    padding-left: 20px;
+}
+
+.filter-bar {
+    display: flex;
+    align-items: flex-end;
+    gap: 10px;
+    margin-bottom: 15px;
+    flex-wrap: wrap;
+    font-size: 0.9rem;
+}
+
+.filter-bar label {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    color: #7f8c8d;
+}
+
+.filter-bar input,
+.filter-bar select {
+    padding: 6px;
+    border: 2px solid #ecf0f1;
+    border-radius: 8px;
+}
+
+.filter-bar input[type="number"] {
+    width: 110px;
+}
+
+.filter-reset {
+    background: #ecf0f1;
+    border: none;
+    padding: 8px 14px;
+    border-radius: 8px;
+    cursor: pointer;
+}
+
+.filter-count {
+    color: #667eea;
+    font-weight: 600;
+}
+
+.export-actions {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-bottom: 15px;
+    flex-wrap: wrap;
+}
+
+.export-btn {
+    background: #ecf0f1;
+    border: none;
+    padding: 6px 14px;
+    border-radius: 8px;
+    cursor: pointer;
+    font-weight: 600;
+}
+
+.export-btn:hover {
+    background: #667eea;
+    color: white;
+}
+
+.notice-message {
+    background: #667eea;
+}
+
+.record-card.live-new {
+    animation: slideIn 0.3s ease-out;
+    box-shadow: 0 0 0 2px #667eea;
+}
+
+.live-status {
+    padding: 0.5rem 1rem;
+    border-radius: 20px;
+    font-size: 0.9rem;
+    background: rgba(255, 255, 255, 0.2);
+}
+
 .offline-notice {
     background: linear-gradient(135deg, #ff9800 0%, #f57c00 100%);
     color: white;
@@ -960,6 +2382,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // Global functions for HTML interface compatibility
 function showTab(tabName) {
+    if (explorerInstance) {
+        explorerInstance.router.navigate(tabName);
+    } else {
+        activateTab(tabName);
+    }
+}
+
+function activateTab(tabName) {
     // Clear active classes
     document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
     document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
@@ -987,7 +2417,7 @@ function searchClient() {
         return;
     }
     
-    explorerInstance.searchByClient(clientId);
+    explorerInstance.router.navigate('client', clientId);
 }
 
 function searchProduct() {
@@ -1002,7 +2432,7 @@ function searchProduct() {
         return;
     }
     
-    explorerInstance.searchByProduct(productId);
+    explorerInstance.router.navigate('product', productId);
 }
 
 function searchRecord() {
@@ -1012,12 +2442,12 @@ function searchRecord() {
     }
     
     const recordId = document.getElementById('record-search').value.trim();
-    if (!recordId || isNaN(recordId) || recordId < 1) {
-        alert('Please enter a valid Record ID (positive number)');
+    if (!/^\d+$/.test(recordId)) {
+        alert('Please enter a valid Record ID (0 or greater)');
         return;
     }
     
-    explorerInstance.searchByRecord(parseInt(recordId));
+    explorerInstance.router.navigate('record', recordId);
 }
 
 function loadRecentRecords() {
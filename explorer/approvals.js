@@ -0,0 +1,223 @@
+// Approvals
+// Maker-checker approval for rebates above the contract's approval threshold.
+// The maker signs an EIP-712 RebateRequest; a different authority reviews it in
+// their approvals inbox, co-signs it and records it with recordApprovedRebate.
+// The page has no server, so makers share signed requests as JSON, which the
+// checker imports. Each browser keeps its inbox in localStorage per deployment.
+
+// How long a signed request can be recorded for (seconds)
+const APPROVAL_REQUEST_LIFETIME = 7 * 24 * 60 * 60;
+
+// Must match REBATE_REQUEST_TYPEHASH in CashRebateTracker.sol
+const REBATE_REQUEST_TYPES = {
+    RebateRequest: [
+        { name: 'maker', type: 'address' },
+        { name: 'clientId', type: 'string' },
+        { name: 'productId', type: 'string' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'transactionHash', type: 'string' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+class ApprovalInbox {
+    /**
+     * @param {string} contractAddress - Deployment the requests are for
+     */
+    constructor(contractAddress) {
+        this.contractAddress = ethers.utils.getAddress(contractAddress);
+        this.storageKey = `rebateTracker.approvals.${CONFIG.network.chainId}.${contractAddress.toLowerCase()}`;
+    }
+
+    /**
+     * EIP-712 domain of the deployment, as set in the contract's constructor
+     */
+    get domain() {
+        return {
+            name: 'CashRebateTracker',
+            version: '1',
+            chainId: CONFIG.network.chainId,
+            verifyingContract: this.contractAddress
+        };
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('⚠️ Could not save approvals inbox:', error.message);
+        }
+    }
+
+    /**
+     * Newest first
+     */
+    get entries() {
+        return this.load().sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    get(id) {
+        return this.load().find(entry => entry.id === id) || null;
+    }
+
+    update(id, changes) {
+        const entries = this.load();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return null;
+
+        Object.assign(entry, changes);
+        this.save(entries);
+        return entry;
+    }
+
+    remove(id) {
+        this.save(this.load().filter(entry => entry.id !== id));
+    }
+
+    static entryId(request) {
+        return `${request.maker.toLowerCase()}:${request.nonce}`;
+    }
+
+    /**
+     * Sign a rebate request as its maker and add it to the inbox
+     * @param {ethers.Signer} signer - The maker's signer
+     * @param {Object} rebate - clientId, productId, amount (wei) and transactionHash
+     * @param {Object} details - Shown to the checker with the request, e.g. the
+     *   program rule and override justification. Not signed; an override is
+     *   signed as part of the transactionHash (see RebateReference).
+     * @returns {Promise<Object>} The inbox entry
+     */
+    async create(signer, rebate, details = {}) {
+        const maker = await signer.getAddress();
+        const request = {
+            maker,
+            clientId: rebate.clientId,
+            productId: rebate.productId,
+            amount: ethers.BigNumber.from(rebate.amount).toString(),
+            transactionHash: rebate.transactionHash,
+            // Random, so a maker's requests can be approved in any order
+            nonce: ethers.BigNumber.from(ethers.utils.randomBytes(32)).toString(),
+            deadline: String(Math.floor(Date.now() / 1000) + APPROVAL_REQUEST_LIFETIME)
+        };
+        const makerSignature = await signer._signTypedData(this.domain, REBATE_REQUEST_TYPES, request);
+
+        return this.add({ request, makerSignature, details });
+    }
+
+    add({ request, makerSignature, details }) {
+        const entry = {
+            id: ApprovalInbox.entryId(request),
+            request,
+            makerSignature,
+            details,
+            status: 'awaiting', // awaiting | submitted | recorded | rejected | cancelled | closed
+            txHash: null,
+            recordId: null,
+            createdAt: Date.now()
+        };
+
+        const entries = this.load().filter(e => e.id !== entry.id);
+        entries.push(entry);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * JSON the maker shares with a checker
+     */
+    export(entry) {
+        return JSON.stringify({
+            type: 'RebateRequest',
+            chainId: CONFIG.network.chainId,
+            contract: this.contractAddress,
+            request: entry.request,
+            makerSignature: entry.makerSignature,
+            details: entry.details
+        });
+    }
+
+    /**
+     * Add a request shared by its maker, after checking it is for this
+     * deployment and that the maker signed it
+     * @param {string} text - JSON from export()
+     * @returns {Object} The inbox entry
+     */
+    import(text) {
+        let shared;
+        try {
+            shared = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a rebate request: paste the text the maker shared');
+        }
+        if (!shared || shared.type !== 'RebateRequest' || !shared.request || !shared.makerSignature) {
+            throw new Error('Not a rebate request: paste the text the maker shared');
+        }
+        if (Number(shared.chainId) !== CONFIG.network.chainId ||
+            String(shared.contract).toLowerCase() !== this.contractAddress.toLowerCase()) {
+            throw new Error(`This request is for another deployment (${shared.contract} on chain ${shared.chainId})`);
+        }
+
+        const request = {};
+        for (const { name } of REBATE_REQUEST_TYPES.RebateRequest) {
+            if (shared.request[name] === undefined) throw new Error(`The request has no ${name}`);
+            request[name] = String(shared.request[name]);
+        }
+
+        if (this.recoverSigner(request, shared.makerSignature) !== ethers.utils.getAddress(request.maker)) {
+            throw new Error('The maker\'s signature doesn\'t match the request');
+        }
+        if (this.get(ApprovalInbox.entryId(request))) {
+            throw new Error('This request is already in the inbox');
+        }
+
+        return this.add({ request, makerSignature: shared.makerSignature, details: shared.details || {} });
+    }
+
+    /**
+     * Address that signed a request
+     */
+    recoverSigner(request, signature) {
+        try {
+            return ethers.utils.verifyTypedData(this.domain, REBATE_REQUEST_TYPES, request, signature);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Co-sign a request as its checker
+     */
+    async approve(signer, entry) {
+        return signer._signTypedData(this.domain, REBATE_REQUEST_TYPES, entry.request);
+    }
+
+    static isExpired(entry, now = Date.now()) {
+        return Number(entry.request.deadline) * 1000 < now;
+    }
+
+    /**
+     * Close requests recorded or cancelled elsewhere, e.g. approved by another
+     * checker or withdrawn from the maker's browser
+     * @param {ethers.Contract} contract
+     * @returns {Promise<number>} How many entries were closed
+     */
+    async syncUsedNonces(contract) {
+        let closed = 0;
+        for (const entry of this.load().filter(e => e.status === 'awaiting')) {
+            if (await contract.isRequestNonceUsed(entry.request.maker, entry.request.nonce)) {
+                this.update(entry.id, { status: 'closed' });
+                closed++;
+            }
+        }
+        return closed;
+    }
+}
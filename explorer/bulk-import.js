@@ -0,0 +1,461 @@
+// Bulk Import
+// Reads rebates from a CSV or XLSX file, validates every row with the admin
+// form's rules, works out rebates from the rebate programs and records the
+// valid rows through recordRebatesBatch, one transaction per chunk. After a failed chunk, submitting again resumes from
+// the first chunk that hasn't been confirmed.
+
+// recordRebatesBatch rejects larger batches
+const BULK_IMPORT_CHUNK_SIZE = 100;
+
+// Chunks sent through the relayer stay within the gas it pays for per request
+// (MAX_RELAYED_GAS in scripts/relayer.js), even when every row is an override
+// with a long justification
+const BULK_IMPORT_RELAYED_CHUNK_SIZE = 10;
+
+// Accepted header names per field, compared lowercase without spaces, _, - or brackets
+const BULK_IMPORT_COLUMNS = {
+    clientId: ['clientid', 'customerid', 'client', 'customer'],
+    productId: ['productid', 'product'],
+    purchaseAmount: ['purchaseamount', 'purchaseamountusd', 'purchase'],
+    rebatePercentage: ['rebatepercentage', 'rebatepercent', 'percentage', 'rebate%'],
+    rebateAmount: ['rebateamount', 'rebateamountusd', 'customrebate', 'customrebateamountusd'],
+    transactionHash: ['transactionhash', 'originaltransactionhash', 'txhash', 'reference'],
+    justification: ['justification', 'overridejustification', 'reason']
+};
+
+class BulkImport {
+    /**
+     * @param {Array<Array>} table - Header row followed by data rows
+     * @param {Object} options
+     * @param {number} options.importId - Used in the reference of rows without a
+     *   transaction hash, so resubmitted chunks keep the same references
+     * @param {RebatePrograms} options.programs - Programs for rows without an override
+     */
+    constructor(table, { importId = Date.now(), programs = new RebatePrograms() } = {}) {
+        const [header = [], ...rows] = table;
+        this.importId = importId;
+        this.programs = programs;
+        this.columns = BulkImport.mapColumns(header);
+
+        this.entries = [];
+        rows.forEach((row, index) => {
+            // Skip blank lines, which spreadsheets often leave at the end
+            if (row.every(cell => String(cell === undefined || cell === null ? '' : cell).trim() === '')) return;
+
+            // Row numbers match the spreadsheet, where the header is row 1
+            this.entries.push(this.parseRow(row, index + 2));
+        });
+
+        // Client caps need the clients' recorded rebates; see applyClientCaps
+        this.capsApplied = this.cappedClientIds.length === 0;
+        this.chunkSize = BULK_IMPORT_CHUNK_SIZE;
+        this.buildChunks();
+        this.isSubmitting = false;
+    }
+
+    buildChunks() {
+        const validEntries = this.validEntries;
+        this.chunks = [];
+        for (let i = 0; i < validEntries.length; i += this.chunkSize) {
+            this.chunks.push({
+                entries: validEntries.slice(i, i + this.chunkSize),
+                status: 'pending', // pending | submitting | submitted | confirmed | failed
+                txHash: null,
+                recordIds: [],
+                error: null
+            });
+        }
+    }
+
+    /**
+     * Read a CSV or XLSX file into rows of cells
+     * @param {File} file
+     * @returns {Promise<Array<Array>>}
+     */
+    static async readFile(file) {
+        if (/\.xlsx?$/i.test(file.name)) {
+            const XLSX = await loadXlsxLibrary();
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        }
+        return BulkImport.parseCsv(await file.text());
+    }
+
+    /**
+     * Parse comma-separated text with quoted fields (RFC 4180)
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Find the column index of each field from the header row
+     * @returns {Object} Field name to column index
+     */
+    static mapColumns(header) {
+        const normalized = header.map(name => String(name).toLowerCase().replace(/[\s_\-()]/g, ''));
+        const columns = {};
+
+        for (const [field, names] of Object.entries(BULK_IMPORT_COLUMNS)) {
+            const index = normalized.findIndex(name => names.includes(name));
+            if (index !== -1) columns[field] = index;
+        }
+
+        const missing = ['clientId', 'productId', 'purchaseAmount'].filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing column(s): ${missing.join(', ')}`);
+        }
+        return columns;
+    }
+
+    parseRow(row, rowNumber) {
+        const cell = field => {
+            const value = this.columns[field] === undefined ? '' : row[this.columns[field]];
+            return value === undefined || value === null ? '' : String(value).trim();
+        };
+
+        const entry = {
+            rowNumber,
+            clientId: cell('clientId'),
+            productId: cell('productId'),
+            purchaseAmount: parseFloat(cell('purchaseAmount')),
+            rebatePercentage: cell('rebatePercentage').replace(/%$/, '').trim(),
+            rebateAmount: 0,
+            transactionHash: cell('transactionHash') || `REBATE_${this.importId}_${rowNumber}`,
+            program: null,
+            rule: '',
+            override: false,
+            justification: cell('justification'),
+            amountWei: null,
+            errors: []
+        };
+
+        const check = (field, message) => {
+            if (message) entry.errors.push({ field, message });
+        };
+
+        check('clientId', RebateValidation.clientId(entry.clientId));
+        check('productId', RebateValidation.productId(entry.productId));
+        check('purchaseAmount', RebateValidation.purchaseAmount(cell('purchaseAmount')));
+        check('transactionHash', RebateValidation.transactionHash(cell('transactionHash')));
+
+        // Rows use the product's program unless they override it with a
+        // percentage of the purchase or a custom amount, and say why
+        const customRebate = cell('rebateAmount');
+        entry.override = Boolean(customRebate || entry.rebatePercentage);
+        if (customRebate && entry.rebatePercentage) {
+            check('rebateAmount', 'Give either a rebate percentage or a rebate amount, not both');
+        } else if (customRebate) {
+            check('rebateAmount', RebateValidation.customRebate(customRebate, entry.purchaseAmount));
+            entry.rebateAmount = calculateRebate(entry.purchaseAmount, 'custom', parseFloat(customRebate));
+            entry.rule = 'Manual override: custom amount';
+        } else if (entry.rebatePercentage) {
+            check('rebatePercentage', RebateValidation.rebatePercentage(entry.rebatePercentage));
+            entry.rebateAmount = calculateRebate(entry.purchaseAmount, entry.rebatePercentage, NaN);
+            entry.rule = `Manual override: ${entry.rebatePercentage}%`;
+        } else if (entry.errors.length === 0) {
+            const quote = this.programs.calculate(entry.productId, entry.purchaseAmount);
+            check('program', quote.error);
+            entry.program = quote.program;
+            entry.rebateAmount = quote.amount;
+            entry.rule = quote.rule;
+        }
+
+        if (entry.override) {
+            check('justification', RebateValidation.justification(entry.justification));
+
+            // What the program would have given, kept with the justification
+            const quote = this.programs.calculate(entry.productId, entry.purchaseAmount);
+            entry.programRule = quote.error || quote.rule;
+        }
+
+        if (entry.errors.length === 0) {
+            this.setAmountWei(entry);
+        }
+        return entry;
+    }
+
+    setAmountWei(entry) {
+        try {
+            entry.amountWei = ethers.utils.parseEther(entry.rebateAmount.toString());
+        } catch (error) {
+            entry.amountWei = null;
+            entry.errors.push({ field: 'rebateAmount', message: `Rebate amount ${entry.rebateAmount} can't be converted to wei` });
+        }
+    }
+
+    /**
+     * Clients with rows under a capped program
+     */
+    get cappedClientIds() {
+        const clientIds = this.entries
+            .filter(entry => entry.errors.length === 0 && entry.program && entry.program.clientCap)
+            .map(entry => entry.clientId);
+        return [...new Set(clientIds)];
+    }
+
+    /**
+     * Apply client caps, counting both the rebates each client already has and
+     * the earlier rows of this file. Rows are reduced to what is left of the
+     * cap, or rejected once it is used up. Only possible before submitting.
+     * @param {Map<string, Map<string, number>>} usageByClient - Client ID ->
+     *   program ID -> USD, from RebatePrograms.loadCapUsage
+     */
+    applyClientCaps(usageByClient) {
+        if (this.chunks.some(chunk => chunk.status !== 'pending')) {
+            throw new Error('Client caps must be applied before submitting');
+        }
+
+        for (const entry of this.entries) {
+            if (entry.errors.length > 0 || !entry.program || !entry.program.clientCap) continue;
+
+            const usage = usageByClient.get(entry.clientId) || new Map();
+            usageByClient.set(entry.clientId, usage);
+
+            const quote = this.programs.calculate(entry.productId, entry.purchaseAmount, usage);
+            if (quote.error) {
+                entry.errors.push({ field: 'program', message: quote.error });
+                continue;
+            }
+
+            entry.rebateAmount = quote.amount;
+            entry.rule = quote.rule;
+            this.setAmountWei(entry);
+            usage.set(entry.program.id, (usage.get(entry.program.id) || 0) + quote.amount);
+        }
+
+        this.capsApplied = true;
+        this.buildChunks();
+    }
+
+    /**
+     * Reject rows above the maker-checker approval threshold; the contract only
+     * records those with a second authority's approval. Does nothing once
+     * submitting has started.
+     * @param {ethers.BigNumber|null} threshold - Wei, null when no approval is needed
+     * @returns {number} How many rows were rejected
+     */
+    applyApprovalThreshold(threshold) {
+        if (threshold === null || this.chunks.some(chunk => chunk.status !== 'pending')) return 0;
+
+        const overThreshold = this.validEntries.filter(entry => entry.amountWei.gt(threshold));
+        for (const entry of overThreshold) {
+            entry.errors.push({
+                field: 'rebateAmount',
+                message: `Over the ${formatUsd(ethers.utils.formatEther(threshold))} approval threshold; record it through the form so a second authority can approve it`
+            });
+        }
+
+        if (overThreshold.length > 0) this.buildChunks();
+        return overThreshold.length;
+    }
+
+    /**
+     * Change how many rows go in each transaction. Does nothing once
+     * submitting has started.
+     * @returns {boolean} Whether the chunks were rebuilt
+     */
+    setChunkSize(size) {
+        if (size === this.chunkSize || this.chunks.some(chunk => chunk.status !== 'pending')) return false;
+
+        this.chunkSize = size;
+        this.buildChunks();
+        return true;
+    }
+
+    get validEntries() {
+        return this.entries.filter(entry => entry.errors.length === 0);
+    }
+
+    get invalidEntries() {
+        return this.entries.filter(entry => entry.errors.length > 0);
+    }
+
+    /**
+     * Row counts and amounts for the import preview
+     */
+    get totals() {
+        const valid = this.validEntries;
+        const confirmed = this.chunks.filter(chunk => chunk.status === 'confirmed');
+
+        return {
+            rows: this.entries.length,
+            valid: valid.length,
+            invalid: this.entries.length - valid.length,
+            overrides: valid.filter(entry => entry.override).length,
+            purchaseAmount: valid.reduce((sum, entry) => sum + entry.purchaseAmount, 0),
+            rebateAmountWei: valid.reduce((sum, entry) => sum.add(entry.amountWei), ethers.BigNumber.from(0)),
+            chunks: this.chunks.length,
+            confirmedChunks: confirmed.length,
+            confirmedRows: confirmed.reduce((sum, chunk) => sum + chunk.entries.length, 0)
+        };
+    }
+
+    get isComplete() {
+        return this.chunks.length > 0 && this.chunks.every(chunk => chunk.status === 'confirmed');
+    }
+
+    /**
+     * Index of the chunk the next submit starts from, -1 when all are confirmed
+     */
+    get nextChunkIndex() {
+        return this.chunks.findIndex(chunk => chunk.status !== 'confirmed');
+    }
+
+    /**
+     * Record every unconfirmed chunk, one transaction at a time. Stops at the
+     * first failure; calling submit again resumes from that chunk.
+     * @param {ethers.Contract} contract - Contract connected to a signer
+     * @param {Function} onProgress - Called after every chunk state change
+     * @param {Function} [relay] - Hands a chunk's unsigned transaction to the
+     *   relayer instead of sending it from the wallet; called with (request,
+     *   chunk, index) and resolves to the relayed transaction's hash
+     */
+    async submit(contract, onProgress = () => {}, relay = null) {
+        if (this.isSubmitting) {
+            throw new Error('Import is already being submitted');
+        }
+
+        this.isSubmitting = true;
+        try {
+            for (let index = 0; index < this.chunks.length; index++) {
+                const chunk = this.chunks[index];
+                if (chunk.status === 'confirmed') continue;
+
+                await this.submitChunk(contract, chunk, index, onProgress, relay);
+            }
+        } finally {
+            this.isSubmitting = false;
+            onProgress(this);
+        }
+    }
+
+    async submitChunk(contract, chunk, index, onProgress, relay) {
+        // A chunk sent before a failure may have been mined since; never send it twice
+        if (chunk.txHash) {
+            const sent = await contract.provider.getTransaction(chunk.txHash);
+            if (sent && sent.blockNumber === null) {
+                chunk.status = 'failed';
+                chunk.error = new Error(`Chunk ${index + 1} transaction ${chunk.txHash} is still pending. Resume once it has been mined.`);
+                throw chunk.error;
+            }
+
+            const receipt = sent ? await contract.provider.getTransactionReceipt(chunk.txHash) : null;
+            if (receipt && receipt.status === 1) {
+                this.confirmChunk(contract, chunk, receipt);
+                onProgress(this);
+                return;
+            }
+            // Reverted or dropped: send it again
+            chunk.txHash = null;
+        }
+
+        chunk.status = 'submitting';
+        chunk.error = null;
+        onProgress(this);
+
+        try {
+            const tx = relay
+                ? await this.relayChunk(contract, chunk, index, relay)
+                : await contract.recordRebatesBatch(...BulkImport.batchArguments(chunk));
+            chunk.txHash = tx.hash;
+            chunk.status = 'submitted';
+            console.log(`⏳ Bulk import chunk ${index + 1}/${this.chunks.length} ${relay ? 'relayed' : 'submitted'}:`, tx.hash);
+            onProgress(this);
+
+            const receipt = await tx.wait();
+            this.confirmChunk(contract, chunk, receipt);
+            console.log(`✅ Bulk import chunk ${index + 1}/${this.chunks.length} confirmed in block ${receipt.blockNumber}`);
+            onProgress(this);
+        } catch (error) {
+            // Reverted transactions can be resent as-is
+            if (error.receipt) chunk.txHash = null;
+            chunk.status = 'failed';
+            chunk.error = error;
+            throw error;
+        }
+    }
+
+    /**
+     * Relay a chunk, and wait for the relayed transaction the way a sent one is
+     * waited for: reverts reject with the receipt
+     */
+    async relayChunk(contract, chunk, index, relay) {
+        const request = await contract.populateTransaction.recordRebatesBatch(...BulkImport.batchArguments(chunk));
+        const hash = await relay(request, chunk, index);
+
+        return {
+            hash,
+            wait: async () => {
+                const receipt = await contract.provider.waitForTransaction(hash);
+                if (receipt.status === 0) {
+                    const error = new Error(`Relayed transaction ${hash} reverted`);
+                    error.receipt = receipt;
+                    throw error;
+                }
+                return receipt;
+            }
+        };
+    }
+
+    /**
+     * recordRebatesBatch arguments for a chunk
+     */
+    static batchArguments(chunk) {
+        return [
+            chunk.entries.map(entry => entry.clientId),
+            chunk.entries.map(entry => entry.productId),
+            chunk.entries.map(entry => entry.amountWei),
+            chunk.entries.map(entry => RebateReference.format(entry))
+        ];
+    }
+
+    confirmChunk(contract, chunk, receipt) {
+        const topic = contract.interface.getEventTopic('RebateRecorded');
+        chunk.recordIds = receipt.logs
+            .filter(log => log.topics[0] === topic)
+            .map(log => contract.interface.decodeEventLog('RebateRecorded', log.data, log.topics).recordId.toNumber());
+        chunk.txHash = receipt.transactionHash;
+        chunk.status = 'confirmed';
+        chunk.error = null;
+    }
+}
@@ -0,0 +1,176 @@
+// Explorer Cache
+// Persists indexed rebate records, status events and the last synced block in
+// IndexedDB so reloads render instantly and only fetch events newer than the
+// watermark. Data is scoped by chain ID and contract address.
+
+const EXPLORER_DB_NAME = 'rebate-explorer';
+const EXPLORER_DB_VERSION = 2;
+
+class ExplorerCache {
+    /**
+     * @param {string} contractAddress - Contract the cached data belongs to
+     * @param {number} chainId - Chain the contract is deployed on
+     */
+    constructor(contractAddress, chainId) {
+        this.scope = `${chainId}:${contractAddress.toLowerCase()}`;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(EXPLORER_DB_NAME, EXPLORER_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    // Records are keyed by [scope, recordId] so a record seen in an
+                    // earlier sync is updated in place, never stored twice
+                    const records = db.createObjectStore('records', { keyPath: ['scope', 'id'] });
+                    records.createIndex('scope', 'scope');
+
+                    // Status events are keyed by the log that emitted them
+                    const statusEvents = db.createObjectStore('statusEvents', { keyPath: ['scope', 'logKey'] });
+                    statusEvents.createIndex('scope', 'scope');
+
+                    db.createObjectStore('meta', { keyPath: 'scope' });
+                }
+
+                if (event.oldVersion < 2) {
+                    const authorityEvents = db.createObjectStore('authorityEvents', { keyPath: ['scope', 'logKey'] });
+                    authorityEvents.createIndex('scope', 'scope');
+
+                    // Version 1 did not index authority events: drop the watermarks
+                    // so the next sync replays the full history
+                    if (event.oldVersion >= 1) {
+                        request.transaction.objectStore('meta').clear();
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Load everything cached for this contract
+     * @returns {Promise<{meta: Object|null, records: Array, statusEvents: Array, authorityEvents: Array}>}
+     */
+    async load() {
+        const db = await this.open();
+        const tx = db.transaction(['records', 'statusEvents', 'authorityEvents', 'meta'], 'readonly');
+
+        const [meta, records, statusEvents, authorityEvents] = await Promise.all([
+            this.request(tx.objectStore('meta').get(this.scope)),
+            this.request(tx.objectStore('records').index('scope').getAll(this.scope)),
+            this.request(tx.objectStore('statusEvents').index('scope').getAll(this.scope)),
+            this.request(tx.objectStore('authorityEvents').index('scope').getAll(this.scope))
+        ]);
+
+        const byLogOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+        records.sort((a, b) => a.id - b.id);
+        statusEvents.sort(byLogOrder);
+        authorityEvents.sort(byLogOrder);
+
+        return { meta: meta || null, records, statusEvents, authorityEvents };
+    }
+
+    /**
+     * Store the results of an indexer sync together with the new watermark.
+     * Written in one transaction so the watermark never runs ahead of the data.
+     */
+    async saveSync({ records, statusEvents, authorityEvents = [], lastSyncedBlock, startBlock }) {
+        const db = await this.open();
+        const tx = db.transaction(['records', 'statusEvents', 'authorityEvents', 'meta'], 'readwrite');
+        const recordStore = tx.objectStore('records');
+        const statusStore = tx.objectStore('statusEvents');
+        const authorityStore = tx.objectStore('authorityEvents');
+
+        // Combine per record first: each merge is a get followed by a put, so two
+        // merges of the same record in one transaction would overwrite each other
+        const updates = new Map();
+        for (const record of records) {
+            updates.set(record.id, { ...record });
+        }
+
+        // Status changes also update the cached isActive flag of their record
+        for (const event of statusEvents) {
+            statusStore.put({ ...event, scope: this.scope, logKey: `${event.transactionHash}:${event.logIndex}` });
+            updates.set(event.recordId, { ...(updates.get(event.recordId) || { id: event.recordId }), isActive: event.status });
+        }
+
+        for (const fields of updates.values()) {
+            this.mergeRecord(recordStore, fields);
+        }
+
+        for (const event of authorityEvents) {
+            authorityStore.put({ ...event, scope: this.scope, logKey: `${event.transactionHash}:${event.logIndex}` });
+        }
+
+        tx.objectStore('meta').put({
+            scope: this.scope,
+            lastSyncedBlock,
+            startBlock,
+            updatedAt: Date.now()
+        });
+
+        await this.complete(tx);
+    }
+
+    /**
+     * Store full record details (client/product IDs, timestamp) fetched over RPC
+     */
+    async putRecordDetails(records) {
+        if (records.length === 0) return;
+
+        const db = await this.open();
+        const tx = db.transaction('records', 'readwrite');
+        const store = tx.objectStore('records');
+
+        const uniqueRecords = new Map(records.map(record => [record.id, record]));
+        for (const record of uniqueRecords.values()) {
+            this.mergeRecord(store, {
+                id: record.id,
+                clientId: record.clientId,
+                productId: record.productId,
+                amount: record.amount.toString(),
+                timestamp: Number(record.timestamp),
+                recordedBy: record.recordedBy,
+                transactionHash: record.transactionHash,
+                isActive: record.isActive
+            });
+        }
+
+        await this.complete(tx);
+    }
+
+    mergeRecord(store, fields) {
+        const key = [this.scope, fields.id];
+        const getRequest = store.get(key);
+        getRequest.onsuccess = () => {
+            store.put({ ...(getRequest.result || {}), ...fields, scope: this.scope });
+        };
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
@@ -1,257 +1,221 @@
 // Contract Configuration
-const CONFIG = {
-    // Your deployed contract address on Amoy testnet
-    contractAddress: "0x4A9AE17B2CA4BB5b18f6FaceCfBF91fe42c495e6",
-    
-    // Amoy Testnet Configuration with automatic network switching
-    network: {
-        name: "Polygon Amoy Testnet",
-        chainId: 80002,
-        chainIdHex: "0x13882", // 80002 in hex for MetaMask
-        rpcUrls: [
-            "https://rpc-amoy.polygon.technology/",
-            "https://polygon-amoy.drpc.org",
-            "https://polygon-amoy.blockpi.network/v1/rpc/public"
-        ],
-        nativeCurrency: {
-            name: "MATIC",
-            symbol: "MATIC",
-            decimals: 18
-        },
-        explorerUrl: "https://amoy.polygonscan.com"
-    },
-    
-    // Contract ABI (Application Binary Interface)
-    // This defines how to interact with your smart contract
-    contractABI: [
-        {
-            "inputs": [{"internalType": "address[]", "name": "initialAuthorities", "type": "address[]"}],
-            "stateMutability": "nonpayable",
-            "type": "constructor"
-        },
-        {
-            "anonymous": false,
-            "inputs": [
-                {"indexed": true, "internalType": "address", "name": "authority", "type": "address"},
-                {"indexed": true, "internalType": "address", "name": "addedBy", "type": "address"}
-            ],
-            "name": "AuthorityAdded",
-            "type": "event"
-        },
-        {
-            "anonymous": false,
-            "inputs": [
-                {"indexed": true, "internalType": "address", "name": "authority", "type": "address"},
-                {"indexed": true, "internalType": "address", "name": "removedBy", "type": "address"}
-            ],
-            "name": "AuthorityRemoved",
-            "type": "event"
-        },
-        {
-            "anonymous": false,
-            "inputs": [
-                {"indexed": true, "internalType": "address", "name": "previousOwner", "type": "address"},
-                {"indexed": true, "internalType": "address", "name": "newOwner", "type": "address"}
+
+// Known deployments of the contract. The active one is chosen per browser with
+// the network selector and its settings are exposed as CONFIG.network,
+// CONFIG.contractAddress and CONFIG.startBlock. Addresses and start blocks
+// recorded by scripts/deploy.js (explorer/deployments.js, and the gitignored
+// explorer/deployments.local.js for the local chain) replace the ones here.
+// Deployments with a forwarderAddress and relayerUrl offer gasless recording
+// through scripts/relayer.js.
+const DEPLOYMENTS = {
+    local: {
+        label: "Local Hardhat",
+        // Set from explorer/deployments.local.js by `npm run deploy:local`
+        contractAddress: null,
+        startBlock: 0,
+        forwarderAddress: null,
+        // `npm run relayer`
+        relayerUrl: "http://127.0.0.1:8546",
+        network: {
+            name: "Hardhat Local",
+            chainId: 31337,
+            chainIdHex: "0x7a69",
+            rpcUrls: [
+                "http://127.0.0.1:8545"
             ],
-            "name": "OwnershipTransferred",
-            "type": "event"
-        },
-        {
-            "anonymous": false,
-            "inputs": [
-                {"indexed": true, "internalType": "uint256", "name": "recordId", "type": "uint256"},
-                {"indexed": true, "internalType": "string", "name": "clientId", "type": "string"},
-                {"indexed": true, "internalType": "string", "name": "productId", "type": "string"},
-                {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
-                {"indexed": false, "internalType": "address", "name": "recordedBy", "type": "address"},
-                {"indexed": false, "internalType": "string", "name": "transactionHash", "type": "string"}
+            nativeCurrency: {
+                name: "Ether",
+                symbol: "ETH",
+                decimals: 18
+            },
+            wsUrls: [
+                "ws://127.0.0.1:8545"
             ],
-            "name": "RebateRecorded",
-            "type": "event"
-        },
-        {
-            "anonymous": false,
-            "inputs": [
-                {"indexed": true, "internalType": "uint256", "name": "recordId", "type": "uint256"},
-                {"indexed": false, "internalType": "bool", "name": "status", "type": "bool"},
-                {"indexed": false, "internalType": "address", "name": "updatedBy", "type": "address"}
-            ],
-            "name": "RebateStatusUpdated",
-            "type": "event"
-        },
-        {
-            "inputs": [{"internalType": "address", "name": "authority", "type": "address"}],
-            "name": "addAuthority",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "string", "name": "clientId", "type": "string"}],
-            "name": "getClientRebates",
-            "outputs": [
-                {
-                    "components": [
-                        {"internalType": "string", "name": "clientId", "type": "string"},
-                        {"internalType": "string", "name": "productId", "type": "string"},
-                        {"internalType": "uint256", "name": "amount", "type": "uint256"},
-                        {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-                        {"internalType": "address", "name": "recordedBy", "type": "address"},
-                        {"internalType": "string", "name": "transactionHash", "type": "string"},
-                        {"internalType": "bool", "name": "isActive", "type": "bool"}
-                    ],
-                    "internalType": "struct CashRebateTracker.RebateRecord[]",
-                    "name": "",
-                    "type": "tuple[]"
-                }
-            ],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "string", "name": "clientId", "type": "string"}],
-            "name": "getClientRecordIds",
-            "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "string", "name": "clientId", "type": "string"}],
-            "name": "getClientTotalAmount",
-            "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [],
-            "name": "getContractStats",
-            "outputs": [
-                {"internalType": "uint256", "name": "totalRecords", "type": "uint256"},
-                {"internalType": "uint256", "name": "totalActiveRecords", "type": "uint256"},
-                {"internalType": "uint256", "name": "totalRebateAmount", "type": "uint256"}
-            ],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "string", "name": "productId", "type": "string"}],
-            "name": "getProductRebates",
-            "outputs": [
-                {
-                    "components": [
-                        {"internalType": "string", "name": "clientId", "type": "string"},
-                        {"internalType": "string", "name": "productId", "type": "string"},
-                        {"internalType": "uint256", "name": "amount", "type": "uint256"},
-                        {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-                        {"internalType": "address", "name": "recordedBy", "type": "address"},
-                        {"internalType": "string", "name": "transactionHash", "type": "string"},
-                        {"internalType": "bool", "name": "isActive", "type": "bool"}
-                    ],
-                    "internalType": "struct CashRebateTracker.RebateRecord[]",
-                    "name": "",
-                    "type": "tuple[]"
-                }
-            ],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "uint256", "name": "recordId", "type": "uint256"}],
-            "name": "getRebateRecord",
-            "outputs": [
-                {
-                    "components": [
-                        {"internalType": "string", "name": "clientId", "type": "string"},
-                        {"internalType": "string", "name": "productId", "type": "string"},
-                        {"internalType": "uint256", "name": "amount", "type": "uint256"},
-                        {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-                        {"internalType": "address", "name": "recordedBy", "type": "address"},
-                        {"internalType": "string", "name": "transactionHash", "type": "string"},
-                        {"internalType": "bool", "name": "isActive", "type": "bool"}
-                    ],
-                    "internalType": "struct CashRebateTracker.RebateRecord",
-                    "name": "",
-                    "type": "tuple"
-                }
+            // No block explorer for the local chain
+            explorerUrl: ""
+        }
+    },
+    
+    amoy: {
+        label: "Polygon Amoy (staging)",
+        contractAddress: "0x4A9AE17B2CA4BB5b18f6FaceCfBF91fe42c495e6",
+        // Block the contract was deployed in - event indexing starts here.
+        // Leave null to discover it by binary search (needs an archive RPC).
+        startBlock: null,
+        // Deployed before meta-transaction support
+        forwarderAddress: null,
+        relayerUrl: null,
+        network: {
+            name: "Polygon Amoy Testnet",
+            chainId: 80002,
+            chainIdHex: "0x13882", // 80002 in hex for MetaMask
+            rpcUrls: [
+                "https://rpc-amoy.polygon.technology/",
+                "https://polygon-amoy.drpc.org",
+                "https://polygon-amoy.blockpi.network/v1/rpc/public"
             ],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [],
-            "name": "getTotalRecords",
-            "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "address", "name": "addr", "type": "address"}],
-            "name": "isAuthorized",
-            "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [],
-            "name": "owner",
-            "outputs": [{"internalType": "address", "name": "", "type": "address"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                {"internalType": "string", "name": "clientId", "type": "string"},
-                {"internalType": "string", "name": "productId", "type": "string"},
-                {"internalType": "uint256", "name": "amount", "type": "uint256"},
-                {"internalType": "string", "name": "txHash", "type": "string"}
+            nativeCurrency: {
+                name: "MATIC",
+                symbol: "MATIC",
+                decimals: 18
+            },
+            // Websocket endpoints for live event subscriptions (polling is used without them)
+            wsUrls: [
+                "wss://polygon-amoy-bor-rpc.publicnode.com"
             ],
-            "name": "recordRebate",
-            "outputs": [{"internalType": "uint256", "name": "recordId", "type": "uint256"}],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                {"internalType": "string[]", "name": "clientIds", "type": "string[]"},
-                {"internalType": "string[]", "name": "productIds", "type": "string[]"},
-                {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"},
-                {"internalType": "string[]", "name": "txHashes", "type": "string[]"}
+            explorerUrl: "https://amoy.polygonscan.com"
+        }
+    },
+    
+    polygon: {
+        label: "Polygon Mainnet",
+        // Set once the contract is deployed to mainnet
+        contractAddress: null,
+        startBlock: null,
+        forwarderAddress: null,
+        relayerUrl: null,
+        network: {
+            name: "Polygon Mainnet",
+            chainId: 137,
+            chainIdHex: "0x89",
+            rpcUrls: [
+                "https://polygon-rpc.com",
+                "https://polygon-bor-rpc.publicnode.com"
             ],
-            "name": "recordRebatesBatch",
-            "outputs": [{"internalType": "uint256[]", "name": "recordIds", "type": "uint256[]"}],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "address", "name": "authority", "type": "address"}],
-            "name": "removeAuthority",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [],
-            "name": "renounceOwnership",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "address", "name": "newOwner", "type": "address"}],
-            "name": "transferOwnership",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                {"internalType": "uint256", "name": "recordId", "type": "uint256"},
-                {"internalType": "bool", "name": "status", "type": "bool"}
+            nativeCurrency: {
+                name: "POL",
+                symbol: "POL",
+                decimals: 18
+            },
+            wsUrls: [
+                "wss://polygon-bor-rpc.publicnode.com"
             ],
-            "name": "updateRebateStatus",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
+            explorerUrl: "https://polygonscan.com"
+        }
+    }
+};
+
+// Point each network at its latest recorded deployment
+if (typeof DEPLOYED_CONTRACTS !== 'undefined') {
+    Object.values(DEPLOYMENTS).forEach(deployment => {
+        const deployed = DEPLOYED_CONTRACTS[deployment.network.chainId];
+        if (deployed) {
+            deployment.contractAddress = deployed.address;
+            deployment.startBlock = deployed.startBlock;
+            deployment.forwarderAddress = deployed.forwarder || null;
         }
-    ]
+    });
+}
+
+const DEFAULT_DEPLOYMENT = "amoy";
+const DEPLOYMENT_STORAGE_KEY = "rebateTracker.deployment";
+
+/**
+ * Key of the deployment selected in this browser, falling back to the default
+ * when nothing (or something no longer deployed) was stored
+ */
+function getSelectedDeploymentKey() {
+    let key = null;
+    try {
+        key = localStorage.getItem(DEPLOYMENT_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be blocked (e.g. privacy mode); use the default
+    }
+    return DEPLOYMENTS[key] && DEPLOYMENTS[key].contractAddress ? key : DEFAULT_DEPLOYMENT;
+}
+
+/**
+ * Remember a deployment for this browser. Takes effect on the next page load.
+ */
+function selectDeployment(key) {
+    if (!DEPLOYMENTS[key] || !DEPLOYMENTS[key].contractAddress) {
+        throw new Error(`Unknown or undeployed deployment: ${key}`);
+    }
+    localStorage.setItem(DEPLOYMENT_STORAGE_KEY, key);
+}
+
+/**
+ * Fill a <select> with the deployments and reload the page on change
+ */
+function setupDeploymentSelector(select) {
+    select.innerHTML = Object.entries(DEPLOYMENTS).map(([key, deployment]) => `
+        <option value="${key}" ${deployment.contractAddress ? '' : 'disabled'}>
+            ${deployment.label}${deployment.contractAddress ? '' : ' (not deployed)'}
+        </option>
+    `).join('');
+    select.value = CONFIG.deploymentKey;
+    
+    select.addEventListener('change', () => {
+        selectDeployment(select.value);
+        window.location.reload();
+    });
+}
+
+// Rebate programs used by the admin page to calculate rebates. A product gets
+// the program listing its exact ID, else the one listing its category (the
+// product ID up to the first - or _, e.g. ELEC for ELEC-TV55), else the default.
+// Tier percentages apply from their minPurchase (USD) up to the next tier.
+// Optional rules:
+//   minPurchase - smaller purchases get no rebate
+//   minRebate   - smaller rebates are raised to this amount (USD)
+//   clientCap   - most a client can get from the program per rolling period
+const REBATE_PROGRAMS = [
+    {
+        id: "electronics",
+        name: "Electronics",
+        categories: ["ELEC"],
+        tiers: [
+            { minPurchase: 0, percentage: 2 },
+            { minPurchase: 1000, percentage: 3 },
+            { minPurchase: 5000, percentage: 5 }
+        ],
+        minPurchase: 50,
+        clientCap: { amount: 1000, periodDays: 30 }
+    },
+    {
+        id: "loyalty-launch",
+        name: "Loyalty Launch",
+        products: ["PROD_LOYALTY_01"],
+        tiers: [
+            { minPurchase: 0, percentage: 10 }
+        ],
+        minRebate: 5,
+        clientCap: { amount: 250, periodDays: 90 }
+    },
+    {
+        id: "standard",
+        name: "Standard",
+        default: true,
+        tiers: [
+            { minPurchase: 0, percentage: 1 },
+            { minPurchase: 500, percentage: 2 }
+        ]
+    }
+];
+
+const ACTIVE_DEPLOYMENT_KEY = getSelectedDeploymentKey();
+
+const CONFIG = {
+    deployments: DEPLOYMENTS,
+    deploymentKey: ACTIVE_DEPLOYMENT_KEY,
+    
+    // Active deployment
+    contractAddress: DEPLOYMENTS[ACTIVE_DEPLOYMENT_KEY].contractAddress,
+    network: DEPLOYMENTS[ACTIVE_DEPLOYMENT_KEY].network,
+    startBlock: DEPLOYMENTS[ACTIVE_DEPLOYMENT_KEY].startBlock,
+    forwarderAddress: DEPLOYMENTS[ACTIVE_DEPLOYMENT_KEY].forwarderAddress,
+    relayerUrl: DEPLOYMENTS[ACTIVE_DEPLOYMENT_KEY].relayerUrl,
+    
+    // Block polling interval for live updates when websockets are unavailable (ms)
+    pollInterval: 15000,
+    
+    // Maximum block span per eth_getLogs request (public RPCs enforce limits)
+    logBlockRange: 2000,
+
+    // Rebate programs for the admin form and bulk import (see REBATE_PROGRAMS)
+    rebatePrograms: REBATE_PROGRAMS,
+    
+    // Contract ABI (Application Binary Interface), generated into abi.js from
+    // the Hardhat artifact by `npm run abi:explorer`
+    contractABI: CONTRACT_ABI
 };
\ No newline at end of file
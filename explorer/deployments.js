@@ -0,0 +1,4 @@
+// Generated from deployments/*.json by scripts/deployment-registry.js - do not edit.
+// Regenerate with `npm run deployments:explorer`; scripts/deploy.js does this after each deployment.
+// Local Hardhat deployments (chain 31337) are in the gitignored deployments.local.js.
+const DEPLOYED_CONTRACTS = {};
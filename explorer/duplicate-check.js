@@ -0,0 +1,218 @@
+// Duplicate Check
+// Flags rebates that match one already recorded for the same client, or one
+// submitted from this browser that hasn't been mined yet, so an operator who
+// double-submits after a slow wallet confirmation is warned before paying twice.
+
+// References generated when the operator leaves the field blank (see
+// showConfirmationModal and BulkImport); they never match each other
+const AUTO_REFERENCE_PATTERN = /^REBATE_\d+(_\d+)?$/;
+
+// Pending submissions without a transaction hash are dropped after this long,
+// since the wallet prompt was most likely rejected or closed
+const PENDING_SUBMISSION_TTL = 10 * 60 * 1000;
+
+class DuplicateChecker {
+    /**
+     * @param {ethers.Contract} contract
+     * @param {RebateEventIndexer|null} indexer - Used to match every client at
+     *   once; without it each client's records are read from the contract
+     */
+    constructor(contract, indexer = null) {
+        this.contract = contract;
+        this.indexer = indexer;
+        this.storageKey = `rebateTracker.pendingSubmissions.${CONFIG.network.chainId}.${contract.address.toLowerCase()}`;
+    }
+
+    static isAutoReference(reference) {
+        return AUTO_REFERENCE_PATTERN.test(reference);
+    }
+
+    /**
+     * Same product and amount, and either the same reference or no reference
+     * entered on one side (so a blank-reference double submission still matches).
+     * Client IDs are compared by the caller.
+     */
+    static matches(rebate, existing) {
+        if (!ethers.BigNumber.from(rebate.amount.toString()).eq(existing.amount.toString())) {
+            return false;
+        }
+        // Recorded references may carry an override after the reference itself
+        const reference = RebateReference.parse(rebate.transactionHash).reference;
+        const existingReference = RebateReference.parse(existing.transactionHash).reference;
+        return reference === existingReference ||
+            DuplicateChecker.isAutoReference(reference) ||
+            DuplicateChecker.isAutoReference(existingReference);
+    }
+
+    // Pending submissions, kept in localStorage so they survive a page reload
+    loadPending() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    savePending(pending) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(pending));
+        } catch (error) {
+            console.warn('⚠️ Could not save pending submissions:', error.message);
+        }
+    }
+
+    /**
+     * Remember rebates that are about to be submitted
+     * @param {Array<{clientId, productId, amount, transactionHash}>} rebates
+     * @returns {string} Key for updating or releasing the submission
+     */
+    trackPending(rebates) {
+        const key = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const pending = this.loadPending();
+        pending.push({
+            key,
+            txHash: null,
+            submittedAt: Date.now(),
+            rebates: rebates.map(rebate => ({
+                clientId: rebate.clientId,
+                productId: rebate.productId,
+                amount: rebate.amount.toString(),
+                transactionHash: rebate.transactionHash
+            }))
+        });
+        this.savePending(pending);
+        return key;
+    }
+
+    setPendingTransaction(key, txHash) {
+        const pending = this.loadPending();
+        const submission = pending.find(entry => entry.key === key);
+        if (submission) {
+            submission.txHash = txHash;
+            this.savePending(pending);
+        }
+    }
+
+    /**
+     * Forget a submission once it is mined (the record is then on-chain) or failed
+     */
+    releasePending(key) {
+        this.savePending(this.loadPending().filter(entry => entry.key !== key));
+    }
+
+    /**
+     * Drop submissions that have been mined, or that never got a transaction
+     * and have expired. Submissions whose transaction is still pending stay.
+     */
+    async prunePending() {
+        const provider = this.contract.provider;
+        const kept = [];
+
+        for (const submission of this.loadPending()) {
+            if (!submission.txHash) {
+                if (Date.now() - submission.submittedAt < PENDING_SUBMISSION_TTL) kept.push(submission);
+                continue;
+            }
+
+            try {
+                const tx = await provider.getTransaction(submission.txHash);
+                // Mined submissions show up as records; unknown ones were dropped
+                if (tx && tx.blockNumber === null) kept.push(submission);
+            } catch (error) {
+                kept.push(submission);
+            }
+        }
+
+        this.savePending(kept);
+        return kept;
+    }
+
+    /**
+     * Active records for each client, from the event index when available
+     * @returns {Promise<Map<string, Array>>} clientId -> records with id, productId
+     *   or productHash, amount and transactionHash
+     */
+    async loadClientRecords(clientIds) {
+        const byClient = new Map();
+
+        if (this.indexer) {
+            try {
+                await this.indexer.sync();
+                for (const clientId of clientIds) {
+                    const records = this.indexer.getRecordIds('client', clientId)
+                        .map(id => this.indexer.getRecord(id))
+                        .filter(record => record.isActive);
+                    byClient.set(clientId, records);
+                }
+                return byClient;
+            } catch (error) {
+                console.warn('⚠️ Event index unavailable for duplicate check, reading records per client:', error.message);
+            }
+        }
+
+        for (const clientId of clientIds) {
+            const [ids, rebates] = await Promise.all([
+                this.contract.getClientRecordIds(clientId),
+                this.contract.getClientRebates(clientId)
+            ]);
+            byClient.set(clientId, rebates
+                .map((rebate, i) => ({
+                    id: ids[i].toNumber(),
+                    productId: rebate.productId,
+                    amount: rebate.amount.toString(),
+                    transactionHash: rebate.transactionHash,
+                    isActive: rebate.isActive
+                }))
+                .filter(record => record.isActive));
+        }
+        return byClient;
+    }
+
+    /**
+     * Find possible duplicates of rebates about to be recorded. Later rebates in
+     * the list are also checked against earlier ones.
+     * @param {Array<{clientId, productId, amount, transactionHash}>} rebates
+     * @returns {Promise<Map<number, Array>>} Index into rebates -> matches, each
+     *   {source: 'recorded'|'pending'|'batch', recordId?, txHash?, index?, transactionHash}
+     */
+    async findDuplicates(rebates) {
+        const clientIds = [...new Set(rebates.map(rebate => rebate.clientId))];
+        const [byClient, pending] = await Promise.all([this.loadClientRecords(clientIds), this.prunePending()]);
+        const duplicates = new Map();
+
+        rebates.forEach((rebate, index) => {
+            const productHash = ethers.utils.id(rebate.productId);
+            const matches = [];
+
+            for (const record of byClient.get(rebate.clientId) || []) {
+                const sameProduct = record.productId !== undefined
+                    ? record.productId === rebate.productId
+                    : record.productHash === productHash;
+                if (sameProduct && DuplicateChecker.matches(rebate, record)) {
+                    matches.push({ source: 'recorded', recordId: record.id, transactionHash: record.transactionHash });
+                }
+            }
+
+            for (const submission of pending) {
+                for (const other of submission.rebates) {
+                    if (other.clientId === rebate.clientId && other.productId === rebate.productId &&
+                        DuplicateChecker.matches(rebate, other)) {
+                        matches.push({ source: 'pending', txHash: submission.txHash, transactionHash: other.transactionHash });
+                    }
+                }
+            }
+
+            for (let earlier = 0; earlier < index; earlier++) {
+                const other = rebates[earlier];
+                if (other.clientId === rebate.clientId && other.productId === rebate.productId &&
+                    DuplicateChecker.matches(rebate, other)) {
+                    matches.push({ source: 'batch', index: earlier, transactionHash: other.transactionHash });
+                }
+            }
+
+            if (matches.length > 0) duplicates.set(index, matches);
+        });
+
+        return duplicates;
+    }
+}
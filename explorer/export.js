@@ -0,0 +1,149 @@
+// Record Exporter
+// Serializes displayed rebate records to CSV, JSON or XLSX. Every export starts
+// with a header block identifying the contract, chain and block the data was read at.
+
+const EXPORT_COLUMNS = [
+    { key: 'recordId', label: 'Record ID' },
+    { key: 'clientId', label: 'Client ID' },
+    { key: 'productId', label: 'Product ID' },
+    { key: 'amountWei', label: 'Amount (wei)' },
+    { key: 'amount', label: 'Amount ({symbol})' },
+    { key: 'timestamp', label: 'Timestamp (ISO 8601)' },
+    { key: 'recordedBy', label: 'Recorded By' },
+    { key: 'referenceHash', label: 'Reference Hash' },
+    { key: 'isActive', label: 'Active' }
+];
+
+class RecordExporter {
+    /**
+     * @param {Object} source
+     * @param {string} source.contractAddress - Contract the records were read from
+     * @param {number} source.chainId - Chain ID of the contract
+     * @param {number} source.blockNumber - Block the data was read at
+     * @param {string} source.currencySymbol - Native currency of the chain, which amounts are in
+     * @param {string} source.label - Short description used in the file name (e.g. "client-CLIENT_001")
+     */
+    constructor({ contractAddress, chainId, blockNumber, currencySymbol, label }) {
+        this.contractAddress = contractAddress;
+        this.chainId = chainId;
+        this.blockNumber = blockNumber;
+        this.currencySymbol = currencySymbol;
+        this.label = label;
+        this.exportedAt = new Date().toISOString();
+    }
+
+    get headerBlock() {
+        return [
+            ['Contract Address', this.contractAddress],
+            ['Chain ID', this.chainId],
+            ['Block Number', this.blockNumber],
+            ['Exported At', this.exportedAt]
+        ];
+    }
+
+    get columns() {
+        return EXPORT_COLUMNS.map(column => ({
+            ...column,
+            label: column.label.replace('{symbol}', this.currencySymbol)
+        }));
+    }
+
+    toRows(records) {
+        return records.map(record => ({
+            recordId: Number(record.id),
+            clientId: record.clientId,
+            productId: record.productId,
+            amountWei: record.amount.toString(),
+            amount: ethers.utils.formatEther(record.amount.toString()),
+            timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
+            recordedBy: record.recordedBy,
+            referenceHash: record.transactionHash,
+            isActive: Boolean(record.isActive)
+        }));
+    }
+
+    toCSV(records) {
+        const lines = this.headerBlock.map(([name, value]) => `# ${name},${this.escapeCsv(value)}`);
+        lines.push('');
+        lines.push(this.columns.map(column => this.escapeCsv(column.label)).join(','));
+
+        for (const row of this.toRows(records)) {
+            lines.push(this.columns.map(column => this.escapeCsv(row[column.key])).join(','));
+        }
+
+        return lines.join('\r\n');
+    }
+
+    toJSON(records) {
+        return JSON.stringify({
+            contractAddress: this.contractAddress,
+            chainId: this.chainId,
+            blockNumber: this.blockNumber,
+            exportedAt: this.exportedAt,
+            records: this.toRows(records)
+        }, null, 2);
+    }
+
+    async toXLSX(records) {
+        const XLSX = await loadXlsxLibrary();
+
+        const rows = this.toRows(records);
+        const sheetData = [
+            ...this.headerBlock,
+            [],
+            this.columns.map(column => column.label),
+            ...rows.map(row => this.columns.map(column => row[column.key]))
+        ];
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetData), 'Rebates');
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+
+    /**
+     * Build the export in the given format and trigger a browser download
+     * @param {'csv'|'json'|'xlsx'} format
+     * @param {Array} records - Records with an `id` plus the contract's RebateRecord fields
+     */
+    async download(format, records) {
+        const exporters = {
+            csv: { build: () => this.toCSV(records), mimeType: 'text/csv;charset=utf-8' },
+            json: { build: () => this.toJSON(records), mimeType: 'application/json' },
+            xlsx: {
+                build: () => this.toXLSX(records),
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            }
+        };
+
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const content = await exporter.build();
+        const blob = new Blob([content], { type: exporter.mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rebates-${this.label}-block${this.blockNumber}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    escapeCsv(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+
+        // Keep spreadsheet apps from evaluating IDs as formulas
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
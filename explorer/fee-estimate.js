@@ -0,0 +1,77 @@
+// Fee Estimate
+// Works out what a transaction will cost before the wallet is opened: the gas
+// it needs, the network's current EIP-1559 fees and whether the sender's
+// balance covers the most it can be charged.
+
+// Head room on estimated gas, for state changed by transactions still pending
+const GAS_LIMIT_BUFFER_PERCENT = 10;
+
+/**
+ * Current fees: base and priority fee on EIP-1559 networks, or the gas price on
+ * networks without a base fee. The priority fee comes from the node where it
+ * offers one, since Polygon rejects ethers' fixed 1.5 gwei default.
+ * @param {ethers.providers.Provider} provider
+ * @returns {Promise<{baseFeePerGas, maxPriorityFeePerGas, maxFeePerGas}|{gasPrice}>}
+ */
+async function getFeeSuggestion(provider) {
+    const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+    if (!block.baseFeePerGas) {
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    let priorityFee = feeData.maxPriorityFeePerGas;
+    if (typeof provider.send === 'function') {
+        try {
+            priorityFee = ethers.BigNumber.from(await provider.send('eth_maxPriorityFeePerGas', []));
+        } catch (error) {
+            // Not every node implements it; keep the ethers default
+        }
+    }
+
+    return {
+        baseFeePerGas: block.baseFeePerGas,
+        maxPriorityFeePerGas: priorityFee,
+        // Leaves room for the base fee to double before the transaction is mined
+        maxFeePerGas: block.baseFeePerGas.mul(2).add(priorityFee)
+    };
+}
+
+/**
+ * Estimate a transaction's gas and cost, and check the sender's balance
+ * @param {ethers.providers.Provider} provider
+ * @param {Object} request - Transaction with from, to and data, e.g. from contract.populateTransaction
+ * @returns {Promise<Object>} gasEstimate, gasLimit (with head room), fees,
+ *   expectedCost, maxCost, balance and insufficientFunds, amounts in wei
+ */
+async function estimateTransactionCost(provider, request) {
+    const [gasEstimate, fees, balance] = await Promise.all([
+        provider.estimateGas(request),
+        getFeeSuggestion(provider),
+        provider.getBalance(request.from)
+    ]);
+
+    const gasLimit = gasEstimate.mul(100 + GAS_LIMIT_BUFFER_PERCENT).div(100);
+    const expectedPrice = fees.gasPrice || fees.baseFeePerGas.add(fees.maxPriorityFeePerGas);
+    const maxCost = gasLimit.mul(fees.gasPrice || fees.maxFeePerGas);
+
+    return {
+        gasEstimate,
+        gasLimit,
+        fees,
+        expectedCost: gasEstimate.mul(expectedPrice),
+        maxCost,
+        balance,
+        // The wallet refuses transactions whose gas limit at the max fee exceeds the balance
+        insufficientFunds: balance.lt(maxCost)
+    };
+}
+
+/**
+ * Fee fields of a transaction request, from getFeeSuggestion
+ */
+function feeOverrides(fees) {
+    if (fees.gasPrice) {
+        return { gasPrice: fees.gasPrice };
+    }
+    return { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+}
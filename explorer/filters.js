@@ -0,0 +1,103 @@
+// Record Filters
+// Narrows and orders the records shown in a results view by date range,
+// amount range, status and recording authority.
+
+const RECORD_SORTS = {
+    'id-desc': { label: 'Record ID (newest first)', compare: (a, b) => b.id - a.id },
+    'id-asc': { label: 'Record ID (oldest first)', compare: (a, b) => a.id - b.id },
+    'date-desc': { label: 'Date (newest first)', compare: (a, b) => Number(b.timestamp) - Number(a.timestamp) || b.id - a.id },
+    'date-asc': { label: 'Date (oldest first)', compare: (a, b) => Number(a.timestamp) - Number(b.timestamp) || a.id - b.id },
+    'amount-desc': { label: 'Amount (highest first)', compare: (a, b) => compareAmounts(b.amount, a.amount) || b.id - a.id },
+    'amount-asc': { label: 'Amount (lowest first)', compare: (a, b) => compareAmounts(a.amount, b.amount) || a.id - b.id }
+};
+
+const DEFAULT_RECORD_FILTER = {
+    fromDate: '',
+    toDate: '',
+    minAmount: '',
+    maxAmount: '',
+    status: 'all',
+    authority: 'all',
+    sort: 'id-desc'
+};
+
+function compareAmounts(a, b) {
+    const left = ethers.BigNumber.from(a.toString());
+    const right = ethers.BigNumber.from(b.toString());
+    if (left.eq(right)) return 0;
+    return left.lt(right) ? -1 : 1;
+}
+
+class RecordFilter {
+    /**
+     * @param {Object} criteria - Values as entered in the filter bar; dates are
+     *   YYYY-MM-DD in local time, amounts are in the native currency
+     */
+    constructor(criteria = {}) {
+        this.criteria = { ...DEFAULT_RECORD_FILTER, ...criteria };
+
+        // Date bounds cover whole local days, matching the dates shown on cards
+        const { fromDate, toDate, minAmount, maxAmount } = this.criteria;
+        this.fromTime = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() / 1000 : null;
+        this.toTime = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() / 1000 : null;
+        this.minAmount = RecordFilter.parseAmount(minAmount);
+        this.maxAmount = RecordFilter.parseAmount(maxAmount);
+    }
+
+    /**
+     * Parse a native currency amount to wei, ignoring blank or malformed input
+     */
+    static parseAmount(value) {
+        if (value === '' || value === null || value === undefined) return null;
+        try {
+            return ethers.utils.parseEther(String(value).trim());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static fromForm(form) {
+        const criteria = {};
+        for (const key of Object.keys(DEFAULT_RECORD_FILTER)) {
+            if (form.elements[key]) {
+                criteria[key] = form.elements[key].value;
+            }
+        }
+        return new RecordFilter(criteria);
+    }
+
+    /**
+     * Whether any criteria besides the sort order are set
+     */
+    isFiltering() {
+        const { status, authority } = this.criteria;
+        return this.fromTime !== null || this.toTime !== null ||
+            this.minAmount !== null || this.maxAmount !== null ||
+            status !== 'all' || authority !== 'all';
+    }
+
+    matches(record) {
+        const timestamp = Number(record.timestamp);
+        if (this.fromTime !== null && timestamp < this.fromTime) return false;
+        if (this.toTime !== null && timestamp > this.toTime) return false;
+
+        const amount = ethers.BigNumber.from(record.amount.toString());
+        if (this.minAmount !== null && amount.lt(this.minAmount)) return false;
+        if (this.maxAmount !== null && amount.gt(this.maxAmount)) return false;
+
+        const { status, authority } = this.criteria;
+        if (status === 'active' && !record.isActive) return false;
+        if (status === 'inactive' && record.isActive) return false;
+        if (authority !== 'all' && record.recordedBy.toLowerCase() !== authority.toLowerCase()) return false;
+
+        return true;
+    }
+
+    /**
+     * Matching records in the selected order; the input array is not modified
+     */
+    apply(records) {
+        const sort = RECORD_SORTS[this.criteria.sort] || RECORD_SORTS[DEFAULT_RECORD_FILTER.sort];
+        return records.filter(record => this.matches(record)).sort(sort.compare);
+    }
+}
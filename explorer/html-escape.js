@@ -0,0 +1,12 @@
+// HTML Escaping
+// Shared by the explorer's scripts for any value interpolated into markup:
+// record fields, routed queries, error messages and chart labels.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,340 @@
+// Rebate Event Indexer
+// Builds a client-side index of rebate records from contract event logs so that
+// client/product searches can resolve record IDs without scanning every record.
+// Authority and ownership events are kept too, for the authority directory.
+
+class RebateEventIndexer {
+    /**
+     * @param {ethers.Contract} contract - CashRebateTracker contract instance
+     * @param {ethers.providers.Provider} provider - Provider used for log queries
+     * @param {Object} options
+     * @param {number|null} options.startBlock - Deployment block (discovered when null)
+     * @param {number} options.blockRange - Maximum blocks per eth_getLogs call
+     * @param {number} options.minBlockRange - Smallest range to retry with before giving up
+     */
+    constructor(contract, provider, options = {}) {
+        this.contract = contract;
+        this.provider = provider;
+        this.startBlock = options.startBlock ?? null;
+        this.blockRange = options.blockRange || 2000;
+        this.minBlockRange = options.minBlockRange || 100;
+
+        this.lastSyncedBlock = null;
+        this.records = new Map();       // recordId -> indexed record entry
+        this.clientIndex = new Map();   // keccak256(clientId) -> recordIds
+        this.productIndex = new Map();  // keccak256(productId) -> recordIds
+        this.statusEvents = [];         // RebateStatusUpdated entries in chain order
+        this.authorityEvents = [];      // AuthorityAdded/AuthorityRemoved/OwnershipTransferred entries in chain order
+        this.seenLogs = new Set();      // `${transactionHash}:${logIndex}` of applied logs
+
+        this.syncPromise = null;
+    }
+
+    /**
+     * Hash an ID the same way Solidity hashes indexed string event parameters
+     */
+    static hashId(value) {
+        return ethers.utils.id(value);
+    }
+
+    get eventTopics() {
+        const iface = this.contract.interface;
+        return {
+            recorded: iface.getEventTopic('RebateRecorded'),
+            statusUpdated: iface.getEventTopic('RebateStatusUpdated'),
+            authorityAdded: iface.getEventTopic('AuthorityAdded'),
+            authorityRemoved: iface.getEventTopic('AuthorityRemoved'),
+            ownershipTransferred: iface.getEventTopic('OwnershipTransferred')
+        };
+    }
+
+    /**
+     * Bring the index up to date with the chain. Concurrent callers share one sync.
+     * @returns {Promise<{records: Array, statusEvents: Array, authorityEvents: Array}>} Entries added by this sync
+     */
+    async sync(toBlock = null) {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync(toBlock).finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync(toBlock) {
+        if (this.lastSyncedBlock === null) {
+            if (this.startBlock === null) {
+                this.startBlock = await this.findDeploymentBlock();
+            }
+            this.lastSyncedBlock = this.startBlock - 1;
+        }
+
+        const latestBlock = toBlock ?? await this.provider.getBlockNumber();
+        const added = { records: [], statusEvents: [], authorityEvents: [] };
+        const topics = this.eventTopics;
+
+        let fromBlock = this.lastSyncedBlock + 1;
+        let range = this.blockRange;
+
+        while (fromBlock <= latestBlock) {
+            const endBlock = Math.min(fromBlock + range - 1, latestBlock);
+
+            let logs;
+            try {
+                logs = await this.provider.getLogs({
+                    address: this.contract.address,
+                    fromBlock,
+                    toBlock: endBlock,
+                    topics: [Object.values(topics)]
+                });
+            } catch (error) {
+                // Public RPCs cap the block span and result size of eth_getLogs
+                if (range > this.minBlockRange) {
+                    range = Math.max(this.minBlockRange, Math.floor(range / 2));
+                    console.warn(`📚 getLogs failed, retrying with ${range}-block ranges:`, error.message);
+                    continue;
+                }
+                throw error;
+            }
+
+            for (const log of logs) {
+                this.applyLog(log, added);
+            }
+
+            console.log(`📚 Indexed blocks ${fromBlock}-${endBlock} (${logs.length} events)`);
+            this.lastSyncedBlock = endBlock;
+            fromBlock = endBlock + 1;
+        }
+
+        return added;
+    }
+
+    /**
+     * Seed the index from a persisted snapshot (see ExplorerCache.load) so the
+     * next sync only fetches logs after the snapshot's watermark
+     */
+    restore({ meta, records, statusEvents, authorityEvents = [] }) {
+        if (!meta) return;
+
+        this.startBlock = meta.startBlock;
+        this.lastSyncedBlock = meta.lastSyncedBlock;
+
+        for (const record of records) {
+            // Rows that only hold record details (no indexed log) are skipped
+            if (!record.creationTxHash) continue;
+            this.seenLogs.add(`${record.creationTxHash}:${record.logIndex}`);
+            this.addRecord({ ...record });
+        }
+
+        for (const event of statusEvents) {
+            this.seenLogs.add(`${event.transactionHash}:${event.logIndex}`);
+            this.statusEvents.push(event);
+        }
+
+        for (const event of authorityEvents) {
+            this.seenLogs.add(`${event.transactionHash}:${event.logIndex}`);
+            this.authorityEvents.push(event);
+        }
+
+        console.log(`📚 Restored ${this.records.size} records from cache up to block ${this.lastSyncedBlock}`);
+    }
+
+    applyLog(log, added = null) {
+        const logKey = `${log.transactionHash}:${log.logIndex}`;
+        if (this.seenLogs.has(logKey)) {
+            return;
+        }
+        this.seenLogs.add(logKey);
+
+        // decodeEventLog rather than parseLog: parseLog deep-copies the result and
+        // drops named args for events with indexed strings (ethers v5)
+        const iface = this.contract.interface;
+        const fragment = iface.getEvent(log.topics[0]);
+        const args = iface.decodeEventLog(fragment, log.data, log.topics);
+
+        if (fragment.name === 'RebateRecorded') {
+            const entry = {
+                id: args.recordId.toNumber(),
+                clientHash: log.topics[2],
+                productHash: log.topics[3],
+                amount: args.amount.toString(),
+                recordedBy: args.recordedBy,
+                transactionHash: args.transactionHash,
+                isActive: true,
+                blockNumber: log.blockNumber,
+                creationTxHash: log.transactionHash,
+                logIndex: log.logIndex
+            };
+            this.addRecord(entry);
+            if (added) added.records.push(entry);
+        } else if (fragment.name === 'RebateStatusUpdated') {
+            const event = {
+                recordId: args.recordId.toNumber(),
+                status: args.status,
+                updatedBy: args.updatedBy,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex
+            };
+            this.addStatusEvent(event);
+            if (added) added.statusEvents.push(event);
+        } else {
+            // For ownership transfers the account is the new owner and "by" the previous one
+            const isTransfer = fragment.name === 'OwnershipTransferred';
+            const event = {
+                event: fragment.name,
+                account: isTransfer ? args.newOwner : args.authority,
+                by: isTransfer ? args.previousOwner : (args.addedBy || args.removedBy),
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex
+            };
+            this.authorityEvents.push(event);
+            if (added) added.authorityEvents.push(event);
+        }
+    }
+
+    addRecord(entry) {
+        if (this.records.has(entry.id)) {
+            return;
+        }
+
+        this.records.set(entry.id, entry);
+        this.addToIndex(this.clientIndex, entry.clientHash, entry.id);
+        this.addToIndex(this.productIndex, entry.productHash, entry.id);
+    }
+
+    addStatusEvent(event) {
+        this.statusEvents.push(event);
+
+        const entry = this.records.get(event.recordId);
+        if (entry) {
+            entry.isActive = event.status;
+        }
+    }
+
+    addToIndex(index, key, recordId) {
+        const ids = index.get(key) || [];
+        ids.push(recordId);
+        ids.sort((a, b) => a - b);
+        index.set(key, ids);
+    }
+
+    /**
+     * Record IDs for a client or product, in ascending order (the order the
+     * contract's getClientRebates/getProductRebates return them in)
+     * @param {'client'|'product'} searchType
+     * @param {string} searchValue - Client ID or product ID
+     */
+    getRecordIds(searchType, searchValue) {
+        const index = searchType === 'client' ? this.clientIndex : this.productIndex;
+        return [...(index.get(RebateEventIndexer.hashId(searchValue)) || [])];
+    }
+
+    /**
+     * Totals over every indexed record, matching getContractStats
+     */
+    getStats() {
+        let activeRecords = 0;
+        let totalAmount = ethers.BigNumber.from(0);
+
+        for (const entry of this.records.values()) {
+            if (entry.isActive) {
+                activeRecords++;
+                totalAmount = totalAmount.add(entry.amount);
+            }
+        }
+
+        return { totalRecords: this.records.size, activeRecords, totalAmount };
+    }
+
+    getRecord(recordId) {
+        return this.records.get(recordId) || null;
+    }
+
+    getStatusEvents(recordId) {
+        return this.statusEvents.filter(event => event.recordId === recordId);
+    }
+
+    /**
+     * Records created by one transaction (more than one for batch recordings)
+     */
+    getTransactionRecords(transactionHash) {
+        return [...this.records.values()]
+            .filter(entry => entry.creationTxHash === transactionHash)
+            .sort((a, b) => a.logIndex - b.logIndex);
+    }
+
+    /**
+     * Replay authority and ownership events into the current owner, the
+     * authority set with each authority's history, and recording totals
+     * per recorder (including the owner and removed authorities)
+     */
+    getAuthorityDirectory() {
+        let owner = null;
+        const ownerHistory = [];
+        const authorities = new Map();
+
+        const getAuthority = address => {
+            const key = address.toLowerCase();
+            if (!authorities.has(key)) {
+                authorities.set(key, {
+                    address,
+                    isActive: false,
+                    history: [],
+                    recordCount: 0,
+                    totalAmount: ethers.BigNumber.from(0)
+                });
+            }
+            return authorities.get(key);
+        };
+
+        for (const event of this.authorityEvents) {
+            if (event.event === 'OwnershipTransferred') {
+                owner = event.account;
+                ownerHistory.push(event);
+                continue;
+            }
+
+            const authority = getAuthority(event.account);
+            authority.isActive = event.event === 'AuthorityAdded';
+            authority.history.push(event);
+        }
+
+        for (const entry of this.records.values()) {
+            const authority = getAuthority(entry.recordedBy);
+            authority.recordCount++;
+            authority.totalAmount = authority.totalAmount.add(entry.amount);
+        }
+
+        return { owner, ownerHistory, authorities: [...authorities.values()] };
+    }
+
+    /**
+     * Binary search for the first block where the contract has code.
+     * Needs an RPC that serves historical eth_getCode.
+     */
+    async findDeploymentBlock() {
+        const address = this.contract.address;
+        let low = 0;
+        let high = await this.provider.getBlockNumber();
+
+        const code = await this.provider.getCode(address, high);
+        if (code === '0x') {
+            throw new Error(`No contract code at ${address}`);
+        }
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const midCode = await this.provider.getCode(address, mid);
+            if (midCode === '0x') {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        console.log(`📚 Contract deployment block found: ${low}`);
+        return low;
+    }
+}
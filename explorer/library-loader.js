@@ -0,0 +1,65 @@
+// Optional browser libraries loaded on demand from CDNs with fallbacks
+
+const libraryLoadPromises = {};
+
+/**
+ * Load a UMD library by trying each CDN source in turn
+ * @param {string} globalName - Global the library defines (e.g. 'XLSX')
+ * @param {string[]} sources - Script URLs to try in order
+ * @returns {Promise<any>} The library's global object
+ */
+function loadLibraryFromSources(globalName, sources) {
+    if (typeof window[globalName] !== 'undefined') {
+        return Promise.resolve(window[globalName]);
+    }
+    if (libraryLoadPromises[globalName]) {
+        return libraryLoadPromises[globalName];
+    }
+
+    libraryLoadPromises[globalName] = new Promise((resolve, reject) => {
+        let sourceIndex = 0;
+
+        function tryLoad() {
+            if (sourceIndex >= sources.length) {
+                delete libraryLoadPromises[globalName];
+                reject(new Error(`All ${globalName} CDN sources failed`));
+                return;
+            }
+
+            console.log(`Loading ${globalName} from source ${sourceIndex + 1}:`, sources[sourceIndex]);
+
+            const script = document.createElement('script');
+            script.src = sources[sourceIndex];
+            script.onload = function() {
+                if (typeof window[globalName] !== 'undefined') {
+                    console.log(`✅ ${globalName} loaded successfully from:`, sources[sourceIndex]);
+                    resolve(window[globalName]);
+                } else {
+                    sourceIndex++;
+                    tryLoad();
+                }
+            };
+            script.onerror = function() {
+                console.warn(`Failed to load ${globalName} from source ${sourceIndex + 1}`);
+                sourceIndex++;
+                tryLoad();
+            };
+            document.head.appendChild(script);
+        }
+
+        tryLoad();
+    });
+
+    return libraryLoadPromises[globalName];
+}
+
+/**
+ * SheetJS, used to read and write XLSX workbooks
+ */
+function loadXlsxLibrary() {
+    return loadLibraryFromSources('XLSX', [
+        'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js',
+        'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+        'https://unpkg.com/xlsx@0.18.5/dist/xlsx.full.min.js'
+    ]);
+}
@@ -0,0 +1,143 @@
+// Rebate Programs
+// Works out a rebate from the program covering the product (CONFIG.rebatePrograms):
+// the tiered percentage for the purchase size, the program's minimums and the
+// client's cap for the period. Rebates that depart from the program are manual
+// overrides; their justifications are recorded in the reference (see RebateReference).
+
+class RebatePrograms {
+    /**
+     * @param {Array} programs - Program definitions, see REBATE_PROGRAMS in config.js
+     */
+    constructor(programs = CONFIG.rebatePrograms) {
+        this.programs = programs;
+    }
+
+    /**
+     * Category of a product: its ID up to the first - or _, uppercased
+     */
+    static productCategory(productId) {
+        return String(productId).split(/[-_]/)[0].toUpperCase();
+    }
+
+    /**
+     * Program covering a product: by exact ID, then by category, then the default
+     * @returns {Object|null}
+     */
+    findProgram(productId) {
+        const category = RebatePrograms.productCategory(productId);
+
+        return this.programs.find(program => (program.products || []).includes(productId)) ||
+            this.programs.find(program => (program.categories || []).includes(category)) ||
+            this.programs.find(program => program.default) ||
+            null;
+    }
+
+    /**
+     * Rebate for a purchase under the product's program
+     * @param {string} productId
+     * @param {number} purchaseAmount - USD
+     * @param {Map<string, number>} capUsage - Program ID -> rebates (USD) the client
+     *   already got within each program's cap period, see loadCapUsage
+     * @returns {{program: Object|null, percentage: number, amount: number, rule: string, error: string|null}}
+     */
+    calculate(productId, purchaseAmount, capUsage = new Map()) {
+        const program = this.findProgram(productId);
+        const quote = { program, percentage: 0, amount: 0, rule: '', error: null };
+
+        if (!program) {
+            quote.error = `No rebate program covers product ${productId}`;
+            return quote;
+        }
+        if (isNaN(purchaseAmount)) {
+            quote.rule = program.name;
+            return quote;
+        }
+
+        if (program.minPurchase && purchaseAmount < program.minPurchase) {
+            quote.rule = program.name;
+            quote.error = `Purchases under ${formatUsd(program.minPurchase)} don't qualify for the ${program.name} program`;
+            return quote;
+        }
+
+        // Tiers are listed from the smallest purchase up
+        const tier = program.tiers.filter(t => purchaseAmount >= t.minPurchase).pop() || program.tiers[0];
+        const notes = [];
+        let amount = roundCents(calculateRebate(purchaseAmount, String(tier.percentage), NaN));
+
+        if (program.minRebate && amount < program.minRebate) {
+            amount = Math.min(program.minRebate, purchaseAmount);
+            notes.push(`raised to the ${formatUsd(program.minRebate)} minimum`);
+        }
+
+        if (program.clientCap) {
+            const { amount: cap, periodDays } = program.clientCap;
+            const used = capUsage.get(program.id) || 0;
+            const remaining = roundCents(Math.max(cap - used, 0));
+
+            if (remaining <= 0) {
+                quote.rule = program.name;
+                quote.error = `Client has reached the ${program.name} cap of ${formatUsd(cap)} per ${periodDays} days`;
+                return quote;
+            }
+            if (amount > remaining) {
+                amount = remaining;
+                notes.push(`capped at ${formatUsd(cap)} per ${periodDays} days, ${formatUsd(used)} already given`);
+            }
+        }
+
+        const nextTier = program.tiers[program.tiers.indexOf(tier) + 1];
+        let tierText = '';
+        if (tier.minPurchase > 0) {
+            tierText = ` for purchases from ${formatUsd(tier.minPurchase)}`;
+        } else if (nextTier) {
+            tierText = ` for purchases under ${formatUsd(nextTier.minPurchase)}`;
+        }
+        quote.percentage = tier.percentage;
+        quote.amount = amount;
+        quote.rule = `${program.name}: ${tier.percentage}%${tierText}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+        return quote;
+    }
+
+    /**
+     * Rebates a client got within each capped program's period
+     * @param {Array} records - The client's records, as returned by getClientRebates
+     * @param {number} now - Current time in milliseconds
+     * @returns {Map<string, number>} Program ID -> USD
+     */
+    capUsage(records, now = Date.now()) {
+        const usage = new Map();
+
+        for (const record of records) {
+            if (!record.isActive) continue;
+
+            const program = this.findProgram(record.productId);
+            if (!program || !program.clientCap) continue;
+
+            const periodStart = now - program.clientCap.periodDays * 24 * 60 * 60 * 1000;
+            if (Number(record.timestamp) * 1000 < periodStart) continue;
+
+            const amount = parseFloat(ethers.utils.formatEther(record.amount));
+            usage.set(program.id, (usage.get(program.id) || 0) + amount);
+        }
+        return usage;
+    }
+
+    /**
+     * Read a client's records and total them per capped program
+     * @param {ethers.Contract} contract
+     * @param {string} clientId
+     */
+    async loadCapUsage(contract, clientId) {
+        if (!this.programs.some(program => program.clientCap)) return new Map();
+        return this.capUsage(await contract.getClientRebates(clientId));
+    }
+}
+
+// Rebates are paid in dollars and cents
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function formatUsd(amount) {
+    return `$${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+}
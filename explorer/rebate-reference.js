@@ -0,0 +1,65 @@
+// Rebate References
+// A record's reference (its transactionHash field) is free text. Rebates that
+// depart from their program carry the override after the operator's reference,
+// one "Label: value" line each, so the justification is recorded on-chain with
+// the rebate and shown wherever the record is:
+//
+//   INV-2024-0042
+//   Override: Manual override: 15%
+//   Program: Electronics: 5% for purchases under $1,000
+//   Justification: Price match agreed with the account manager
+//
+// This layout is reserved: every reference is recorded on one line, so only
+// format() can produce the override lines, and parse() accepts nothing but
+// exactly these three labels in this order.
+
+const OVERRIDE_LABELS = {
+    rule: 'Override',
+    programRule: 'Program',
+    justification: 'Justification'
+};
+
+const RebateReference = {
+    /**
+     * Reference to record for a rebate: the operator's reference on one line,
+     * followed by the override when the rebate has one
+     * @param {Object} rebate - transactionHash, and override, rule, programRule
+     *   and justification
+     * @returns {string}
+     */
+    format(rebate) {
+        // The reference and each value are kept to one line so they can be split
+        // again, and so a typed reference can't pass for an override
+        const singleLine = value => String(value || '').replace(/\s+/g, ' ').trim();
+        const reference = singleLine(rebate.transactionHash);
+        if (!rebate.override) return reference;
+
+        const lines = Object.entries(OVERRIDE_LABELS).map(([field, label]) => `${label}: ${singleLine(rebate[field])}`);
+        return [reference, ...lines].join('\n');
+    },
+
+    /**
+     * Split a recorded reference into the operator's reference and the override
+     * @param {string} recorded - A record's transactionHash
+     * @returns {{reference: string, override: {rule, programRule, justification}|null}}
+     *   References without a well-formed override are returned whole
+     */
+    parse(recorded) {
+        const text = String(recorded || '');
+        const [reference, ...lines] = text.split('\n');
+        const labels = Object.entries(OVERRIDE_LABELS);
+        if (lines.length !== labels.length) {
+            return { reference: text, override: null };
+        }
+
+        const override = {};
+        for (const [index, [field, label]] of labels.entries()) {
+            const prefix = `${label}: `;
+            if (!lines[index].startsWith(prefix)) {
+                return { reference: text, override: null };
+            }
+            override[field] = lines[index].slice(prefix.length);
+        }
+        return { reference, override };
+    }
+};
@@ -0,0 +1,114 @@
+// Rebate Validation
+// Field rules shared by the admin form and bulk import. Each validator takes a
+// raw value and returns an error message, or null when the value is valid.
+
+// Rebate percentages offered as manual overrides of the rebate program
+const REBATE_PERCENTAGES = ['1', '2', '3', '5', '10', '15', '20'];
+
+function fieldText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+const RebateValidation = {
+    clientId(value) {
+        const text = fieldText(value);
+
+        if (!text) return 'Customer ID is required';
+        if (text.length < 3) return 'Customer ID must be at least 3 characters';
+        if (text.length > 50) return 'Customer ID must be less than 50 characters';
+
+        // Check for valid characters (alphanumeric, underscore, dash, @ for emails)
+        if (!/^[a-zA-Z0-9_@.-]+$/.test(text)) {
+            return 'Customer ID can only contain letters, numbers, @, -, _, and .';
+        }
+        return null;
+    },
+
+    productId(value) {
+        const text = fieldText(value);
+
+        if (!text) return 'Product ID is required';
+        if (text.length < 2) return 'Product ID must be at least 2 characters';
+        if (text.length > 50) return 'Product ID must be less than 50 characters';
+
+        if (!/^[a-zA-Z0-9_-]+$/.test(text)) {
+            return 'Product ID can only contain letters, numbers, underscore, and dash';
+        }
+        return null;
+    },
+
+    purchaseAmount(value) {
+        const amount = parseFloat(value);
+
+        if (isNaN(amount) || amount <= 0) return 'Purchase amount must be a positive number';
+        if (amount < 0.01) return 'Purchase amount must be at least $0.01';
+        if (amount > 1000000) return 'Purchase amount cannot exceed $1,000,000';
+        return null;
+    },
+
+    rebatePercentage(value) {
+        const text = fieldText(value);
+
+        if (!text) return 'Rebate percentage is required';
+        if (!REBATE_PERCENTAGES.includes(text)) {
+            return `Rebate percentage must be one of ${REBATE_PERCENTAGES.join(', ')}`;
+        }
+        return null;
+    },
+
+    /**
+     * @param {*} value - Custom rebate amount
+     * @param {*} purchaseAmount - Purchase amount the rebate may not exceed, if known
+     */
+    customRebate(value, purchaseAmount) {
+        const amount = parseFloat(value);
+
+        if (isNaN(amount) || amount <= 0) return 'Custom rebate amount must be a positive number';
+        if (amount < 0.01) return 'Rebate amount must be at least $0.01';
+
+        const purchase = parseFloat(purchaseAmount);
+        if (!isNaN(purchase) && amount > purchase) return 'Rebate amount cannot exceed purchase amount';
+        return null;
+    },
+
+    /**
+     * Reason for a rebate that departs from its program
+     */
+    justification(value) {
+        const text = fieldText(value);
+
+        if (!text) return 'A justification is required when overriding the rebate program';
+        if (text.length < 10) return 'Justification must be at least 10 characters';
+        if (text.length > 500) return 'Justification must be less than 500 characters';
+        return null;
+    },
+
+    transactionHash(value) {
+        const text = fieldText(value);
+
+        if (!text) return null; // Optional field
+
+        // Basic format check for transaction hash
+        if (text.length < 10) return 'Transaction hash seems too short';
+        if (text.length > 200) return 'Transaction hash is too long';
+        return null;
+    }
+};
+
+/**
+ * Rebate amount for a purchase, from a percentage or a custom amount
+ * @param {number} purchaseAmount
+ * @param {string} rebatePercentage - One of REBATE_PERCENTAGES, or 'custom'
+ * @param {number} customRebate - Used when rebatePercentage is 'custom'
+ * @returns {number} Rebate amount, 0 when it can't be calculated
+ */
+function calculateRebate(purchaseAmount, rebatePercentage, customRebate) {
+    if (isNaN(purchaseAmount)) return 0;
+
+    if (rebatePercentage === 'custom') {
+        return isNaN(customRebate) ? 0 : customRebate;
+    }
+
+    const percentage = parseFloat(rebatePercentage);
+    return isNaN(percentage) ? 0 : (purchaseAmount * percentage / 100);
+}
@@ -0,0 +1,120 @@
+// Relayer
+// Gasless recording: the authority signs an ERC-2771 ForwardRequest for the
+// call instead of sending it, and the deployment's relayer (scripts/relayer.js)
+// submits it through the trusted forwarder and pays the gas. The contract still
+// sees the authority as the sender, so records are credited to them.
+
+// How long the relayer has to submit a signed request (seconds)
+const FORWARD_REQUEST_LIFETIME = 10 * 60;
+
+// Extra gas asked for on top of the estimate (%)
+const FORWARD_REQUEST_GAS_MARGIN_PERCENT = 20;
+
+// Must match ERC2771Forwarder's ForwardRequest type
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+const FORWARDER_ABI = [
+    'function nonces(address owner) view returns (uint256)'
+];
+
+class RelayerClient {
+    /**
+     * @param {string} url - Base URL of the relayer
+     * @param {string} forwarderAddress - Forwarder the contract trusts
+     * @param {ethers.providers.Provider} provider
+     */
+    constructor(url, forwarderAddress, provider) {
+        this.url = url.replace(/\/+$/, '');
+        this.provider = provider;
+        this.forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, provider);
+    }
+
+    /**
+     * EIP-712 domain of the forwarder, as set in RebateForwarder's constructor
+     */
+    get domain() {
+        return {
+            name: 'RebateForwarder',
+            version: '1',
+            chainId: CONFIG.network.chainId,
+            verifyingContract: this.forwarder.address
+        };
+    }
+
+    /**
+     * The relayer's address, balance and the contracts it relays to
+     */
+    async status() {
+        const response = await fetch(`${this.url}/status`);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(body.error || `Relayer answered ${response.status}`);
+        }
+        return body;
+    }
+
+    /**
+     * Next forwarder nonce of a signer that the forwarder has recorded
+     */
+    async nonceOf(address) {
+        return (await this.forwarder.nonces(address)).toNumber();
+    }
+
+    /**
+     * Sign a call for the relayer to submit
+     * @param {ethers.Signer} signer - The authority making the call
+     * @param {Object} request - Unsigned transaction, e.g. from contract.populateTransaction
+     * @param {number} nonce - Forwarder nonce; a signer's requests run in nonce order
+     * @returns {Promise<Object>} ForwardRequestData, as the relayer expects it
+     */
+    async sign(signer, request, nonce) {
+        const from = await signer.getAddress();
+        const gasEstimate = await this.provider.estimateGas({ from, to: request.to, data: request.data });
+
+        const message = {
+            from,
+            to: request.to,
+            value: '0',
+            gas: gasEstimate.mul(100 + FORWARD_REQUEST_GAS_MARGIN_PERCENT).div(100).toString(),
+            nonce: String(nonce),
+            deadline: String(Math.floor(Date.now() / 1000) + FORWARD_REQUEST_LIFETIME),
+            data: request.data
+        };
+        const signature = await signer._signTypedData(this.domain, FORWARD_REQUEST_TYPES, message);
+
+        // The forwarder looks the nonce up itself
+        const { value, gas, deadline, data } = message;
+        return { from, to: request.to, value, gas, deadline, data, signature };
+    }
+
+    /**
+     * Sign a call and hand it to the relayer
+     * @returns {Promise<Object>} The relayed transaction's hash, relayer (its
+     *   sender), nonce, to and data
+     */
+    async relay(signer, request, nonce) {
+        const forwardRequest = await this.sign(signer, request, nonce);
+
+        const response = await fetch(`${this.url}/relay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(forwardRequest)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(body.error || `Relayer answered ${response.status}`);
+        }
+        console.log(`⛽ Relayed by ${body.relayer} (nonce ${body.nonce}):`, body.hash);
+        return body;
+    }
+}
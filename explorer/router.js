@@ -0,0 +1,64 @@
+// Hash Router
+// Keeps the explorer's tab and search query in the URL hash, e.g.
+// #/client/CLIENT_001, #/product/LAPTOP_PRO_2024 or #/record/42, so views can
+// be shared as links and restored with the browser's back/forward buttons.
+
+const ROUTE_TABS = ['client', 'product', 'record', 'dashboard', 'authorities'];
+
+class HashRouter {
+    /**
+     * @param {Function} onRoute - Called with {tab, query} whenever the route changes
+     */
+    constructor(onRoute) {
+        this.onRoute = onRoute;
+        this.started = false;
+        this.handleHashChange = () => this.onRoute(HashRouter.parse(window.location.hash));
+    }
+
+    /**
+     * @returns {{tab: string, query: string|null}} Unknown routes fall back to the client tab
+     */
+    static parse(hash) {
+        const [tab, ...rest] = hash.replace(/^#\/?/, '').split('/');
+        if (!ROUTE_TABS.includes(tab)) {
+            return { tab: 'client', query: null };
+        }
+
+        // Queries may contain encoded slashes, so rejoin everything after the tab
+        let query = rest.join('/');
+        try {
+            query = decodeURIComponent(query);
+        } catch (error) {
+            // Hand-edited links may hold malformed escapes; use the raw text
+        }
+        return { tab, query: query === '' ? null : query };
+    }
+
+    static format(tab, query = null) {
+        return query === null || query === '' ? `#/${tab}` : `#/${tab}/${encodeURIComponent(query)}`;
+    }
+
+    /**
+     * Start listening for hash changes and apply the current route
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.handleHashChange();
+    }
+
+    /**
+     * Push a new history entry for the route. Navigating to the current route
+     * applies it again (e.g. to repeat a search), since no hashchange fires.
+     */
+    navigate(tab, query = null) {
+        const hash = HashRouter.format(tab, query);
+        if (window.location.hash === hash) {
+            if (this.started) this.handleHashChange();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+}
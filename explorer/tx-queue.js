@@ -0,0 +1,397 @@
+// Transaction Queue
+// Keeps the admin page's submitted transactions in localStorage so they are
+// followed across reloads, and lets the operator replace a stuck one with a
+// faster or cancelling transaction that reuses its nonce. Sending doesn't wait
+// for confirmation, so several transactions can be pending at once. Calls sent
+// by a relayer (see relayer.js) are followed the same way.
+
+// Nodes only accept a replacement that pays at least 10% more than the
+// transaction it replaces; bumping by 15% leaves margin for rounding and for
+// nodes configured with a higher minimum
+const TX_QUEUE_FEE_BUMP_PERCENT = 15;
+
+// How often pending transactions are checked (ms)
+const TX_QUEUE_POLL_INTERVAL = 4000;
+
+// Blocks searched for the transaction that used a queued nonce, when none of
+// the queue's own transactions were mined with it
+const TX_QUEUE_REPLACEMENT_SCAN_BLOCKS = 100;
+
+class TransactionQueue {
+    /**
+     * @param {ethers.providers.Provider} provider
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key, per deployment
+     * @param {Function} options.onChange - Called with (entry, receipt) whenever an
+     *   entry is added or changes; receipt is set once it is mined
+     */
+    constructor(provider, { storageKey, onChange = () => {} }) {
+        this.provider = provider;
+        this.storageKey = storageKey;
+        this.onChange = onChange;
+        this.timer = null;
+        this.refreshing = false;
+    }
+
+    static storageKeyFor(address) {
+        return `rebateTracker.txQueue.${CONFIG.network.chainId}.${address.toLowerCase()}`;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('⚠️ Could not save transaction queue:', error.message);
+        }
+    }
+
+    /**
+     * Newest first
+     */
+    get entries() {
+        return this.load().sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    get(id) {
+        return this.load().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Apply changes to a stored entry; other tabs may have changed the rest
+     */
+    update(id, changes) {
+        const entries = this.load();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return null;
+
+        Object.assign(entry, changes);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * Next nonce for an account, counting queued transactions the node may not
+     * have seen yet
+     */
+    async nextNonce(from) {
+        const nodeNonce = await this.provider.getTransactionCount(from, 'pending');
+        const queued = this.load()
+            .filter(entry => entry.status === 'pending' && entry.from.toLowerCase() === from.toLowerCase())
+            .map(entry => entry.nonce + 1);
+        return Math.max(nodeNonce, ...queued);
+    }
+
+    /**
+     * Send a transaction and queue it without waiting for it to be mined
+     * @param {ethers.Signer} signer
+     * @param {Object} request - Unsigned transaction, e.g. from contract.populateTransaction
+     * @param {Object} details
+     * @param {string} details.kind - What the transaction does, e.g. 'recordRebate'
+     * @param {string} details.label - Description shown in the queue
+     * @param {Object} details.meta - Kept with the entry for whoever handles it once mined
+     * @returns {Promise<Object>} The queued entry
+     */
+    async send(signer, request, { kind, label, meta = {} }) {
+        const from = await signer.getAddress();
+        const startBlock = await this.provider.getBlockNumber();
+        const nonce = await this.nextNonce(from);
+
+        const tx = await signer.sendTransaction({ ...request, nonce });
+        console.log(`⏳ Queued ${kind} (nonce ${tx.nonce}):`, tx.hash);
+
+        const entry = {
+            id: tx.hash,
+            kind,
+            label,
+            meta,
+            from,
+            nonce: tx.nonce,
+            to: tx.to,
+            data: tx.data,
+            value: tx.value.toString(),
+            gasLimit: tx.gasLimit.toString(),
+            fees: TransactionQueue.feesOf(tx),
+            hash: tx.hash,
+            // Every transaction sent with this nonce: the original, speed-ups and cancels
+            sent: [{ hash: tx.hash, type: 'original', sentAt: Date.now() }],
+            status: 'pending', // pending | mined | failed | replaced
+            replacedBy: null, // 'cancel' | 'external' once replaced
+            startBlock,
+            blockNumber: null,
+            submittedAt: Date.now(),
+            settledAt: null
+        };
+        return this.add(entry);
+    }
+
+    /**
+     * Have a relayer send a call for the signer and queue it. The relayer's
+     * account sends the transaction and pays for it, so it can't be sped up
+     * or cancelled from here.
+     * @param {RelayerClient} relayer
+     * @param {ethers.Signer} signer - The account making the call
+     * @param {Object} request - Unsigned transaction, e.g. from contract.populateTransaction
+     * @param {Object} details - As for send()
+     * @returns {Promise<Object>} The queued entry
+     */
+    async relay(relayer, signer, request, { kind, label, meta = {} }) {
+        const relayedFor = await signer.getAddress();
+        const startBlock = await this.provider.getBlockNumber();
+
+        // Queued requests the forwarder hasn't executed yet hold the next nonces
+        const queued = this.load()
+            .filter(entry => entry.status === 'pending' && entry.relayedFor &&
+                entry.relayedFor.toLowerCase() === relayedFor.toLowerCase())
+            .map(entry => entry.forwarderNonce + 1);
+        const forwarderNonce = Math.max(await relayer.nonceOf(relayedFor), ...queued);
+
+        const relayed = await relayer.relay(signer, request, forwarderNonce);
+        console.log(`⏳ Queued ${kind} (relayed, nonce ${relayed.nonce}):`, relayed.hash);
+
+        return this.add({
+            id: relayed.hash,
+            kind,
+            label,
+            meta,
+            from: relayed.relayer,
+            nonce: relayed.nonce,
+            to: relayed.to,
+            data: relayed.data,
+            value: '0',
+            gasLimit: null,
+            fees: null,
+            hash: relayed.hash,
+            sent: [{ hash: relayed.hash, type: 'original', sentAt: Date.now() }],
+            // The account the call is made for, and its forwarder nonce
+            relayedFor,
+            forwarderNonce,
+            status: 'pending',
+            replacedBy: null,
+            startBlock,
+            blockNumber: null,
+            submittedAt: Date.now(),
+            settledAt: null
+        });
+    }
+
+    add(entry) {
+        const entries = this.load();
+        entries.push(entry);
+        this.save(entries);
+        this.onChange(entry, null);
+        return entry;
+    }
+
+    static feesOf(tx) {
+        if (tx.maxFeePerGas) {
+            return { maxFeePerGas: tx.maxFeePerGas.toString(), maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString() };
+        }
+        return { gasPrice: tx.gasPrice.toString() };
+    }
+
+    /**
+     * Fees for a replacement: the bumped old fees, or the network's current
+     * fees if those are higher
+     */
+    async replacementFees(entry) {
+        const feeData = await getFeeSuggestion(this.provider);
+        const bump = value => ethers.BigNumber.from(value).mul(100 + TX_QUEUE_FEE_BUMP_PERCENT).div(100);
+        const max = (a, b) => (b && b.gt(a) ? b : a);
+
+        if (entry.fees.maxFeePerGas) {
+            return {
+                maxFeePerGas: max(bump(entry.fees.maxFeePerGas), feeData.maxFeePerGas),
+                maxPriorityFeePerGas: max(bump(entry.fees.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas)
+            };
+        }
+        return { gasPrice: max(bump(entry.fees.gasPrice), feeData.gasPrice) };
+    }
+
+    /**
+     * Resend a pending transaction with higher fees
+     */
+    async speedUp(id, signer) {
+        const entry = this.requirePending(id);
+        const fees = await this.replacementFees(entry);
+
+        return this.sendReplacement(entry, signer, 'speed-up', {
+            to: entry.to,
+            data: entry.data,
+            value: entry.value,
+            gasLimit: entry.gasLimit,
+            ...fees
+        });
+    }
+
+    /**
+     * Replace a pending transaction with an empty transfer to the sender
+     */
+    async cancel(id, signer) {
+        const entry = this.requirePending(id);
+        const fees = await this.replacementFees(entry);
+
+        return this.sendReplacement(entry, signer, 'cancel', {
+            to: entry.from,
+            data: '0x',
+            value: 0,
+            gasLimit: 21000,
+            ...fees
+        });
+    }
+
+    requirePending(id) {
+        const entry = this.get(id);
+        if (!entry) throw new Error(`Transaction ${id} is not in the queue`);
+        if (entry.status !== 'pending') throw new Error(`Transaction ${entry.hash} is already ${entry.status}`);
+        if (entry.relayedFor) throw new Error(`Transaction ${entry.hash} was sent by the relayer, which handles its fees`);
+        return entry;
+    }
+
+    async sendReplacement(entry, signer, type, request) {
+        const from = await signer.getAddress();
+        if (from.toLowerCase() !== entry.from.toLowerCase()) {
+            throw new Error(`Connect ${entry.from} to replace this transaction`);
+        }
+
+        const tx = await signer.sendTransaction({ ...request, nonce: entry.nonce });
+
+        // Some wallets choose their own nonce; then this is a new transaction, not a replacement
+        if (tx.nonce !== entry.nonce) {
+            throw new Error(`The wallet sent the ${type} with nonce ${tx.nonce} instead of ${entry.nonce}, ` +
+                `so it doesn't replace the original (${tx.hash}). Use the wallet's own speed up or cancel instead.`);
+        }
+        console.log(`🔁 Sent ${type} for nonce ${entry.nonce}:`, tx.hash);
+
+        const sent = [...entry.sent, { hash: tx.hash, type, sentAt: Date.now() }];
+        const updated = this.update(entry.id, {
+            sent,
+            // Further replacements must outbid this one
+            fees: TransactionQueue.feesOf(tx)
+        });
+        this.onChange(updated, null);
+        return updated;
+    }
+
+    /**
+     * Check every pending entry once
+     */
+    async refresh() {
+        if (this.refreshing) return;
+        this.refreshing = true;
+
+        try {
+            for (const entry of this.load().filter(e => e.status === 'pending')) {
+                try {
+                    await this.refreshEntry(entry);
+                } catch (error) {
+                    console.warn(`⚠️ Could not check transaction ${entry.hash}:`, error.message);
+                }
+            }
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    async refreshEntry(entry) {
+        // Newest first: a replacement is the most likely one to be mined
+        for (const sent of [...entry.sent].reverse()) {
+            const receipt = await this.provider.getTransactionReceipt(sent.hash);
+            if (receipt) {
+                this.settle(entry, receipt, sent.type === 'cancel' ? 'cancel' : null);
+                return;
+            }
+        }
+
+        // None were mined, but the nonce may have been used by a transaction
+        // sent outside the queue, e.g. with the wallet's own speed up
+        const minedNonce = await this.provider.getTransactionCount(entry.from, 'latest');
+        if (minedNonce <= entry.nonce) return;
+
+        const replacement = await this.findNonceTransaction(entry);
+        if (!replacement) {
+            this.settle(entry, null, 'external');
+            return;
+        }
+
+        const receipt = await this.provider.getTransactionReceipt(replacement.hash);
+        if (!receipt) return;
+
+        const sameCall = replacement.data === entry.data &&
+            replacement.to && replacement.to.toLowerCase() === (entry.to || '').toLowerCase();
+        this.settle(entry, receipt, sameCall ? null : 'external');
+    }
+
+    /**
+     * Search recent blocks for the mined transaction that used an entry's nonce
+     */
+    async findNonceTransaction(entry) {
+        const latest = await this.provider.getBlockNumber();
+        const earliest = Math.max(entry.startBlock, latest - TX_QUEUE_REPLACEMENT_SCAN_BLOCKS);
+
+        for (let blockNumber = latest; blockNumber >= earliest; blockNumber--) {
+            const block = await this.provider.getBlockWithTransactions(blockNumber);
+            const tx = block.transactions.find(t =>
+                t.from.toLowerCase() === entry.from.toLowerCase() && t.nonce === entry.nonce);
+            if (tx) return tx;
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {Object|null} receipt - Receipt of the transaction mined with the entry's nonce
+     * @param {string|null} replacedBy - 'cancel' or 'external' if that transaction
+     *   doesn't do what the entry does
+     */
+    settle(entry, receipt, replacedBy) {
+        // Another tab may have settled it already
+        const current = this.get(entry.id);
+        if (!current || current.status !== 'pending') return;
+
+        let status = 'replaced';
+        if (!replacedBy) {
+            status = receipt.status === 1 ? 'mined' : 'failed';
+        }
+
+        const updated = this.update(entry.id, {
+            status,
+            replacedBy,
+            hash: receipt ? receipt.transactionHash : entry.hash,
+            blockNumber: receipt ? receipt.blockNumber : null,
+            settledAt: Date.now()
+        });
+        console.log(`${status === 'mined' ? '✅' : '⚠️'} Transaction for nonce ${entry.nonce} ${status}:`, updated.hash);
+        this.onChange(updated, receipt);
+    }
+
+    /**
+     * Poll pending entries until stopped
+     */
+    start(interval = TX_QUEUE_POLL_INTERVAL) {
+        this.stop();
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Remove settled entries from the queue
+     */
+    clearSettled() {
+        this.save(this.load().filter(entry => entry.status === 'pending'));
+    }
+}
@@ -0,0 +1,86 @@
+// Wallets
+// Finds browser wallets through EIP-6963, where each installed wallet announces
+// its own provider so several can coexist, falling back to the legacy
+// window.ethereum. On the local Hardhat network a private key can sign instead.
+
+const WALLET_STORAGE_KEY = 'rebateTracker.wallet';
+
+// ID of the private-key signer in the wallet picker
+const LOCAL_KEY_WALLET_ID = 'local-key';
+
+/**
+ * Ask installed wallets to announce themselves
+ * @param {number} timeout - How long to wait for announcements (ms)
+ * @returns {Promise<Array<{id, name, icon, provider}>>} provider is EIP-1193
+ */
+function discoverWallets(timeout = 500) {
+    return new Promise(resolve => {
+        const wallets = new Map();
+        const onAnnounce = event => {
+            const { info, provider } = event.detail;
+            wallets.set(info.uuid, { id: info.rdns || info.uuid, name: info.name, icon: info.icon, provider });
+        };
+
+        window.addEventListener('eip6963:announceProvider', onAnnounce);
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+        setTimeout(() => {
+            window.removeEventListener('eip6963:announceProvider', onAnnounce);
+            const found = [...wallets.values()];
+
+            // Wallets without EIP-6963 support only inject window.ethereum
+            if (found.length === 0 && typeof window.ethereum !== 'undefined') {
+                found.push({
+                    id: 'injected',
+                    name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+                    icon: '',
+                    provider: window.ethereum
+                });
+            }
+            resolve(found);
+        }, timeout);
+    });
+}
+
+/**
+ * The private-key signer is only offered on the Hardhat network, whose
+ * accounts use well-known test keys
+ */
+function isLocalKeySignerAvailable() {
+    return CONFIG.network.chainId === 31337;
+}
+
+/**
+ * Signer for a private key, connected to the selected deployment's RPC
+ * @param {string} privateKey - 0x-prefixed hex
+ */
+function createLocalKeySigner(privateKey) {
+    if (!isLocalKeySignerAvailable()) {
+        throw new Error('Private keys can only be used on the local Hardhat network');
+    }
+    const provider = new ethers.providers.JsonRpcProvider(CONFIG.network.rpcUrls[0]);
+    return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * ID of the wallet last connected in this browser, or null
+ */
+function getRememberedWalletId() {
+    try {
+        return localStorage.getItem(WALLET_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function rememberWalletId(id) {
+    try {
+        if (id) {
+            localStorage.setItem(WALLET_STORAGE_KEY, id);
+        } else {
+            localStorage.removeItem(WALLET_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage can be blocked (e.g. privacy mode); the picker shows next time
+    }
+}
@@ -20,13 +20,11 @@ const config = {
       url: "https://rpc-amoy.polygon.technology/",
       accounts: process.env.PRIVATE_KEY !== undefined ? [process.env.PRIVATE_KEY] : [],
       chainId: 80002,
-      gasPrice: 30000000000, // 30 gwei
     },
     polygon: {
       url: "https://polygon-rpc.com/",
       accounts: process.env.PRIVATE_KEY !== undefined ? [process.env.PRIVATE_KEY] : [],
       chainId: 137,
-      gasPrice: 30000000000, // 30 gwei
     }
   },
   etherscan: {
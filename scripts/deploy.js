@@ -1,6 +1,8 @@
 import hre from "hardhat";
 const { ethers } = hre;
 import "dotenv/config";
+import path from "path";
+import { LOCAL_CHAIN_ID, saveDeployment, writeExplorerDeployments } from "./deployment-registry.js";
 
 async function main() {
   console.log("🚀 Deploying CashRebateTracker to Polygon...");
@@ -27,15 +29,29 @@ async function main() {
   
   console.log("👥 Initial authorities:", initialAuthorities);
   
+  // Trusted forwarder for gasless recording through scripts/relayer.js. It
+  // can't be changed later, so reuse FORWARDER_ADDRESS if one is deployed.
+  let forwarderAddress = process.env.FORWARDER_ADDRESS;
+  if (!forwarderAddress) {
+    const RebateForwarder = await ethers.getContractFactory("RebateForwarder");
+    console.log("⏳ Deploying forwarder...");
+    const forwarder = await RebateForwarder.deploy();
+    await forwarder.waitForDeployment();
+    forwarderAddress = await forwarder.getAddress();
+    console.log("✅ RebateForwarder deployed to:", forwarderAddress);
+  }
+  console.log("⛽ Trusted forwarder:", forwarderAddress);
+  
   // Deploy the contract
   const CashRebateTracker = await ethers.getContractFactory("CashRebateTracker");
   console.log("⏳ Deploying contract...");
   
-  const rebateTracker = await CashRebateTracker.deploy(initialAuthorities);
+  const rebateTracker = await CashRebateTracker.deploy(initialAuthorities, forwarderAddress);
   await rebateTracker.waitForDeployment();
+  const deployReceipt = await rebateTracker.deploymentTransaction().wait();
   
   const contractAddress = await rebateTracker.getAddress();
-  console.log("✅ CashRebateTracker deployed to:", contractAddress);
+  console.log("✅ CashRebateTracker deployed to:", contractAddress, "in block", deployReceipt.blockNumber);
   
   // Verify deployment
   const owner = await rebateTracker.owner();
@@ -60,21 +76,31 @@ async function main() {
     console.log(`   https://polygonscan.com/address/${contractAddress}`);
   }
   
-  // Save deployment information
+  // Save deployment information to deployments/<chainId>.json and point the
+  // explorer at it
+  const { abi } = await hre.artifacts.readArtifact("CashRebateTracker");
   const deploymentInfo = {
-    contractAddress: contractAddress,
+    contractName: "CashRebateTracker",
+    address: contractAddress,
     network: {
       name: network.name,
-      chainId: network.chainId.toString()
+      chainId: Number(network.chainId)
     },
+    deployBlock: deployReceipt.blockNumber,
+    transactionHash: deployReceipt.hash,
     deployer: deployer.address,
-    initialAuthorities: initialAuthorities,
-    deploymentTime: new Date().toISOString(),
-    transactionHash: rebateTracker.deploymentTransaction()?.hash
+    authorities: initialAuthorities,
+    forwarder: forwarderAddress,
+    deployedAt: new Date().toISOString(),
+    abi
   };
   
-  console.log("\n💾 Deployment Info:");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  const deploymentFile = saveDeployment(deploymentInfo);
+  console.log("\n💾 Deployment info saved to:", path.relative(process.cwd(), deploymentFile));
+  
+  for (const explorerFile of writeExplorerDeployments()) {
+    console.log("🗂️  Explorer deployments updated:", path.relative(process.cwd(), explorerFile));
+  }
   
   // Example usage demonstration
   console.log("\n🧪 Testing basic functionality...");
@@ -109,10 +135,14 @@ async function main() {
   
   console.log("\n🎉 Deployment completed successfully!");
   console.log("\n📋 Next steps:");
-  console.log("1. Save the contract address for your applications");
+  console.log(deploymentInfo.network.chainId === LOCAL_CHAIN_ID
+    ? "1. Local deployments stay on this machine; deployments/31337.json and explorer/deployments.local.js are gitignored"
+    : "1. Commit the deployments/ record and explorer/deployments.js");
   console.log("2. Add additional authorities using addAuthority() if needed");
-  console.log("3. Start recording rebate transactions");
-  console.log("4. Build your frontend to interact with the contract");
+  console.log("3. Set the amount above which rebates need a second authority's approval using setApprovalThreshold()");
+  console.log("4. Run `npm run relayer` with a funded RELAYER_PRIVATE_KEY so authorities can record without gas");
+  console.log("5. Start recording rebate transactions");
+  console.log("6. Build your frontend to interact with the contract");
   
   return {
     contractAddress,
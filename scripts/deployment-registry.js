@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Deployment records live in deployments/<chainId>.json; the explorer reads a
+// generated summary of them from explorer/deployments.js. Local Hardhat
+// deployments only exist on this machine, so they go to the gitignored
+// explorer/deployments.local.js instead of the committed file.
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const DEPLOYMENTS_DIR = path.join(ROOT_DIR, "deployments");
+export const EXPLORER_DEPLOYMENTS_FILE = path.join(ROOT_DIR, "explorer", "deployments.js");
+export const EXPLORER_LOCAL_DEPLOYMENTS_FILE = path.join(ROOT_DIR, "explorer", "deployments.local.js");
+export const LOCAL_CHAIN_ID = 31337;
+
+/**
+ * Write the deployment record for a chain, replacing the previous one
+ * @param {Object} deployment - Must include network.chainId
+ * @returns {string} Path of the written file
+ */
+export function saveDeployment(deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+
+  const file = path.join(DEPLOYMENTS_DIR, `${deployment.network.chainId}.json`);
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Read every deployment record, keyed by chain ID
+ */
+export function loadDeployments() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return {};
+  }
+
+  const deployments = {};
+  for (const file of fs.readdirSync(DEPLOYMENTS_DIR).sort()) {
+    if (!/^\d+\.json$/.test(file)) continue;
+
+    const deployment = JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8"));
+    deployments[deployment.network.chainId] = deployment;
+  }
+  return deployments;
+}
+
+/**
+ * Regenerate explorer/deployments.js from the deployment records so the
+ * explorer and admin pages point at the latest contract on each chain. The
+ * local chain's deployment is written to explorer/deployments.local.js, which
+ * is removed when there is none.
+ * @returns {string[]} Paths of the written files
+ */
+export function writeExplorerDeployments() {
+  const deployed = {};
+  let local = null;
+  for (const [chainId, deployment] of Object.entries(loadDeployments())) {
+    const summary = {
+      address: deployment.address,
+      startBlock: deployment.deployBlock,
+      deployer: deployment.deployer,
+      forwarder: deployment.forwarder || null,
+      deployedAt: deployment.deployedAt
+    };
+    if (Number(chainId) === LOCAL_CHAIN_ID) {
+      local = summary;
+    } else {
+      deployed[chainId] = summary;
+    }
+  }
+
+  const source = [
+    "// Generated from deployments/*.json by scripts/deployment-registry.js - do not edit.",
+    "// Regenerate with `npm run deployments:explorer`; scripts/deploy.js does this after each deployment.",
+    `// Local Hardhat deployments (chain ${LOCAL_CHAIN_ID}) are in the gitignored deployments.local.js.`,
+    `const DEPLOYED_CONTRACTS = ${JSON.stringify(deployed, null, 4)};`,
+    ""
+  ].join("\n");
+  fs.writeFileSync(EXPLORER_DEPLOYMENTS_FILE, source);
+
+  if (!local) {
+    fs.rmSync(EXPLORER_LOCAL_DEPLOYMENTS_FILE, { force: true });
+    return [EXPLORER_DEPLOYMENTS_FILE];
+  }
+
+  const localSource = [
+    `// Generated from deployments/${LOCAL_CHAIN_ID}.json by scripts/deployment-registry.js - do not edit or commit.`,
+    "// Loaded after deployments.js; the addresses only exist on this machine's Hardhat node.",
+    `DEPLOYED_CONTRACTS[${LOCAL_CHAIN_ID}] = ${JSON.stringify(local, null, 4)};`,
+    ""
+  ].join("\n");
+  fs.writeFileSync(EXPLORER_LOCAL_DEPLOYMENTS_FILE, localSource);
+  return [EXPLORER_DEPLOYMENTS_FILE, EXPLORER_LOCAL_DEPLOYMENTS_FILE];
+}
+
+// Allow regenerating the explorer files on their own
+if (import.meta.url === `file://${process.argv[1]}`) {
+  for (const file of writeExplorerDeployments()) {
+    console.log("🗂️  Explorer deployments written to:", path.relative(ROOT_DIR, file));
+  }
+}
@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// The explorer and admin pages load the contract ABI from explorer/abi.js,
+// generated from the Hardhat artifact so it never drifts from the contract
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const DEFAULT_ARTIFACT_FILE = path.join(
+  ROOT_DIR, "artifacts", "contracts", "CashRebateTracker.sol", "CashRebateTracker.json"
+);
+export const EXPLORER_ABI_FILE = path.join(ROOT_DIR, "explorer", "abi.js");
+
+/**
+ * Regenerate explorer/abi.js from a compiled CashRebateTracker artifact
+ * @param {string} artifactFile - Path of the Hardhat artifact JSON
+ * @returns {string} Path of the written file
+ */
+export function writeExplorerAbi(artifactFile = DEFAULT_ARTIFACT_FILE) {
+  if (!fs.existsSync(artifactFile)) {
+    throw new Error(`Artifact not found: ${artifactFile}. Run \`npx hardhat compile\` first.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+  if (!Array.isArray(artifact.abi)) {
+    throw new Error(`Artifact has no ABI: ${artifactFile}`);
+  }
+
+  const source = [
+    `// Generated from the ${artifact.contractName} Hardhat artifact by scripts/generate-abi.js - do not edit.`,
+    "// Regenerate with `npm run abi:explorer`; `npm run compile` does this after compiling.",
+    `const CONTRACT_ABI = ${JSON.stringify(artifact.abi, null, 4)};`,
+    ""
+  ].join("\n");
+
+  fs.writeFileSync(EXPLORER_ABI_FILE, source);
+  return EXPLORER_ABI_FILE;
+}
+
+// Usage: node scripts/generate-abi.js [path/to/CashRebateTracker.json]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const file = writeExplorerAbi(process.argv[2] ? path.resolve(process.argv[2]) : undefined);
+    console.log("🧾 Explorer ABI written to:", path.relative(ROOT_DIR, file));
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
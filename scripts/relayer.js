@@ -0,0 +1,247 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import { ethers } from "ethers";
+import { loadDeployments } from "./deployment-registry.js";
+
+// Meta-transaction relayer
+// Authorities sign an ERC-2771 ForwardRequest for a CashRebateTracker call and
+// POST it here; the relayer submits it through the trusted RebateForwarder and
+// pays the gas, so authority wallets don't need MATIC. The tracker still sees
+// the signing authority as the sender, so recordedBy is unchanged.
+//
+// Settings (environment):
+//   RPC_URL              Node to relay through (default: local Hardhat node)
+//   RELAYER_PRIVATE_KEY  Account that pays the gas (default on Hardhat: account #0)
+//   RELAYER_PORT         Port to listen on (default 8546)
+//   TRACKER_ADDRESS, FORWARDER_ADDRESS
+//                        Contracts to relay to (default: deployments/<chainId>.json)
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_PORT = 8546;
+
+const ARTIFACT_FILE = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../artifacts/contracts/CashRebateTracker.sol/CashRebateTracker.json"
+);
+
+// Well-known Hardhat account #0, only used on chain 31337
+const HARDHAT_ACCOUNT_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// Only recording calls are relayed; owner actions still need the owner's own gas
+export const RELAYED_FUNCTIONS = ["recordRebate", "recordRebatesBatch", "recordApprovedRebate"];
+
+// How long the next request waits for the previous one to be mined (ms)
+const CONFIRMATION_TIMEOUT = 2 * 60 * 1000;
+
+// Most gas a single request may ask the relayer to pay for; enough for a
+// relayed bulk import batch (BULK_IMPORT_RELAYED_CHUNK_SIZE in explorer/bulk-import.js)
+export const MAX_RELAYED_GAS = 15_000_000n;
+
+export const FORWARDER_ABI = [
+  "function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable",
+  "function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)",
+  "function nonces(address owner) view returns (uint256)"
+];
+
+const FORWARD_REQUEST_FIELDS = ["from", "to", "value", "gas", "deadline", "data", "signature"];
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Revert reason of a failed call, e.g. "Not authorized to record rebates"
+ */
+function describeRevert(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Express app relaying signed ForwardRequests to the tracker
+ * @param {Object} options
+ * @param {ethers.Contract} options.tracker - CashRebateTracker, with a provider
+ * @param {ethers.Contract} options.forwarder - RebateForwarder, connected to the paying signer
+ * @returns {express.Express}
+ */
+export function createRelayerApp({ tracker, forwarder }) {
+  const app = express();
+  app.use(express.json({ limit: "256kb" }));
+
+  // Requests are checked and sent one at a time, each after the previous one
+  // is mined: the paying account's nonces stay in order, and a signer's next
+  // forwarder nonce only verifies once their previous request is mined
+  let sending = Promise.resolve();
+
+  // The explorer is served from another origin
+  app.use((req, res, next) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") return res.sendStatus(204);
+    next();
+  });
+
+  app.get("/status", async (req, res) => {
+    try {
+      const relayer = await forwarder.runner.getAddress();
+      const { chainId } = await forwarder.runner.provider.getNetwork();
+      res.json({
+        chainId: Number(chainId),
+        tracker: await tracker.getAddress(),
+        forwarder: await forwarder.getAddress(),
+        relayer,
+        balance: (await forwarder.runner.provider.getBalance(relayer)).toString(),
+        functions: RELAYED_FUNCTIONS
+      });
+    } catch (error) {
+      res.status(503).json({ error: describeRevert(error) });
+    }
+  });
+
+  app.post("/relay", (req, res) => {
+    sending = sending.then(() => relay(req.body, res));
+  });
+
+  async function relay(body, res) {
+    let tx;
+    try {
+      const { request, fn } = await checkRequest(body);
+      tx = await forwarder.execute(request);
+      console.log(`⛽ Relayed ${fn} for ${request.from}:`, tx.hash);
+
+      res.status(202).json({ hash: tx.hash, relayer: tx.from, nonce: tx.nonce, to: tx.to, data: tx.data });
+    } catch (error) {
+      const status = error instanceof RelayError ? error.status : 500;
+      if (status === 500) console.error("❌ Relay failed:", error);
+      res.status(status).json({ error: describeRevert(error) });
+      return;
+    }
+
+    try {
+      await tx.wait(1, CONFIRMATION_TIMEOUT);
+    } catch (error) {
+      console.warn("⚠️ Relayed transaction failed:", tx.hash, describeRevert(error));
+    }
+  }
+
+  /**
+   * Refuse requests the relayer shouldn't pay for, or that would revert
+   * @returns {Promise<{request, fn}>} The request, ready for forwarder.execute,
+   *   and the name of the tracker function it calls
+   */
+  async function checkRequest(body) {
+    if (!body || typeof body !== "object") {
+      throw new RelayError(400, "Send a signed ForwardRequest as JSON");
+    }
+    for (const field of FORWARD_REQUEST_FIELDS) {
+      if (body[field] === undefined || body[field] === null) {
+        throw new RelayError(400, `The request has no ${field}`);
+      }
+    }
+
+    let request;
+    try {
+      request = {
+        from: ethers.getAddress(body.from),
+        to: ethers.getAddress(body.to),
+        value: BigInt(body.value),
+        gas: BigInt(body.gas),
+        deadline: BigInt(body.deadline),
+        data: ethers.hexlify(body.data),
+        signature: ethers.hexlify(body.signature)
+      };
+    } catch (error) {
+      throw new RelayError(400, `Malformed request: ${error.message}`);
+    }
+
+    if (request.to !== await tracker.getAddress()) {
+      throw new RelayError(400, `Only calls to the rebate tracker at ${await tracker.getAddress()} are relayed`);
+    }
+    if (request.value !== 0n) {
+      throw new RelayError(400, "Requests can't send value");
+    }
+    if (request.gas > MAX_RELAYED_GAS) {
+      throw new RelayError(400, `Requests can ask for at most ${MAX_RELAYED_GAS} gas`);
+    }
+
+    let call = null;
+    try {
+      call = tracker.interface.parseTransaction({ data: request.data });
+    } catch (error) {
+      // Not a tracker call
+    }
+    if (!call || !RELAYED_FUNCTIONS.includes(call.name)) {
+      throw new RelayError(400, `Only ${RELAYED_FUNCTIONS.join(", ")} calls are relayed`);
+    }
+
+    // Covers the signature, nonce and deadline
+    if (!await forwarder.verify(request)) {
+      throw new RelayError(400, "The signature doesn't match the request, or it expired or was already used");
+    }
+    if (!await tracker.isAuthorized(request.from)) {
+      throw new RelayError(403, `${request.from} is not an authority`);
+    }
+
+    // The forwarder hides revert reasons, so simulate the forwarded call itself
+    try {
+      await forwarder.runner.provider.call({
+        from: await forwarder.getAddress(),
+        to: request.to,
+        data: ethers.concat([request.data, request.from]),
+        gasLimit: request.gas
+      });
+    } catch (error) {
+      throw new RelayError(422, describeRevert(error));
+    }
+
+    return { request, fn: call.name };
+  }
+
+  return app;
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || DEFAULT_RPC_URL);
+  const chainId = Number((await provider.getNetwork()).chainId);
+
+  const privateKey = process.env.RELAYER_PRIVATE_KEY || (chainId === 31337 ? HARDHAT_ACCOUNT_KEY : null);
+  if (!privateKey) {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the account that pays for relayed transactions");
+  }
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  const deployment = loadDeployments()[chainId];
+  const trackerAddress = process.env.TRACKER_ADDRESS || (deployment && deployment.address);
+  const forwarderAddress = process.env.FORWARDER_ADDRESS || (deployment && deployment.forwarder);
+  if (!trackerAddress || !forwarderAddress) {
+    throw new Error(`No deployment with a forwarder recorded for chain ${chainId}; set TRACKER_ADDRESS and FORWARDER_ADDRESS`);
+  }
+
+  // Contracts given by address use the compiled ABI
+  const abi = deployment ? deployment.abi : JSON.parse(fs.readFileSync(ARTIFACT_FILE, "utf8")).abi;
+  const tracker = new ethers.Contract(trackerAddress, abi, provider);
+  const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, wallet);
+  if (!await tracker.isTrustedForwarder(forwarderAddress)) {
+    throw new Error(`The tracker at ${trackerAddress} doesn't trust the forwarder at ${forwarderAddress}`);
+  }
+
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+  createRelayerApp({ tracker, forwarder }).listen(port, () => {
+    console.log(`⛽ Relaying to ${trackerAddress} through ${forwarderAddress} on chain ${chainId}`);
+    console.log("💰 Paying from:", wallet.address);
+    console.log(`🚀 Listening on http://127.0.0.1:${port}`);
+  });
+}
+
+// Handle script execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error("❌ Relayer failed to start:", error);
+    process.exit(1);
+  });
+}
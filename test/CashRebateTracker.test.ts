@@ -1,10 +1,15 @@
 import { expect } from "chai";
 import hre from "hardhat";
-import { CashRebateTracker } from "../typechain-types";
+import { CashRebateTracker, RebateForwarder } from "../typechain-types";
 import { SignerWithAddress } from "@nomicfoundation/hardhat-ethers/signers";
+import { once } from "events";
+import type { Server } from "http";
+import type { AddressInfo } from "net";
+import { createRelayerApp } from "../scripts/relayer.js";
 
 describe("CashRebateTracker", function () {
   let rebateTracker: CashRebateTracker;
+  let forwarder: RebateForwarder;
   let owner: SignerWithAddress;
   let authority1: SignerWithAddress;
   let authority2: SignerWithAddress;
@@ -14,8 +19,12 @@ describe("CashRebateTracker", function () {
   beforeEach(async function () {
     [owner, authority1, authority2, user1, user2] = await ethers.getSigners();
 
+    const RebateForwarderFactory = await ethers.getContractFactory("RebateForwarder");
+    forwarder = (await RebateForwarderFactory.deploy()) as RebateForwarder;
+    await forwarder.waitForDeployment();
+
     const CashRebateTrackerFactory = await ethers.getContractFactory("CashRebateTracker");
-    const contract = await CashRebateTrackerFactory.deploy([authority1.address]);
+    const contract = await CashRebateTrackerFactory.deploy([authority1.address], await forwarder.getAddress());
     await contract.waitForDeployment();
     rebateTracker = contract as CashRebateTracker;
   });
@@ -65,6 +74,83 @@ describe("CashRebateTracker", function () {
     });
   });
 
+  describe("Ownership Transfer", function () {
+    it("Should start a transfer without changing the owner", async function () {
+      await expect(rebateTracker.transferOwnership(user1.address))
+        .to.emit(rebateTracker, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+
+      expect(await rebateTracker.owner()).to.equal(owner.address);
+      expect(await rebateTracker.pendingOwner()).to.equal(user1.address);
+    });
+
+    it("Should hand over ownership when the pending owner accepts", async function () {
+      await rebateTracker.transferOwnership(user1.address);
+
+      await expect(rebateTracker.connect(user1).acceptOwnership())
+        .to.emit(rebateTracker, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+
+      expect(await rebateTracker.owner()).to.equal(user1.address);
+      expect(await rebateTracker.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      // Authority management moves to the new owner
+      await rebateTracker.connect(user1).addAuthority(authority2.address);
+      await expect(
+        rebateTracker.addAuthority(user2.address)
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should not allow anyone but the pending owner to accept", async function () {
+      await rebateTracker.transferOwnership(user1.address);
+
+      await expect(
+        rebateTracker.connect(user2).acceptOwnership()
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+      expect(await rebateTracker.owner()).to.equal(owner.address);
+    });
+
+    it("Should replace the pending owner when a new transfer starts", async function () {
+      await rebateTracker.transferOwnership(user1.address);
+      await rebateTracker.transferOwnership(user2.address);
+
+      expect(await rebateTracker.pendingOwner()).to.equal(user2.address);
+      await expect(
+        rebateTracker.connect(user1).acceptOwnership()
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should allow owner to cancel a pending transfer", async function () {
+      await rebateTracker.transferOwnership(user1.address);
+
+      await expect(rebateTracker.cancelOwnershipTransfer())
+        .to.emit(rebateTracker, "OwnershipTransferCancelled")
+        .withArgs(owner.address, user1.address);
+
+      expect(await rebateTracker.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(
+        rebateTracker.connect(user1).acceptOwnership()
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should not cancel when no transfer is pending", async function () {
+      await expect(
+        rebateTracker.cancelOwnershipTransfer()
+      ).to.be.revertedWith("No pending ownership transfer");
+    });
+
+    it("Should not allow non-owner to start or cancel a transfer", async function () {
+      await expect(
+        rebateTracker.connect(user1).transferOwnership(user1.address)
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+
+      await rebateTracker.transferOwnership(user1.address);
+      await expect(
+        rebateTracker.connect(user1).cancelOwnershipTransfer()
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+    });
+  });
+
   describe("Rebate Recording", function () {
     const clientId = "CLIENT001";
     const productId = "PRODUCT001";
@@ -137,6 +223,35 @@ describe("CashRebateTracker", function () {
       expect(await rebateTracker.getClientTotalAmount("CLIENT002")).to.equal(amounts[1]);
     });
 
+    it("Should credit batch records to the calling authority", async function () {
+      await expect(
+        rebateTracker.connect(authority1).recordRebatesBatch(["CLIENT001"], ["PRODUCT001"], [ethers.parseEther("10")], ["0x123"])
+      ).to.emit(rebateTracker, "RebateRecorded")
+        .withArgs(0, "CLIENT001", "PRODUCT001", ethers.parseEther("10"), authority1.address, "0x123");
+
+      const record = await rebateTracker.getRebateRecord(0);
+      expect(record.recordedBy).to.equal(authority1.address);
+    });
+
+    it("Should reject batches with invalid rows", async function () {
+      await expect(
+        rebateTracker.connect(authority1).recordRebatesBatch(
+          ["CLIENT001", ""], ["PRODUCT001", "PRODUCT002"], [ethers.parseEther("10"), ethers.parseEther("20")], ["0x123", "0x456"]
+        )
+      ).to.be.revertedWith("Client ID cannot be empty");
+
+      expect(await rebateTracker.getTotalRecords()).to.equal(0);
+    });
+
+    it("Should reject batches larger than 100 rebates", async function () {
+      const size = 101;
+      await expect(
+        rebateTracker.connect(authority1).recordRebatesBatch(
+          Array(size).fill("CLIENT001"), Array(size).fill("PRODUCT001"), Array(size).fill(ethers.parseEther("1")), Array(size).fill("0x123")
+        )
+      ).to.be.revertedWith("Batch size too large");
+    });
+
     it("Should validate batch input arrays", async function () {
       const clientIds = ["CLIENT001", "CLIENT002"];
       const productIds = ["PRODUCT001"]; // Mismatched length
@@ -149,6 +264,378 @@ describe("CashRebateTracker", function () {
     });
   });
 
+  describe("Maker-Checker Approval", function () {
+    const threshold = ethers.parseEther("100");
+    const rebateTypes = {
+      RebateRequest: [
+        { name: "maker", type: "address" },
+        { name: "clientId", type: "string" },
+        { name: "productId", type: "string" },
+        { name: "amount", type: "uint256" },
+        { name: "transactionHash", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    let request: {
+      maker: string;
+      clientId: string;
+      productId: string;
+      amount: bigint;
+      transactionHash: string;
+      nonce: bigint;
+      deadline: bigint;
+    };
+
+    async function sign(signer: SignerWithAddress, value = request) {
+      const domain = {
+        name: "CashRebateTracker",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await rebateTracker.getAddress()
+      };
+      return signer.signTypedData(domain, rebateTypes, value);
+    }
+
+    beforeEach(async function () {
+      await rebateTracker.connect(owner).addAuthority(authority2.address);
+      await rebateTracker.connect(owner).setApprovalThreshold(threshold);
+
+      const latest = await ethers.provider.getBlock("latest");
+      request = {
+        maker: authority1.address,
+        clientId: "CLIENT001",
+        productId: "PRODUCT001",
+        amount: ethers.parseEther("250"),
+        transactionHash: "0x123",
+        nonce: 1n,
+        deadline: BigInt(latest!.timestamp + 3600)
+      };
+    });
+
+    it("Should let only the owner set the approval threshold", async function () {
+      expect(await rebateTracker.approvalThreshold()).to.equal(threshold);
+
+      await expect(rebateTracker.connect(owner).setApprovalThreshold(0))
+        .to.emit(rebateTracker, "ApprovalThresholdUpdated")
+        .withArgs(0, owner.address);
+
+      await expect(
+        rebateTracker.connect(authority1).setApprovalThreshold(1)
+      ).to.be.revertedWithCustomError(rebateTracker, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should require approval for single and batch rebates above the threshold", async function () {
+      await expect(
+        rebateTracker.connect(authority1).recordRebate("CLIENT001", "PRODUCT001", threshold + 1n, "0x123")
+      ).to.be.revertedWith("Rebate needs maker-checker approval");
+
+      await expect(
+        rebateTracker.connect(authority1).recordRebatesBatch(
+          ["CLIENT001", "CLIENT002"], ["PRODUCT001", "PRODUCT002"], [threshold, threshold + 1n], ["0x123", "0x456"]
+        )
+      ).to.be.revertedWith("Rebate needs maker-checker approval");
+
+      await rebateTracker.connect(authority1).recordRebate("CLIENT001", "PRODUCT001", threshold, "0x123");
+      expect(await rebateTracker.getTotalRecords()).to.equal(1);
+    });
+
+    it("Should record a request signed by a maker and co-signed by another authority", async function () {
+      const makerSignature = await sign(authority1);
+      const checkerSignature = await sign(authority2);
+
+      await expect(
+        rebateTracker.connect(authority2).recordApprovedRebate(request, makerSignature, checkerSignature)
+      ).to.emit(rebateTracker, "RebateApproved")
+        .withArgs(0, authority1.address, authority2.address, request.nonce)
+        .and.to.emit(rebateTracker, "RebateRecorded")
+        .withArgs(0, request.clientId, request.productId, request.amount, authority1.address, request.transactionHash);
+
+      const record = await rebateTracker.getRebateRecord(0);
+      expect(record.recordedBy).to.equal(authority1.address);
+      expect(await rebateTracker.getClientTotalAmount(request.clientId)).to.equal(request.amount);
+      expect(await rebateTracker.isRequestNonceUsed(authority1.address, request.nonce)).to.be.true;
+    });
+
+    it("Should not record the same request twice", async function () {
+      const makerSignature = await sign(authority1);
+      const checkerSignature = await sign(authority2);
+      await rebateTracker.connect(authority2).recordApprovedRebate(request, makerSignature, checkerSignature);
+
+      await expect(
+        rebateTracker.connect(authority1).recordApprovedRebate(request, makerSignature, checkerSignature)
+      ).to.be.revertedWith("Rebate request already used");
+
+      // The owner co-signing again doesn't make it a new request
+      await expect(
+        rebateTracker.connect(owner).recordApprovedRebate(request, makerSignature, await sign(owner))
+      ).to.be.revertedWith("Rebate request already used");
+
+      expect(await rebateTracker.getTotalRecords()).to.equal(1);
+    });
+
+    it("Should not let a maker approve their own request", async function () {
+      const makerSignature = await sign(authority1);
+
+      await expect(
+        rebateTracker.connect(authority1).recordApprovedRebate(request, makerSignature, makerSignature)
+      ).to.be.revertedWith("Maker cannot approve own request");
+
+      // A second signature by the maker is still the maker's
+      await expect(
+        rebateTracker.connect(authority1).recordApprovedRebate(request, makerSignature, await sign(authority1))
+      ).to.be.revertedWith("Maker cannot approve own request");
+    });
+
+    it("Should reject a request whose maker didn't sign it", async function () {
+      // authority2 signs as maker on authority1's behalf, and owner checks it
+      await expect(
+        rebateTracker.connect(authority2).recordApprovedRebate(request, await sign(authority2), await sign(owner))
+      ).to.be.revertedWith("Invalid maker signature");
+    });
+
+    it("Should reject signatures over a changed request", async function () {
+      const makerSignature = await sign(authority1);
+      const checkerSignature = await sign(authority2);
+
+      await expect(
+        rebateTracker.connect(authority2).recordApprovedRebate(
+          { ...request, amount: request.amount * 10n }, makerSignature, checkerSignature
+        )
+      ).to.be.revertedWith("Invalid maker signature");
+    });
+
+    it("Should require both signers to be authorities", async function () {
+      await expect(
+        rebateTracker.connect(authority1).recordApprovedRebate(request, await sign(authority1), await sign(user1))
+      ).to.be.revertedWith("Checker is not an authority");
+
+      const userRequest = { ...request, maker: user1.address };
+      await expect(
+        rebateTracker.connect(authority1).recordApprovedRebate(userRequest, await sign(user1, userRequest), await sign(authority2, userRequest))
+      ).to.be.revertedWith("Maker is not an authority");
+
+      await expect(
+        rebateTracker.connect(user2).recordApprovedRebate(request, await sign(authority1), await sign(authority2))
+      ).to.be.revertedWith("Not authorized to record rebates");
+    });
+
+    it("Should reject expired requests", async function () {
+      const makerSignature = await sign(authority1);
+      const checkerSignature = await sign(authority2);
+      await ethers.provider.send("evm_increaseTime", [7200]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        rebateTracker.connect(authority2).recordApprovedRebate(request, makerSignature, checkerSignature)
+      ).to.be.revertedWith("Rebate request expired");
+    });
+
+    it("Should let the maker cancel a request before it is recorded", async function () {
+      const makerSignature = await sign(authority1);
+      const checkerSignature = await sign(authority2);
+
+      await expect(rebateTracker.connect(authority1).cancelRebateRequest(request.nonce))
+        .to.emit(rebateTracker, "RebateRequestCancelled")
+        .withArgs(authority1.address, request.nonce);
+
+      await expect(
+        rebateTracker.connect(authority2).recordApprovedRebate(request, makerSignature, checkerSignature)
+      ).to.be.revertedWith("Rebate request already used");
+    });
+
+    it("Should match the digest computed off-chain", async function () {
+      const domain = {
+        name: "CashRebateTracker",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await rebateTracker.getAddress()
+      };
+      expect(await rebateTracker.hashRebateRequest(request))
+        .to.equal(ethers.TypedDataEncoder.hash(domain, rebateTypes, request));
+    });
+  });
+
+  describe("Meta-transactions", function () {
+    const forwardTypes = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" }
+      ]
+    };
+
+    // Signed ForwardRequestData for a tracker call, as the relayer receives it
+    async function signForwardRequest(signer: SignerWithAddress, data: string, from = signer.address, gas = 500000n) {
+      const latest = await ethers.provider.getBlock("latest");
+      const message = {
+        from,
+        to: await rebateTracker.getAddress(),
+        value: 0n,
+        gas,
+        nonce: await forwarder.nonces(from),
+        deadline: BigInt(latest!.timestamp + 3600),
+        data
+      };
+      const domain = {
+        name: "RebateForwarder",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await forwarder.getAddress()
+      };
+      const signature = await signer.signTypedData(domain, forwardTypes, message);
+      return { ...message, signature };
+    }
+
+    function recordRebateData(clientId: string, amount: bigint) {
+      return rebateTracker.interface.encodeFunctionData("recordRebate", [clientId, "PRODUCT001", amount, "0x123"]);
+    }
+
+    it("Should trust only its forwarder", async function () {
+      expect(await rebateTracker.isTrustedForwarder(await forwarder.getAddress())).to.be.true;
+      expect(await rebateTracker.isTrustedForwarder(user1.address)).to.be.false;
+    });
+
+    it("Should credit a relayed rebate to the signing authority", async function () {
+      const amount = ethers.parseEther("10");
+      const request = await signForwardRequest(authority1, recordRebateData("CLIENT001", amount));
+      const authorityBalance = await ethers.provider.getBalance(authority1.address);
+
+      // user2 relays and pays the gas
+      await expect(forwarder.connect(user2).execute(request))
+        .to.emit(rebateTracker, "RebateRecorded")
+        .withArgs(0, "CLIENT001", "PRODUCT001", amount, authority1.address, "0x123");
+
+      expect((await rebateTracker.getRebateRecord(0)).recordedBy).to.equal(authority1.address);
+      expect(await ethers.provider.getBalance(authority1.address)).to.equal(authorityBalance);
+      expect(await forwarder.nonces(authority1.address)).to.equal(1);
+    });
+
+    it("Should reject relayed rebates signed by non-authorities", async function () {
+      const data = recordRebateData("CLIENT001", ethers.parseEther("10"));
+      const request = await signForwardRequest(user1, data);
+
+      await expect(forwarder.connect(user2).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "FailedCall");
+
+      // The reason, as the relayer sees it when simulating the forwarded call
+      await expect(
+        ethers.provider.call({
+          from: await forwarder.getAddress(),
+          to: await rebateTracker.getAddress(),
+          data: ethers.concat([data, user1.address])
+        })
+      ).to.be.revertedWith("Not authorized to record rebates");
+    });
+
+    it("Should reject requests signed for another sender", async function () {
+      const request = await signForwardRequest(user1, recordRebateData("CLIENT001", ethers.parseEther("10")), authority1.address);
+
+      await expect(forwarder.connect(user2).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should not replay a relayed request", async function () {
+      const request = await signForwardRequest(authority1, recordRebateData("CLIENT001", ethers.parseEther("10")));
+      await forwarder.connect(user2).execute(request);
+
+      await expect(forwarder.connect(user2).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+      expect(await rebateTracker.getTotalRecords()).to.equal(1);
+    });
+
+    it("Should treat calls from other addresses as direct calls", async function () {
+      // Appending an authority's address only counts when the trusted forwarder calls
+      const data = ethers.concat([recordRebateData("CLIENT001", ethers.parseEther("10")), authority1.address]);
+
+      await expect(
+        user1.sendTransaction({ to: await rebateTracker.getAddress(), data })
+      ).to.be.revertedWith("Not authorized to record rebates");
+    });
+
+    describe("Relayer", function () {
+      let server: Server;
+      let url: string;
+
+      beforeEach(async function () {
+        // user2 pays for relayed transactions
+        server = createRelayerApp({ tracker: rebateTracker, forwarder: forwarder.connect(user2) }).listen(0, "127.0.0.1");
+        await once(server, "listening");
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+      });
+
+      afterEach(function () {
+        server.close();
+      });
+
+      async function relay(request: object) {
+        const response = await fetch(`${url}/relay`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value))
+        });
+        return { status: response.status, body: await response.json() };
+      }
+
+      it("Should relay a signed rebate and pay its gas", async function () {
+        const request = await signForwardRequest(authority1, recordRebateData("CLIENT001", ethers.parseEther("10")));
+
+        const { status, body } = await relay(request);
+        expect(status).to.equal(202);
+        expect(body.relayer).to.equal(user2.address);
+
+        const receipt = await ethers.provider.getTransactionReceipt(body.hash);
+        expect(receipt!.from).to.equal(user2.address);
+        expect((await rebateTracker.getRebateRecord(0)).recordedBy).to.equal(authority1.address);
+      });
+
+      it("Should relay a bulk import batch and credit it to the signing authority", async function () {
+        const data = rebateTracker.interface.encodeFunctionData("recordRebatesBatch", [
+          ["CLIENT001", "CLIENT002", "CLIENT003"],
+          ["PRODUCT001", "PRODUCT002", "PRODUCT003"],
+          [ethers.parseEther("10"), ethers.parseEther("20"), ethers.parseEther("30")],
+          ["REF001", "REF002", "REF003"]
+        ]);
+        const request = await signForwardRequest(authority1, data, authority1.address, 2000000n);
+
+        const { status, body } = await relay(request);
+        expect(status).to.equal(202);
+
+        const receipt = await ethers.provider.getTransactionReceipt(body.hash);
+        expect(receipt!.from).to.equal(user2.address);
+        expect(await rebateTracker.getTotalRecords()).to.equal(3);
+        for (let i = 0; i < 3; i++) {
+          expect((await rebateTracker.getRebateRecord(i)).recordedBy).to.equal(authority1.address);
+        }
+      });
+
+      it("Should refuse requests it shouldn't pay for", async function () {
+        const addAuthority = rebateTracker.interface.encodeFunctionData("addAuthority", [user1.address]);
+        expect((await relay(await signForwardRequest(owner, addAuthority))).status).to.equal(400);
+
+        const byNonAuthority = await signForwardRequest(user1, recordRebateData("CLIENT001", ethers.parseEther("10")));
+        expect((await relay(byNonAuthority)).status).to.equal(403);
+
+        const request = await signForwardRequest(authority1, recordRebateData("CLIENT001", ethers.parseEther("10")));
+        expect((await relay({ ...request, from: authority2.address })).status).to.equal(400);
+        expect(await rebateTracker.getTotalRecords()).to.equal(0);
+      });
+
+      it("Should report why a forwarded call would revert", async function () {
+        await rebateTracker.connect(owner).setApprovalThreshold(ethers.parseEther("100"));
+        const request = await signForwardRequest(authority1, recordRebateData("CLIENT001", ethers.parseEther("250")));
+
+        const { status, body } = await relay(request);
+        expect(status).to.equal(422);
+        expect(body.error).to.include("Rebate needs maker-checker approval");
+      });
+    });
+  });
+
   describe("Query Functions", function () {
     beforeEach(async function () {
       // Set up some test data
@@ -0,0 +1,207 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { ethers as ethersV5 } from "ethers-v5";
+
+// The explorer's scripts run in the browser with ethers v5 as a global; load
+// them into one context, the way the explorer page does, with just enough of
+// a document for the search views to render into
+const EXPLORER_SCRIPTS = ["html-escape.js", "filters.js", "rebate-reference.js", "router.js", "app.js"];
+
+const MARKUP = "<img src=x onerror=alert(1)>";
+const ESCAPED_MARKUP = "&lt;img src=x onerror=alert(1)&gt;";
+
+const OVERRIDDEN_REBATE = {
+  transactionHash: "INV-2024-0042",
+  override: true,
+  rule: "Manual override: 15%",
+  programRule: "Electronics: 5% for purchases under $1,000",
+  justification: "Price match agreed with\nthe account manager"
+};
+
+class FakeElement {
+  innerHTML = "";
+  className = "";
+  children: FakeElement[] = [];
+  parent: FakeElement | null = null;
+  style: Record<string, string> = {};
+  dataset: Record<string, string> = {};
+  classList = { add() {}, remove() {}, contains: () => false };
+
+  appendChild(child: FakeElement) {
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (this.parent) {
+      this.parent.children = this.parent.children.filter((child) => child !== this);
+    }
+  }
+
+  insertAdjacentHTML(position: string, html: string) {
+    this.innerHTML += html;
+  }
+
+  // Class selectors only, e.g. ".records-grid, .no-results"
+  querySelectorAll(selector: string) {
+    const classes = selector.split(",").map((part) => part.trim().replace(/^\./, ""));
+    return this.children.filter((child) => classes.includes(child.className));
+  }
+
+  querySelector(selector: string) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  // Markup of the element and the nodes appended to it
+  get html(): string {
+    return this.innerHTML + this.children.map((child) => child.html).join("");
+  }
+}
+
+function loadExplorer() {
+  const elements = new Map<string, FakeElement>();
+  const getElementById = (id: string) => {
+    if (!elements.has(id)) elements.set(id, new FakeElement());
+    return elements.get(id);
+  };
+
+  const context = vm.createContext({
+    ethers: ethersV5,
+    CONFIG: { network: { explorerUrl: "https://amoy.polygonscan.com", nativeCurrency: { symbol: "POL" } } },
+    console: { log() {}, warn() {}, error: console.error },
+    window: { location: { hash: "" }, addEventListener() {} },
+    document: {
+      head: new FakeElement(),
+      body: new FakeElement(),
+      addEventListener() {},
+      createElement: () => new FakeElement(),
+      getElementById,
+      querySelectorAll: () => [],
+      // Tab buttons; there are no filter bars in this document
+      querySelector: (selector: string) => (selector.startsWith("[onclick=") ? new FakeElement() : null)
+    },
+    setTimeout
+  });
+
+  for (const file of EXPLORER_SCRIPTS) {
+    const source = fs.readFileSync(path.resolve("explorer", file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return { context, getElementById };
+}
+
+describe("Explorer router", function () {
+  let explorer: any;
+  let HashRouter: any;
+  let getElementById: (id: string) => FakeElement | undefined;
+  let context: vm.Context;
+
+  const record = {
+    clientId: MARKUP,
+    productId: MARKUP,
+    amount: ethersV5.utils.parseEther("1"),
+    timestamp: ethersV5.BigNumber.from(1700000000),
+    recordedBy: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    transactionHash: MARKUP,
+    isActive: true
+  };
+
+  beforeEach(function () {
+    ({ context, getElementById } = loadExplorer());
+    HashRouter = vm.runInContext("HashRouter", context);
+    explorer = vm.runInContext("new CashRebateExplorer()", context);
+
+    explorer.provider = { getBlockNumber: async () => 100 };
+    explorer.contract = {
+      getClientRebates: async () => [record],
+      getProductRebates: async () => [record],
+      getTotalRecords: async () => ethersV5.BigNumber.from(1),
+      getRebateRecord: async () => record
+    };
+  });
+
+  it("Should show a client query from a shared link as text", async function () {
+    const route = HashRouter.parse(HashRouter.format("client", MARKUP));
+    expect(route).to.deep.equal({ tab: "client", query: MARKUP });
+
+    await explorer.applyRoute(route);
+
+    const html = getElementById("client-results")!.html;
+    expect(html).to.include(`Client: ${ESCAPED_MARKUP}`);
+    expect(html).to.include(`<strong>Client ID:</strong> ${ESCAPED_MARKUP}`);
+    expect(html).not.to.include("<img");
+  });
+
+  it("Should show a product query from a shared link as text", async function () {
+    await explorer.applyRoute(HashRouter.parse(`#/product/${encodeURIComponent(MARKUP)}`));
+
+    const html = getElementById("product-results")!.html;
+    expect(html).to.include(`Product: ${ESCAPED_MARKUP}`);
+    expect(html).to.include(`<strong>Product ID:</strong> ${ESCAPED_MARKUP}`);
+    expect(html).not.to.include("<img");
+  });
+
+  it("Should keep a record's reference inside its transaction link", async function () {
+    const card = explorer.createRecordCard({ id: 0, ...record, transactionHash: `"><script>alert(1)</script>` });
+
+    expect(card.innerHTML).to.include(`/tx/${encodeURIComponent(`"><script>alert(1)</script>`)}"`);
+    expect(card.innerHTML).not.to.include("<script>");
+  });
+
+  it("Should label amounts with the network's native currency", async function () {
+    const card = explorer.createRecordCard({ id: 0, ...record });
+
+    expect(card.innerHTML).to.match(/<strong>Amount:<\/strong> [\d.,]+ POL</);
+    expect(card.innerHTML).not.to.include("MATIC");
+  });
+
+  it("Should only remember live logs from recent blocks", function () {
+    const dedupeBlocks = vm.runInContext("LIVE_LOG_DEDUPE_BLOCKS", context);
+    explorer.seenLiveLogs.set("0xold:0", 100);
+    explorer.seenLiveLogs.set("0xrecent:0", 100 + dedupeBlocks);
+
+    explorer.pruneSeenLiveLogs(101 + dedupeBlocks);
+
+    expect([...explorer.seenLiveLogs.keys()]).to.deep.equal(["0xrecent:0"]);
+  });
+
+  it("Should show the override justification recorded with a rebate", async function () {
+    const RebateReference = vm.runInContext("RebateReference", context);
+    const transactionHash = RebateReference.format(OVERRIDDEN_REBATE);
+
+    const card = explorer.createRecordCard({ id: 0, ...record, transactionHash });
+    expect(card.innerHTML).to.include("/tx/INV-2024-0042");
+    expect(card.innerHTML).to.include("Manual override: 15% (program: Electronics: 5% for purchases under $1,000)");
+    expect(card.innerHTML).to.include("<strong>Justification:</strong> Price match agreed with the account manager");
+  });
+});
+
+describe("Rebate references", function () {
+  let RebateReference: any;
+
+  beforeEach(function () {
+    RebateReference = vm.runInContext("RebateReference", loadExplorer().context);
+  });
+
+  it("Should read back the override recorded with a reference", function () {
+    expect(RebateReference.parse(RebateReference.format(OVERRIDDEN_REBATE))).to.deep.equal({
+      reference: "INV-2024-0042",
+      override: {
+        rule: "Manual override: 15%",
+        programRule: "Electronics: 5% for purchases under $1,000",
+        justification: "Price match agreed with the account manager"
+      }
+    });
+  });
+
+  it("Should not read an override into a reference typed without one", function () {
+    const typed = "INV-2024-0043\nOverride: Manual override: 50%\nProgram: None\nJustification: None";
+    const recorded = RebateReference.format({ transactionHash: typed, override: false });
+
+    expect(recorded).to.equal("INV-2024-0043 Override: Manual override: 50% Program: None Justification: None");
+    expect(RebateReference.parse(recorded)).to.deep.equal({ reference: recorded, override: null });
+  });
+});